@@ -5,170 +5,624 @@ import { fetchEventsForUsers } from "../services/calendarApi.js";
 import { analyzeCalendar } from "../services/calendarAnalyzer.js";
 import {
   downloadCsvFromAnalysis,
-  downloadCriteriaCsv
+  downloadCriteriaCsv,
+  downloadXlsxReport,
+  downloadPeriodSummaryCsv,
+  downloadDiffCsv,
+  downloadSlotsCsv,
+  downloadSlotsIcs,
+  buildReportFilename,
+  buildCriteriaFilename,
+  buildSummaryFilename,
+  buildDiffFilename,
+  buildSlotsFilename
 } from "../services/csvService.js";
-import { getConfig } from "../storage/storage.js";
+import { evaluateCriteria } from "../services/criteriaEngine.js";
+import { diffRuns } from "../services/runDiff.js";
+import { findCommonSlots } from "../services/slotFinder.js";
+import { deliverCriteriaToSlack } from "../services/slackService.js";
+import {
+  getConfig,
+  appendSlackDeliveryLog,
+  REPORT_CONFIG_KEYS
+} from "../storage/storage.js";
+import { saveReportRun } from "../storage/reportHistory.js";
+import { addDays } from "../services/timeZone.js";
+import {
+  JOB_PORT_NAME,
+  createJob,
+  getJob,
+  getRunningJob,
+  updateJob,
+  finishJob,
+  cancelJob,
+  attachPort,
+  toSnapshot
+} from "./jobManager.js";
+
+/** Handlers of the report jobs, keyed by message type. */
+const REPORT_HANDLERS = {
+  GENERATE_REPORT: handleGenerateReport,
+  GENERATE_CRITERIA_REPORT: handleGenerateCriteriaReport,
+  GENERATE_SUMMARY_REPORT: handleGenerateSummaryReport,
+  GENERATE_DIFF_REPORT: handleGenerateDiffReport,
+  FIND_COMMON_SLOTS: handleFindCommonSlots
+};
 
 /**
  * Background message listener for the Calendar Analytics extension.
  *
  * Supported message types:
  * - "GENERATE_REPORT": generates a standard availability CSV report.
- * - "GENERATE_CRITERIA_REPORT": generates a criteria-based CSV report (single day).
+ * - "GENERATE_CRITERIA_REPORT": generates a criteria-based CSV report (one row per user and day).
+ * - "GENERATE_SUMMARY_REPORT": generates a per-user summary CSV (one row per user and period).
+ * - "GENERATE_DIFF_REPORT": compares the selected period with payload.compareWith
+ *   and downloads a diff CSV (one row per user).
+ * - "FIND_COMMON_SLOTS": finds the slots where the roster can meet
+ *   (payload.slotSearch) and downloads them as CSV, plus an .ics file of holds.
+ *
+ * With payload.format = "xlsx", the first three download a single XLSX
+ * workbook with the Blocks, Criteria, Criteria summary, Period summary and
+ * Errors sheets instead of the CSV.
+ * With payload.config (re-runs from the history page), the run uses the
+ * report settings of that config snapshot (see getRunConfig) and never posts
+ * to Slack.
+ *
+ * All of them run as jobs (see startReportJob); this one-shot message answers
+ * when the job finishes. The popup uses the job port instead to follow the progress.
  */
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message?.type === "GENERATE_REPORT") {
-    handleGenerateReport(message.payload)
-      .then(() => sendResponse({ ok: true }))
-      .catch((err) => {
-        console.error("[Calendar-Analytics] GENERATE_REPORT failed:", err);
-        sendResponse({ ok: false, error: err?.message || String(err) });
-      });
-    return true; // keep channel open
-  }
+  if (!REPORT_HANDLERS[message?.type]) return false;
 
-  if (message?.type === "GENERATE_CRITERIA_REPORT") {
-    handleGenerateCriteriaReport(message.payload)
-      .then(() => sendResponse({ ok: true }))
-      .catch((err) => {
-        console.error("[Calendar-Analytics] GENERATE_CRITERIA_REPORT failed:", err);
-        sendResponse({ ok: false, error: err?.message || String(err) });
-      });
-    return true; // keep channel open
+  const job = startReportJob(message.type, message.payload);
+  if (!job) {
+    sendResponse({ ok: false, error: "Another report is already running." });
+    return false;
   }
 
-  return false;
+  job.done.then((snapshot) =>
+    sendResponse(
+      snapshot.status === "done"
+        ? { ok: true, ...(snapshot.result || {}) }
+        : { ok: false, error: snapshot.error || snapshot.status }
+    )
+  );
+  return true; // keep channel open
+});
+
+/**
+ * Job port used by the popup and the history page.
+ *
+ * Messages from the popup:
+ * - { type: "START_JOB", jobType, payload }: starts a report job and follows it.
+ * - { type: "ATTACH", jobId? }: follows a job (default: the running or latest one).
+ * - { type: "CANCEL", jobId }: cancels a running job.
+ *
+ * Messages to the popup:
+ * - { type: "JOB_PROGRESS", job }: phase and counters of a running job.
+ * - { type: "JOB_FINISHED", job }: final state (done, failed or cancelled).
+ * - { type: "JOB_ERROR", error }: the request could not be handled.
+ * - { type: "NO_JOB" }: nothing to attach to.
+ */
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== JOB_PORT_NAME) return;
+
+  port.onMessage.addListener((message) => {
+    if (message?.type === "START_JOB") {
+      if (!REPORT_HANDLERS[message.jobType]) {
+        port.postMessage({ type: "JOB_ERROR", error: "Unknown report type." });
+        return;
+      }
+      const job = startReportJob(message.jobType, message.payload);
+      if (!job) {
+        port.postMessage({ type: "JOB_ERROR", error: "Another report is already running." });
+        return;
+      }
+      attachPort(job, port);
+      return;
+    }
+
+    if (message?.type === "ATTACH") {
+      const job = message.jobId ? getJob(message.jobId) : getRunningJob() || getJob();
+      if (job) attachPort(job, port);
+      else port.postMessage({ type: "NO_JOB" });
+      return;
+    }
+
+    if (message?.type === "CANCEL") {
+      cancelJob(message.jobId);
+    }
+  });
 });
 
+/**
+ * Starts a report job, unless another one is already running.
+ *
+ * @param {string} type - Report type (a key of REPORT_HANDLERS).
+ * @param {Object} payload - Report payload sent by the popup.
+ * @returns {Object | null} The job, with a `done` promise that resolves to its
+ *   final snapshot; null if another job is running.
+ */
+function startReportJob(type, payload) {
+  if (getRunningJob()) return null;
+
+  const job = createJob(type, payload);
+  console.log("[Calendar-Analytics] Job started:", job.id, type);
+
+  job.done = REPORT_HANDLERS[type](payload, job)
+    .then((result) => finishJob(job, "done", { result: result || {} }))
+    .catch((err) => {
+      if (job.controller.signal.aborted) {
+        console.log("[Calendar-Analytics] Job cancelled:", job.id);
+        finishJob(job, "cancelled", { error: "Cancelled by the user." });
+        return;
+      }
+      console.error(`[Calendar-Analytics] ${type} failed:`, err);
+      finishJob(job, "failed", { error: err?.message || String(err) });
+    })
+    .then(() => toSnapshot(job));
+
+  return job;
+}
+
 /**
  * Handles the generation of the standard calendar analytics report.
  *
  * Flow:
- * 1. Validates payload.
- * 2. Retrieves token + config.
- * 3. Fetches calendar events for the selected single day.
- * 4. Runs analysis.
- * 5. Downloads CSV.
+ * 1. Fetches and analyzes the selected days (see fetchAndAnalyze).
+ * 2. Downloads CSV (or the XLSX workbook).
+ * 3. Saves the run in the report history.
+ *
+ * Progress is reported on `job` (phases fetch → analyze → export).
+ *
+ * @returns {Promise<{ runId: string | null }>} ID of the run in the history.
  */
-async function handleGenerateReport(payload) {
-  const { emails, dateRange, selectedDates } = payload || {};
+async function handleGenerateReport(payload, job) {
+  const { dateRange, selectedDates, recipients, format } = payload || {};
+  const { config, analysis, failures: allFailures } = await fetchAndAnalyze(
+    payload,
+    job,
+    selectedDates
+  );
 
-  if (!Array.isArray(emails) || emails.length === 0) {
-    throw new Error("No emails provided.");
+  updateJob(job, { phase: "export" });
+  let filename;
+  if (format === "xlsx") {
+    filename = buildReportFilename(dateRange, selectedDates, "xlsx");
+    await downloadXlsxReport(
+      analysis,
+      allFailures,
+      selectedDates,
+      config,
+      filename,
+      recipients || {}
+    );
+  } else {
+    filename = buildReportFilename(dateRange, selectedDates);
+    await downloadCsvFromAnalysis(analysis, allFailures, filename);
   }
 
-  const [token, config] = await Promise.all([getAccessToken(), getConfig()]);
+  const runId = await saveRunToHistory(job, payload, config, analysis, allFailures, {
+    outputs: [{ filename, format: format === "xlsx" ? "xlsx" : "csv" }]
+  });
+  return { runId };
+}
 
-  console.log("[Calendar-Analytics] Using config:", config);
-  console.log("[Calendar-Analytics] Fetching events for:", emails);
-  console.log("[Calendar-Analytics] Selected dates:", selectedDates);
+/**
+ * Handles the generation of the criteria-based report (one row per user and
+ * selected day).
+ *
+ * The criteria are the rules stored in config.criteriaRules, evaluated by
+ * criteriaEngine.js (by default: busy >= 85% and no block longer than 60 min).
+ * The slack_message column uses the recipients' names and locales from the roster.
+ *
+ * When Slack delivery is enabled, the results are then posted to the
+ * configured webhooks (see deliverSlackForRun). A Slack failure does not
+ * fail the report, whose CSV has already been downloaded.
+ *
+ * The run is then saved in the report history.
+ *
+ * Progress is reported on `job` (phases fetch → analyze → export → deliver).
+ *
+ * @returns {Promise<{ slack?: Object; runId: string | null }>} Summary of the
+ *   Slack delivery, if any, and ID of the run in the history.
+ */
+async function handleGenerateCriteriaReport(payload, job) {
+  const { dateRange, selectedDates, recipients, format } = payload || {};
+  const { config, analysis, failures: allFailures } = await fetchAndAnalyze(
+    payload,
+    job,
+    selectedDates
+  );
 
-  const { allEvents, allFailures } = await fetchAllEventsForPayload(
-    emails,
-    dateRange,
-    selectedDates,
-    token
+  updateJob(job, { phase: "export" });
+  let filename;
+  if (format === "xlsx") {
+    filename = buildCriteriaFilename(dateRange, selectedDates, "xlsx");
+    await downloadXlsxReport(
+      analysis,
+      allFailures,
+      selectedDates,
+      config,
+      filename,
+      recipients || {}
+    );
+  } else {
+    filename = buildCriteriaFilename(dateRange, selectedDates);
+    await downloadCriteriaCsv(
+      analysis,
+      allFailures,
+      selectedDates, // [YYYY-MM-DD, ...]
+      config,
+      filename,
+      recipients || {}
+    );
+  }
+
+  let slack = null;
+  if (config.slackEnabled) {
+    updateJob(job, { phase: "deliver" });
+    const results = evaluateCriteria(analysis, allFailures, selectedDates, config);
+    slack = await deliverSlackForRun(
+      results,
+      config,
+      recipients || {},
+      dateRange,
+      selectedDates
+    );
+  }
+
+  const runId = await saveRunToHistory(job, payload, config, analysis, allFailures, {
+    outputs: [{ filename, format: format === "xlsx" ? "xlsx" : "csv" }],
+    slack
+  });
+  return slack ? { slack, runId } : { runId };
+}
+
+/**
+ * Handles the generation of the per-user summary report: one row per user
+ * with the meetings, busy/free time and after-hours minutes of the whole
+ * period (see buildPeriodSummaryRows in csvService.js).
+ *
+ * Progress is reported on `job` (phases fetch → analyze → export).
+ *
+ * @returns {Promise<{ runId: string | null }>} ID of the run in the history.
+ */
+async function handleGenerateSummaryReport(payload, job) {
+  const { dateRange, selectedDates, recipients, format } = payload || {};
+  const { config, analysis, failures: allFailures } = await fetchAndAnalyze(
+    payload,
+    job,
+    selectedDates
+  );
+
+  updateJob(job, { phase: "export" });
+  let filename;
+  if (format === "xlsx") {
+    filename = buildSummaryFilename(dateRange, selectedDates, "xlsx");
+    await downloadXlsxReport(
+      analysis,
+      allFailures,
+      selectedDates,
+      config,
+      filename,
+      recipients || {}
+    );
+  } else {
+    filename = buildSummaryFilename(dateRange, selectedDates);
+    await downloadPeriodSummaryCsv(analysis, allFailures, selectedDates, filename);
+  }
+
+  const runId = await saveRunToHistory(job, payload, config, analysis, allFailures, {
+    outputs: [{ filename, format: format === "xlsx" ? "xlsx" : "csv" }]
+  });
+  return { runId };
+}
+
+/**
+ * Handles the diff report: compares the selected period (after) with an
+ * earlier one (payload.compareWith: { dateRange, selectedDates }) user by user.
+ *
+ * Each period is fetched and analyzed on its own (two fetch passes), so periods
+ * far apart do not download every event in between; each side is then
+ * evaluated on its own dates with the same criteria (see runDiff.js). The diff
+ * CSV is not saved in the history.
+ *
+ * Progress is reported on `job` (phases fetch → analyze, once per period → export).
+ *
+ * @returns {Promise<{ users: number; changed: number }>} Users compared, and
+ *   how many of them improved or regressed.
+ */
+async function handleGenerateDiffReport(payload, job) {
+  const { dateRange, selectedDates, compareWith } = payload || {};
+
+  if (!Array.isArray(compareWith?.selectedDates) || compareWith.selectedDates.length === 0) {
+    throw new Error("No period to compare with.");
+  }
+
+  const before = await fetchAndAnalyze(payload, job, compareWith.selectedDates);
+  const after = await fetchAndAnalyze(payload, job, selectedDates);
+
+  const diffs = diffRuns(
+    { ...before, selectedDates: compareWith.selectedDates },
+    { ...after, selectedDates },
+    after.config
   );
 
-  const analysis = analyzeCalendar(allEvents, config);
+  updateJob(job, { phase: "export" });
+  await downloadDiffCsv(diffs, buildDiffFilename(compareWith, { dateRange, selectedDates }));
 
-  await downloadCsvFromAnalysis(analysis, allFailures, buildFilename(dateRange, selectedDates));
+  return {
+    users: diffs.length,
+    changed: diffs.filter((d) => d.status === "improved" || d.status === "regressed").length
+  };
 }
 
 /**
- * Handles the generation of the criteria-based report (single day, 2 criteria).
+ * Handles the common free-slot search: when can the roster meet?
  *
- * Criteria:
- * 1) Busy >= 70% for the selected day.
- * 2) No busy blocks > maxStandardBlockMinutes (default 60).
+ * payload.slotSearch: {
+ *   durationMinutes,  // meeting length
+ *   required?,        // required attendees (default: everyone not optional)
+ *   optional?,        // optional attendees
+ *   title?,           // title of the .ics holds
+ *   ics?              // also download the .ics file of tentative holds
+ * }
+ * Attendees outside the roster are fetched as well. The slots are not saved
+ * in the history.
+ *
+ * Progress is reported on `job` (phases fetch → analyze → export).
+ *
+ * @returns {Promise<{ slots: number; unknown: number }>} Slots found, and
+ *   attendees whose calendar could not be read.
  */
-async function handleGenerateCriteriaReport(payload) {
-  const { emails, dateRange, selectedDates } = payload || {};
+async function handleFindCommonSlots(payload, job) {
+  const { emails, dateRange, selectedDates, slotSearch } = payload || {};
+
+  const attendees = Array.from(
+    new Set([
+      ...(emails || []),
+      ...(slotSearch?.required || []),
+      ...(slotSearch?.optional || [])
+    ])
+  );
+  const { analysis } = await fetchAndAnalyze(payload, job, selectedDates, attendees);
+
+  const result = findCommonSlots(analysis, {
+    attendees,
+    required: slotSearch?.required,
+    optional: slotSearch?.optional,
+    durationMinutes: slotSearch?.durationMinutes
+  });
+
+  updateJob(job, { phase: "export" });
+  await downloadSlotsCsv(result, buildSlotsFilename(dateRange, selectedDates));
+  if (slotSearch?.ics && result.slots.length > 0) {
+    await downloadSlotsIcs(
+      result,
+      buildSlotsFilename(dateRange, selectedDates, "ics"),
+      slotSearch.title || "Meeting"
+    );
+  }
 
+  return { slots: result.slots.length, unknown: result.unknown.length };
+}
+
+/**
+ * Shared first half of the report jobs: validates the roster, gets the token
+ * and the run config (see getRunConfig), fetches the events of the calendars
+ * for `dates` and analyzes them.
+ *
+ * @param {Object} payload - Report payload (emails, timeZones, forceRefresh, config).
+ * @param {Object} job - Job being run (progress and cancellation).
+ * @param {string[]} dates - Dates (YYYY-MM-DD) to fetch and analyze.
+ * @param {string[]} [emails] - Calendars to read; defaults to payload.emails.
+ * @returns {Promise<{ config: Object; analysis: Array<Object>; failures: Array<Object> }>}
+ */
+async function fetchAndAnalyze(payload, job, dates, emails = payload?.emails) {
   if (!Array.isArray(emails) || emails.length === 0) {
     throw new Error("No emails provided.");
   }
 
-  const [token, config] = await Promise.all([getAccessToken(), getConfig()]);
+  const [token, config] = await Promise.all([getAccessToken(), getRunConfig(payload)]);
+  job.controller.signal.throwIfAborted();
 
-  console.log("[Calendar-Analytics] [CRITERIA] Using config:", config);
-  console.log("[Calendar-Analytics] [CRITERIA] Fetching events for:", emails);
-  console.log("[Calendar-Analytics] [CRITERIA] Selected dates:", selectedDates);
+  console.log("[Calendar-Analytics] Fetching events for:", emails);
+  console.log("[Calendar-Analytics] Selected dates:", dates);
 
-  const { allEvents, allFailures } = await fetchAllEventsForPayload(
-    emails,
-    dateRange,
-    selectedDates,
-    token
-  );
+  const { allEvents, allFailures, calendarTimeZones, freeBusyCalendars } =
+    await fetchAllEventsForPayload(
+      emails,
+      payload.dateRange,
+      dates,
+      token,
+      config,
+      job,
+      payload.forceRefresh
+    );
 
-  const analysis = analyzeCalendar(allEvents, config);
+  updateJob(job, { phase: "analyze" });
+  const analysis = analyzeCalendar(allEvents, config, {
+    timeZones: { ...calendarTimeZones, ...(payload.timeZones || {}) },
+    dates,
+    emails: getReadCalendars(emails, allFailures),
+    freeBusyCalendars
+  });
 
-  await downloadCriteriaCsv(
-    analysis,
-    allFailures,
-    selectedDates, // debe ser [YYYY-MM-DD]
-    config,
-    buildCriteriaFilename(dateRange, selectedDates)
-  );
+  return { config, analysis, failures: allFailures };
 }
 
 /**
- * Fetches calendar events for one or more users for a single day.
+ * Returns the configuration of a run: the current settings, or, when a past
+ * run is re-run from the history (payload.config), the current settings with
+ * the report settings (REPORT_CONFIG_KEYS) of its snapshot applied.
+ *
+ * Delivery, retention, cache and fetch settings always come from the current
+ * settings, and a re-run never posts to Slack again.
+ */
+async function getRunConfig(payload) {
+  const config = await getConfig();
+  if (!payload?.config) return config;
+
+  const snapshot = {};
+  for (const key of REPORT_CONFIG_KEYS) {
+    if (payload.config[key] !== undefined) snapshot[key] = payload.config[key];
+  }
+  return { ...config, ...snapshot, slackEnabled: false };
+}
+
+/**
+ * Saves a finished run in the report history (config.historyMaxRuns runs are
+ * kept). A history failure does not fail the report, already downloaded.
+ *
+ * @returns {Promise<string | null>} ID of the saved run.
+ */
+async function saveRunToHistory(job, payload, config, analysis, failures, extra) {
+  try {
+    const { emails, timeZones, recipients, dateRange, selectedDates, format } = payload;
+    return await saveReportRun(
+      {
+        type: job.type,
+        startedAt: job.startedAt,
+        finishedAt: new Date().toISOString(),
+        inputs: {
+          emails,
+          timeZones: timeZones || {},
+          recipients: recipients || {},
+          dateRange: dateRange || null,
+          selectedDates,
+          format: format === "xlsx" ? "xlsx" : "csv"
+        },
+        config,
+        analysis,
+        failures,
+        outputs: extra.outputs,
+        slack: extra.slack || null
+      },
+      config.historyMaxRuns
+    );
+  } catch (err) {
+    console.error("[Calendar-Analytics] Could not save the run in the history:", err);
+    return null;
+  }
+}
+
+/**
+ * Posts the criteria results to Slack and stores the delivery log of the run.
+ *
+ * @returns {Promise<{ dryRun: boolean; sent: number; failed: number; messages: number; error?: string }>}
+ */
+async function deliverSlackForRun(results, config, recipients, dateRange, selectedDates) {
+  try {
+    const log = await deliverCriteriaToSlack(results, config, recipients, {
+      label: dateRange?.label || (Array.isArray(selectedDates) && selectedDates[0]) || ""
+    });
+    await appendSlackDeliveryLog(log);
+
+    return {
+      dryRun: log.dryRun,
+      sent: log.sent,
+      failed: log.failed,
+      messages: log.deliveries.length
+    };
+  } catch (err) {
+    console.error("[Calendar-Analytics] Slack delivery failed:", err);
+    return {
+      dryRun: Boolean(config.slackDryRun),
+      sent: 0,
+      failed: 0,
+      messages: 0,
+      error: err?.message || String(err)
+    };
+  }
+}
+
+/**
+ * Fetches calendar events for one or more users for the selected days.
  *
  * Expected behavior:
- * - selectedDates must contain exactly one date (YYYY-MM-DD).
- * - Builds [00:00:00, 23:59:59] local window, converts to ISO, and fetches.
+ * - selectedDates contains one or more dates (YYYY-MM-DD), possibly with gaps
+ *   (skipped weekends or holidays). A single request per calendar covers the
+ *   whole period from the first to the last date.
+ * - Users may live in any time zone, so the fetch window is widened by one day
+ *   on each side (in UTC). The analyzer then keeps only the events of the
+ *   selected days in each user's zone.
+ * - Returns the time zone of each calendar read, keyed by calendar ID, and the
+ *   calendars read through the free/busy fallback.
+ * - Calendars are fetched at most config.fetchConcurrency at a time, and rate
+ *   limits / transient errors are retried up to config.fetchMaxRetries times.
+ * - Reports the calendars fetched on `job`, and stops when the job is cancelled.
+ * - Calendars shared as free/busy only are read through the free/busy fallback
+ *   when config.freeBusyFallback is on.
+ * - Events are read through the local event cache (config.eventCacheEnabled),
+ *   unless `forceRefresh` asks for a full download.
  */
-async function fetchAllEventsForPayload(emails, dateRange, selectedDates, token) {
-  const dateStr =
-    Array.isArray(selectedDates) && selectedDates.length > 0
-      ? selectedDates[0]
-      : null;
+async function fetchAllEventsForPayload(
+  emails,
+  dateRange,
+  selectedDates,
+  token,
+  config,
+  job,
+  forceRefresh
+) {
+  const dates = Array.isArray(selectedDates) ? [...selectedDates].sort() : [];
 
-  if (!dateStr) {
+  if (dates.length === 0) {
     throw new Error("No selected date provided.");
   }
 
-  const dayStart = new Date(`${dateStr}T00:00:00`);
-  const dayEnd = new Date(`${dateStr}T23:59:59`);
+  const firstDate = dates[0];
+  const lastDate = dates[dates.length - 1];
 
-  const dayRange = {
-    start: dayStart.toISOString(),
-    end: dayEnd.toISOString()
+  // UTC-12 … UTC+14: un día de margen a cada lado cubre todas las zonas
+  const fetchRange = {
+    start: `${addDays(firstDate, -1)}T00:00:00Z`,
+    end: `${addDays(lastDate, 1)}T23:59:59Z`
   };
 
-  console.log("[Calendar-Analytics] Fetching day:", dateStr, "range:", dayRange);
+  updateJob(job, { phase: "fetch", total: emails.length });
 
-  const { events, failures } = await fetchEventsForUsers(emails, dayRange, token);
+  console.log(
+    "[Calendar-Analytics] Fetching period:",
+    `${firstDate} → ${lastDate}`,
+    "range:",
+    fetchRange
+  );
 
-  return { allEvents: events, allFailures: failures };
-}
+  const { events, failures, timeZones, freeBusyCalendars } = await fetchEventsForUsers(
+    emails,
+    fetchRange,
+    token,
+    {
+      concurrency: config?.fetchConcurrency,
+      maxRetries: config?.fetchMaxRetries,
+      freeBusyFallback: config?.freeBusyFallback,
+      useCache: config?.eventCacheEnabled !== false,
+      cacheFreshMinutes: config?.eventCacheFreshMinutes,
+      forceRefresh: Boolean(forceRefresh),
+      signal: job.controller.signal,
+      onProgress: ({ fetched, total, failures }) => updateJob(job, { fetched, total, failures })
+    }
+  );
 
-/**
- * Builds a filename for the standard report CSV.
- *
- * Format: "calendar-analytics-{label}-{YYYY-MM-DD}.csv"
- */
-function buildFilename(dateRange, selectedDates) {
-  const label =
-    (Array.isArray(selectedDates) && selectedDates[0]) ||
-    dateRange?.label ||
-    "report";
-  const today = new Date().toISOString().split("T")[0];
-  return `calendar-analytics-${label}-${today}.csv`;
+  return {
+    allEvents: events,
+    allFailures: failures,
+    calendarTimeZones: timeZones,
+    freeBusyCalendars
+  };
 }
 
 /**
- * Builds a filename for the criteria-based report CSV.
+ * Calendars of the roster that were read (directly or through free/busy),
+ * so the analyzer also reports those without events.
  *
- * Format: "calendar-criteria-{label}-{YYYY-MM-DD}.csv"
+ * @param {string[]} emails - Roster of the run.
+ * @param {Array<{ calendarId: string }>} failures - Calendars that could not be read.
+ * @returns {string[]}
  */
-function buildCriteriaFilename(dateRange, selectedDates) {
-  const label =
-    (Array.isArray(selectedDates) && selectedDates[0]) ||
-    dateRange?.label ||
-    "criteria-report";
-  const today = new Date().toISOString().split("T")[0];
-  return `calendar-criteria-${label}-${today}.csv`;
+function getReadCalendars(emails, failures) {
+  const failed = new Set((failures || []).map((f) => f.calendarId));
+  return emails.filter((email) => !failed.has(email));
 }
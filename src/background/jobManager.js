@@ -0,0 +1,186 @@
+// src/background/jobManager.js
+/**
+ * Report Job Manager
+ *
+ * Keeps track of the report runs ("jobs") executed by the background worker,
+ * so the popup can follow their progress, reattach after being reopened and
+ * cancel them.
+ *
+ * - Each job has an ID, a phase (fetch → analyze → export → deliver → done),
+ *   progress counters and an AbortController used to cancel in-flight fetches.
+ * - Popups connect through a chrome.runtime port named JOB_PORT_NAME; every
+ *   update is posted to the ports attached to the job as a JOB_PROGRESS
+ *   message, and the final state as JOB_FINISHED.
+ * - Jobs live in memory: the last MAX_FINISHED_JOBS finished jobs are kept so
+ *   a reopened popup can still show the result.
+ */
+
+export const JOB_PORT_NAME = "calendar-analytics-jobs";
+
+/** Finished jobs kept in memory for popups that reattach. */
+const MAX_FINISHED_JOBS = 5;
+
+/** @type {Map<string, Object>} */
+const jobs = new Map();
+
+/**
+ * @typedef {Object} JobSnapshot
+ * @property {string} id
+ * @property {"GENERATE_REPORT" | "GENERATE_CRITERIA_REPORT" | "GENERATE_SUMMARY_REPORT" |
+ *   "GENERATE_DIFF_REPORT" | "FIND_COMMON_SLOTS"} type
+ * @property {"running" | "done" | "failed" | "cancelled"} status
+ * @property {"queued" | "fetch" | "analyze" | "export" | "deliver" | "done"} phase
+ * @property {"csv" | "xlsx"} format - Export format requested.
+ * @property {number} fetched - Calendars fetched (read or failed) so far.
+ * @property {number} total - Calendars to fetch.
+ * @property {number} failures - Calendars that could not be read so far.
+ * @property {string} startedAt
+ * @property {string | null} finishedAt
+ * @property {string} error
+ * @property {Object | null} result - Handler result (e.g. Slack delivery summary).
+ */
+
+/**
+ * Creates and registers a running job.
+ *
+ * @param {string} type - Message type that started the job.
+ * @param {{ emails?: string[]; format?: string }} payload - Report payload.
+ * @returns {Object} The job (snapshot fields plus `controller` and `ports`).
+ */
+export function createJob(type, payload) {
+  const job = {
+    id: `job-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+    type,
+    status: "running",
+    phase: "queued",
+    format: payload?.format === "xlsx" ? "xlsx" : "csv",
+    fetched: 0,
+    total: Array.isArray(payload?.emails) ? payload.emails.length : 0,
+    failures: 0,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    error: "",
+    result: null,
+    controller: new AbortController(),
+    ports: new Set()
+  };
+
+  jobs.set(job.id, job);
+  return job;
+}
+
+/**
+ * Returns a job by ID, or the most recent job when no ID is given.
+ *
+ * @param {string} [jobId] - Job ID.
+ * @returns {Object | null} The job, if known.
+ */
+export function getJob(jobId) {
+  if (jobId) return jobs.get(jobId) || null;
+  const all = Array.from(jobs.values());
+  return all[all.length - 1] || null;
+}
+
+/**
+ * Returns the job currently running, if any.
+ *
+ * @returns {Object | null}
+ */
+export function getRunningJob() {
+  return Array.from(jobs.values()).find((job) => job.status === "running") || null;
+}
+
+/**
+ * Updates the progress of a job and notifies the attached ports.
+ *
+ * @param {Object} job - Job to update.
+ * @param {Partial<JobSnapshot>} patch - Fields to change (phase, fetched, failures...).
+ */
+export function updateJob(job, patch) {
+  if (job.status !== "running") return;
+  Object.assign(job, patch);
+  broadcast(job, "JOB_PROGRESS");
+}
+
+/**
+ * Marks a job as finished and notifies the attached ports.
+ *
+ * @param {Object} job - Job to finish.
+ * @param {"done" | "failed" | "cancelled"} status - Final status.
+ * @param {{ result?: Object; error?: string }} [details] - Handler result or error message.
+ */
+export function finishJob(job, status, details = {}) {
+  if (job.status !== "running") return;
+
+  Object.assign(job, {
+    status,
+    phase: status === "done" ? "done" : job.phase,
+    finishedAt: new Date().toISOString(),
+    result: details.result ?? null,
+    error: details.error || ""
+  });
+
+  broadcast(job, "JOB_FINISHED");
+  pruneFinishedJobs();
+}
+
+/**
+ * Cancels a running job: aborts its in-flight requests. The job is marked
+ * as cancelled by the code running it once the abort is observed.
+ *
+ * @param {string} jobId - Job ID.
+ * @returns {boolean} True if a running job was found.
+ */
+export function cancelJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job || job.status !== "running") return false;
+  job.controller.abort();
+  return true;
+}
+
+/**
+ * Attaches a popup port to a job and sends it the current state.
+ * The port is detached automatically when the popup closes.
+ *
+ * @param {Object} job - Job to follow.
+ * @param {chrome.runtime.Port} port - Port opened by the popup.
+ */
+export function attachPort(job, port) {
+  job.ports.add(port);
+  port.onDisconnect.addListener(() => job.ports.delete(port));
+  safePost(port, {
+    type: job.status === "running" ? "JOB_PROGRESS" : "JOB_FINISHED",
+    job: toSnapshot(job)
+  });
+}
+
+/**
+ * Returns the serializable state of a job.
+ *
+ * @param {Object} job - Job.
+ * @returns {JobSnapshot}
+ */
+export function toSnapshot(job) {
+  const { controller, ports, done, ...snapshot } = job;
+  return snapshot;
+}
+
+function broadcast(job, type) {
+  const message = { type, job: toSnapshot(job) };
+  for (const port of job.ports) safePost(port, message);
+}
+
+function safePost(port, message) {
+  try {
+    port.postMessage(message);
+  } catch {
+    // El popup se cerró: el puerto ya no existe
+  }
+}
+
+function pruneFinishedJobs() {
+  const finished = Array.from(jobs.values()).filter((job) => job.status !== "running");
+  for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+    jobs.delete(job.id);
+  }
+}
@@ -0,0 +1,367 @@
+// src/history/history.js
+
+/**
+ * Report History Page Logic
+ *
+ * This script:
+ * - Lists the report runs saved by the background worker (most recent first)
+ * - Downloads a past run again as blocks CSV, criteria CSV, summary CSV or XLSX, rebuilt
+ *   from its saved analysis, failures and config snapshot
+ * - Re-runs a past report with the same inputs through the job port
+ * - Deletes runs
+ * - Compares two selected runs user by user and downloads the diff CSV
+ *
+ * Runs are read from ../storage/reportHistory.js; the files are built by
+ * ../services/csvService.js and the comparison by ../services/runDiff.js.
+ */
+import {
+  listReportRuns,
+  getReportRun,
+  deleteReportRun
+} from "../storage/reportHistory.js";
+import {
+  downloadCsvFromAnalysis,
+  downloadCriteriaCsv,
+  downloadXlsxReport,
+  downloadPeriodSummaryCsv,
+  downloadDiffCsv,
+  buildReportFilename,
+  buildCriteriaFilename,
+  buildSummaryFilename,
+  buildDiffFilename
+} from "../services/csvService.js";
+import { diffRuns } from "../services/runDiff.js";
+import { JOB_PORT_NAME } from "../background/jobManager.js";
+
+const REPORT_LABELS = {
+  GENERATE_REPORT: "Standard",
+  GENERATE_CRITERIA_REPORT: "Criteria",
+  GENERATE_SUMMARY_REPORT: "Summary"
+};
+
+/** Filename builder of each report type, for the XLSX download. */
+const FILENAME_BUILDERS = {
+  GENERATE_REPORT: buildReportFilename,
+  GENERATE_CRITERIA_REPORT: buildCriteriaFilename,
+  GENERATE_SUMMARY_REPORT: buildSummaryFilename
+};
+
+const runsTable = document.getElementById("runsTable");
+const runsBody = document.getElementById("runsBody");
+const emptyInfoEl = document.getElementById("emptyInfo");
+const statusEl = document.getElementById("status");
+const compareBtn = document.getElementById("compareBtn");
+
+/** Port connected to the background job manager while a re-run is followed. */
+let jobPort = null;
+
+/**
+ * Sets the status message.
+ *
+ * @param {string} text
+ * @param {string} [color]
+ */
+function setStatus(text, color = "#22c55e") {
+  statusEl.textContent = text;
+  statusEl.style.color = color;
+}
+
+/**
+ * Loads the saved runs and renders one table row per run.
+ *
+ * @returns {Promise<void>}
+ */
+async function renderRuns() {
+  let runs = [];
+  try {
+    runs = await listReportRuns();
+  } catch (err) {
+    console.error("[Calendar-Analytics] Error reading the report history:", err);
+    setStatus("The report history could not be read.", "#f97316");
+  }
+
+  runsBody.textContent = "";
+  runsTable.hidden = runs.length === 0;
+  emptyInfoEl.hidden = runs.length > 0;
+
+  for (const run of runs) {
+    runsBody.appendChild(createRunRow(run));
+  }
+  updateCompareButton();
+}
+
+/**
+ * Builds the table row of a run.
+ *
+ * @param {Object} run - Run summary returned by listReportRuns().
+ * @returns {HTMLTableRowElement}
+ */
+function createRunRow(run) {
+  const row = document.createElement("tr");
+  const inputs = run.inputs || {};
+  const dates = Array.isArray(inputs.selectedDates) ? inputs.selectedDates : [];
+
+  const selectCell = document.createElement("td");
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.className = "compare";
+  checkbox.value = run.id;
+  checkbox.addEventListener("change", updateCompareButton);
+  selectCell.appendChild(checkbox);
+  row.appendChild(selectCell);
+
+  const cells = [
+    new Date(run.startedAt).toLocaleString(),
+    REPORT_LABELS[run.type] || run.type,
+    describePeriod(inputs.dateRange, dates),
+    String(Array.isArray(inputs.emails) ? inputs.emails.length : 0),
+    String(Array.isArray(run.failures) ? run.failures.length : 0),
+    (run.outputs || []).map((o) => o.filename).join("\n")
+  ];
+
+  for (const text of cells) {
+    const cell = document.createElement("td");
+    cell.textContent = text;
+    row.appendChild(cell);
+  }
+
+  const actions = document.createElement("td");
+  actions.className = "actions";
+  actions.append(
+    createButton("CSV", () => downloadRun(run.id, "csv")),
+    createButton("Criteria CSV", () => downloadRun(run.id, "criteria_csv")),
+    createButton("Summary CSV", () => downloadRun(run.id, "summary_csv")),
+    createButton("XLSX", () => downloadRun(run.id, "xlsx")),
+    createButton("Re-run", () => rerun(run.id), "primary rerun"),
+    createButton("Delete", () => removeRun(run.id), "danger")
+  );
+  row.appendChild(actions);
+
+  return row;
+}
+
+function createButton(label, onClick, className = "") {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.textContent = label;
+  button.className = className;
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+/**
+ * Describes the period of a run: its range label, or first → last date.
+ */
+function describePeriod(dateRange, dates) {
+  if (dateRange?.label) return dateRange.label;
+  if (dates.length === 0) return "";
+  return dates.length === 1 ? dates[0] : `${dates[0]} → ${dates[dates.length - 1]}`;
+}
+
+/** -------------------- DOWNLOAD -------------------- **/
+/**
+ * Downloads a past run again, rebuilt from its saved data.
+ *
+ * @param {string} id - Run ID.
+ * @param {"csv" | "criteria_csv" | "summary_csv" | "xlsx"} kind - File to build.
+ * @returns {Promise<void>}
+ */
+async function downloadRun(id, kind) {
+  try {
+    const run = await getReportRun(id);
+    if (!run) {
+      setStatus("This run is no longer in the history.", "#f97316");
+      await renderRuns();
+      return;
+    }
+
+    const { dateRange, selectedDates, recipients } = run.inputs || {};
+    const analysis = run.analysis || [];
+    const failures = run.failures || [];
+    const config = run.config || {};
+
+    if (kind === "csv") {
+      await downloadCsvFromAnalysis(
+        analysis,
+        failures,
+        buildReportFilename(dateRange, selectedDates)
+      );
+    } else if (kind === "criteria_csv") {
+      await downloadCriteriaCsv(
+        analysis,
+        failures,
+        selectedDates || [],
+        config,
+        buildCriteriaFilename(dateRange, selectedDates),
+        recipients || {}
+      );
+    } else if (kind === "summary_csv") {
+      await downloadPeriodSummaryCsv(
+        analysis,
+        failures,
+        selectedDates || [],
+        buildSummaryFilename(dateRange, selectedDates)
+      );
+    } else {
+      const buildFilename = FILENAME_BUILDERS[run.type] || buildReportFilename;
+      await downloadXlsxReport(
+        analysis,
+        failures,
+        selectedDates || [],
+        config,
+        buildFilename(dateRange, selectedDates, "xlsx"),
+        recipients || {}
+      );
+    }
+
+    setStatus("Download started.");
+  } catch (err) {
+    console.error("[Calendar-Analytics] Error downloading a past run:", err);
+    setStatus(`The file could not be built: ${err?.message || err}`, "#f97316");
+  }
+}
+
+/** -------------------- RE-RUN -------------------- **/
+/**
+ * Starts a new job with the inputs and config snapshot of a past run, and
+ * follows it until it finishes.
+ *
+ * @param {string} id - Run ID.
+ * @returns {Promise<void>}
+ */
+async function rerun(id) {
+  const run = await getReportRun(id);
+  if (!run) {
+    setStatus("This run is no longer in the history.", "#f97316");
+    await renderRuns();
+    return;
+  }
+
+  setRerunButtonsDisabled(true);
+  setStatus("Starting report...", "#a5b4fc");
+
+  if (!jobPort) {
+    jobPort = chrome.runtime.connect({ name: JOB_PORT_NAME });
+    jobPort.onMessage.addListener(handleJobMessage);
+    jobPort.onDisconnect.addListener(() => {
+      jobPort = null;
+      setRerunButtonsDisabled(false);
+    });
+  }
+
+  jobPort.postMessage({
+    type: "START_JOB",
+    jobType: run.type,
+    payload: { ...run.inputs, config: run.config }
+  });
+}
+
+/**
+ * Handles the messages of the job manager for the re-run being followed.
+ *
+ * @param {{ type: string; job?: Object; error?: string }} message
+ */
+function handleJobMessage(message) {
+  if (message?.type === "JOB_PROGRESS") {
+    const { phase, fetched, total } = message.job;
+    setStatus(
+      phase === "fetch"
+        ? `Re-running: fetching calendars ${fetched}/${total}`
+        : `Re-running: ${phase}...`,
+      "#a5b4fc"
+    );
+    return;
+  }
+
+  if (message?.type === "JOB_FINISHED") {
+    const { status, error } = message.job;
+    setRerunButtonsDisabled(false);
+    if (status === "done") {
+      setStatus("Report re-run. Your download should start soon.");
+    } else {
+      setStatus(status === "cancelled" ? "Re-run cancelled." : `Re-run failed: ${error}`, "#f97316");
+    }
+    renderRuns();
+    return;
+  }
+
+  if (message?.type === "JOB_ERROR") {
+    setRerunButtonsDisabled(false);
+    setStatus(message.error || "The report could not be started.", "#f97316");
+  }
+}
+
+function setRerunButtonsDisabled(disabled) {
+  for (const button of runsBody.querySelectorAll("button.rerun")) {
+    button.disabled = disabled;
+  }
+}
+
+/** -------------------- COMPARE -------------------- **/
+function getSelectedRunIds() {
+  return Array.from(runsBody.querySelectorAll("input.compare:checked"), (input) => input.value);
+}
+
+/**
+ * Enables the compare button when exactly two runs are selected.
+ */
+function updateCompareButton() {
+  compareBtn.disabled = getSelectedRunIds().length !== 2;
+}
+
+/**
+ * Compares the two selected runs and downloads the diff CSV. The older run is
+ * the baseline; both are evaluated with the config snapshot of the newer one.
+ *
+ * @returns {Promise<void>}
+ */
+async function compareSelectedRuns() {
+  const ids = getSelectedRunIds();
+  if (ids.length !== 2) return;
+
+  try {
+    const runs = await Promise.all(ids.map((id) => getReportRun(id)));
+    if (runs.some((run) => !run)) {
+      setStatus("One of the selected runs is no longer in the history.", "#f97316");
+      await renderRuns();
+      return;
+    }
+
+    const [before, after] = runs.sort((a, b) =>
+      String(a.startedAt).localeCompare(String(b.startedAt))
+    );
+    const toRunSnapshot = (run) => ({
+      analysis: run.analysis || [],
+      failures: run.failures || [],
+      selectedDates: run.inputs?.selectedDates || []
+    });
+
+    const diffs = diffRuns(toRunSnapshot(before), toRunSnapshot(after), after.config || {});
+    await downloadDiffCsv(diffs, buildDiffFilename(before.inputs, after.inputs));
+
+    const changed = diffs.filter((d) => d.status === "improved" || d.status === "regressed").length;
+    setStatus(`Diff generated: ${changed} of ${diffs.length} users improved or regressed.`);
+  } catch (err) {
+    console.error("[Calendar-Analytics] Error comparing runs:", err);
+    setStatus(`The runs could not be compared: ${err?.message || err}`, "#f97316");
+  }
+}
+
+compareBtn.addEventListener("click", compareSelectedRuns);
+
+/** -------------------- DELETE -------------------- **/
+/**
+ * Deletes a run after confirmation.
+ *
+ * @param {string} id - Run ID.
+ * @returns {Promise<void>}
+ */
+async function removeRun(id) {
+  if (!confirm("Delete this run from the history?")) return;
+
+  await deleteReportRun(id);
+  setStatus("Run deleted.");
+  await renderRuns();
+}
+
+document.addEventListener("DOMContentLoaded", renderRuns);
@@ -10,14 +10,103 @@
  *
  * The UI is defined in options.html and styled by options.css.
  * Storage operations are handled through ../storage/storage.js.
+ * The criteria rule editor uses the metrics and comparators exposed by
+ * ../services/criteriaEngine.js, and the Slack message preview renders the
+ * templates with ../services/messageTemplates.js. The event cache summary and
+ * the "Clear event cache" button use ../storage/eventCache.js. The roster
+ * editor stores the saved rosters with ../storage/rosters.js and reads and
+ * writes their CSV with ../services/rosterCsv.js. The category rule editor
+ * uses the fields and match types exposed by ../services/eventCategories.js.
+ * Lowering the history limit removes the extra runs through ../storage/reportHistory.js.
  */
-import { getConfig, saveConfig, resetConfig } from "../storage/storage.js";
+import {
+  getConfig,
+  saveConfig,
+  resetConfig,
+  getSlackDeliveryLog
+} from "../storage/storage.js";
+import { getEventCacheInfo, clearEventCache } from "../storage/eventCache.js";
+import { pruneReportRuns } from "../storage/reportHistory.js";
+import { getRosters, saveRoster, deleteRoster } from "../storage/rosters.js";
+import {
+  parseRosterCsv,
+  describeRejectedRows,
+  toRosterMembers,
+  buildRosterCsv
+} from "../services/rosterCsv.js";
+import {
+  CRITERIA_METRICS,
+  CRITERIA_COMPARATORS
+} from "../services/criteriaEngine.js";
+import {
+  CATEGORY_FIELDS,
+  CATEGORY_MATCH_TYPES,
+  compileCategoryPattern
+} from "../services/eventCategories.js";
+import {
+  renderCriteriaMessage,
+  normalizeLocale
+} from "../services/messageTemplates.js";
+
+const WEEKDAY_LABELS = ["Su", "Mo", "Tu", "We", "Th", "Fr", "Sa"];
+
+/** Delivery runs shown in the Slack delivery log. */
+const SLACK_LOG_RUNS_SHOWN = 5;
 
 const workdayStartInput = document.getElementById("workdayStart");
 const workdayEndInput = document.getElementById("workdayEnd");
 const minBlockInput = document.getElementById("minBlockMinutes");
 const maxBlockInput = document.getElementById("maxStandardBlockMinutes");
+const meetingBufferInput = document.getElementById("meetingBufferMinutes");
+const smallMeetingInput = document.getElementById("smallMeetingMaxAttendees");
 const googleClientIdInput = document.getElementById("googleClientId");
+const absenceKeywordsInput = document.getElementById("absenceKeywords");
+const holidaysInput = document.getElementById("holidays");
+const companyDomainsInput = document.getElementById("companyDomains");
+const rosterEditSelect = document.getElementById("rosterEditSelect");
+const rosterEditNameInput = document.getElementById("rosterEditName");
+const rosterEditMembersInput = document.getElementById("rosterEditMembers");
+const rosterEditRejectedEl = document.getElementById("rosterEditRejected");
+const rosterImportInput = document.getElementById("rosterImportInput");
+const saveRosterBtn = document.getElementById("saveRosterBtn");
+const exportRosterBtn = document.getElementById("exportRosterBtn");
+const deleteRosterBtn = document.getElementById("deleteRosterBtn");
+const fetchConcurrencyInput = document.getElementById("fetchConcurrency");
+const fetchMaxRetriesInput = document.getElementById("fetchMaxRetries");
+const freeBusyFallbackInput = document.getElementById("freeBusyFallback");
+const eventCacheEnabledInput = document.getElementById("eventCacheEnabled");
+const eventCacheFreshMinutesInput = document.getElementById("eventCacheFreshMinutes");
+const eventCacheInfoEl = document.getElementById("eventCacheInfo");
+const clearCacheBtn = document.getElementById("clearCacheBtn");
+const historyMaxRunsInput = document.getElementById("historyMaxRuns");
+const busyEventClassInputs = document.querySelectorAll(
+  'input[name="busyEventClass"]'
+);
+
+const criteriaRulesEl = document.getElementById("criteriaRules");
+const addRuleBtn = document.getElementById("addRuleBtn");
+
+const categoryRulesEl = document.getElementById("categoryRules");
+const addCategoryRuleBtn = document.getElementById("addCategoryRuleBtn");
+const defaultCategoryInput = document.getElementById("defaultCategory");
+const nonBusyCategoriesInput = document.getElementById("nonBusyCategories");
+
+const defaultLocaleInput = document.getElementById("defaultLocale");
+const messageTemplatesEl = document.getElementById("messageTemplates");
+const addTemplateBtn = document.getElementById("addTemplateBtn");
+const ruleKeysEl = document.getElementById("ruleKeys");
+const previewLocaleSelect = document.getElementById("previewLocale");
+const previewSampleSelect = document.getElementById("previewSample");
+const previewBtn = document.getElementById("previewBtn");
+const messagePreviewEl = document.getElementById("messagePreview");
+
+const slackEnabledInput = document.getElementById("slackEnabled");
+const slackDryRunInput = document.getElementById("slackDryRun");
+const slackModeSelect = document.getElementById("slackMode");
+const slackOnlyFailedInput = document.getElementById("slackOnlyFailed");
+const slackWebhookUrlsInput = document.getElementById("slackWebhookUrls");
+const slackMaxRetriesInput = document.getElementById("slackMaxRetries");
+const slackLogEl = document.getElementById("slackLog");
 
 const saveBtn = document.getElementById("saveBtn");
 const resetBtn = document.getElementById("resetBtn");
@@ -36,9 +125,495 @@ async function loadConfigIntoForm() {
   workdayEndInput.value = config.workdayEnd;
   minBlockInput.value = config.minBlockMinutes;
   maxBlockInput.value = config.maxStandardBlockMinutes;
+  meetingBufferInput.value = config.meetingBufferMinutes;
+  smallMeetingInput.value = config.smallMeetingMaxAttendees;
   googleClientIdInput.value = config.googleClientId || "";
+  setBusyEventClasses(config.busyEventClasses);
+  absenceKeywordsInput.value = (config.absenceKeywords || []).join(", ");
+  holidaysInput.value = (config.holidays || []).join("\n");
+  companyDomainsInput.value = (config.companyDomains || []).join(", ");
+  fetchConcurrencyInput.value = config.fetchConcurrency;
+  fetchMaxRetriesInput.value = config.fetchMaxRetries;
+  freeBusyFallbackInput.checked = config.freeBusyFallback !== false;
+  eventCacheEnabledInput.checked = config.eventCacheEnabled !== false;
+  eventCacheFreshMinutesInput.value = config.eventCacheFreshMinutes;
+  historyMaxRunsInput.value = config.historyMaxRuns;
+  renderCriteriaRules(config.criteriaRules);
+  setCategoryFields(config);
+  defaultLocaleInput.value = config.defaultLocale || "";
+  renderMessageTemplates(config.messageTemplates);
+  setSlackFields(config);
+  await renderSlackLog();
+  await renderEventCacheInfo();
+  await renderRosterEditor();
   statusEl.textContent = "Settings loaded.";
 }
+
+/**
+ * Renders the criteria rule editor, one row per rule.
+ *
+ * @param {Array<Object>} rules - Rules from config.criteriaRules.
+ */
+function renderCriteriaRules(rules) {
+  criteriaRulesEl.innerHTML = "";
+  (Array.isArray(rules) ? rules : []).forEach((rule) =>
+    criteriaRulesEl.appendChild(createRuleRow(rule))
+  );
+}
+
+/**
+ * Builds the editor row for a single criteria rule.
+ *
+ * @param {{
+ *   id?: string;
+ *   label?: string;
+ *   metric?: string;
+ *   comparator?: string;
+ *   threshold?: number;
+ *   weekdays?: number[];
+ * }} rule - Rule to edit.
+ * @returns {HTMLElement} The row element.
+ */
+function createRuleRow(rule = {}) {
+  const row = document.createElement("div");
+  row.className = "rule-row";
+  row.dataset.ruleId =
+    rule.id || `rule-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+
+  const labelInput = document.createElement("input");
+  labelInput.type = "text";
+  labelInput.dataset.field = "label";
+  labelInput.placeholder = "Label";
+  labelInput.value = rule.label || "";
+
+  const metricSelect = document.createElement("select");
+  metricSelect.dataset.field = "metric";
+  for (const [key, metric] of Object.entries(CRITERIA_METRICS)) {
+    metricSelect.appendChild(new Option(metric.label, key, false, key === rule.metric));
+  }
+
+  const comparatorSelect = document.createElement("select");
+  comparatorSelect.dataset.field = "comparator";
+  for (const key of Object.keys(CRITERIA_COMPARATORS)) {
+    comparatorSelect.appendChild(new Option(key, key, false, key === rule.comparator));
+  }
+
+  const thresholdInput = document.createElement("input");
+  thresholdInput.type = "number";
+  thresholdInput.dataset.field = "threshold";
+  thresholdInput.value = rule.threshold ?? 0;
+
+  const weekdays = document.createElement("div");
+  weekdays.className = "weekdays";
+  const selectedWeekdays = Array.isArray(rule.weekdays) ? rule.weekdays.map(Number) : [];
+  WEEKDAY_LABELS.forEach((text, index) => {
+    const label = document.createElement("label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.dataset.weekday = String(index);
+    checkbox.checked = selectedWeekdays.includes(index);
+    label.append(checkbox, text);
+    weekdays.appendChild(label);
+  });
+
+  const removeBtn = document.createElement("button");
+  removeBtn.type = "button";
+  removeBtn.className = "secondary";
+  removeBtn.textContent = "Remove";
+  removeBtn.addEventListener("click", () => row.remove());
+
+  row.append(labelInput, metricSelect, comparatorSelect, thresholdInput, weekdays, removeBtn);
+  return row;
+}
+
+/**
+ * Reads the criteria rules from the editor.
+ * Rules without a label get one derived from their metric, comparator and threshold.
+ *
+ * @returns {Array<Object>} Rules to store in config.criteriaRules.
+ */
+function readCriteriaRules() {
+  return Array.from(criteriaRulesEl.querySelectorAll(".rule-row")).map((row) => {
+    const field = (name) => row.querySelector(`[data-field="${name}"]`).value;
+    const metric = field("metric");
+    const comparator = field("comparator");
+    const threshold = Number(field("threshold")) || 0;
+
+    return {
+      id: row.dataset.ruleId,
+      label:
+        field("label").trim() ||
+        `${CRITERIA_METRICS[metric]?.label || metric} ${comparator} ${threshold}`,
+      metric,
+      comparator,
+      threshold,
+      weekdays: Array.from(row.querySelectorAll("input[data-weekday]"))
+        .filter((checkbox) => checkbox.checked)
+        .map((checkbox) => Number(checkbox.dataset.weekday))
+    };
+  });
+}
+
+/**
+ * Loads the category rules, the default category and the non-busy categories
+ * into the form.
+ *
+ * @param {Object} config - Extension configuration.
+ */
+function setCategoryFields(config) {
+  categoryRulesEl.innerHTML = "";
+  (Array.isArray(config.categoryRules) ? config.categoryRules : []).forEach((rule) =>
+    categoryRulesEl.appendChild(createCategoryRuleRow(rule))
+  );
+  defaultCategoryInput.value = config.defaultCategory || "";
+  nonBusyCategoriesInput.value = (config.nonBusyCategories || []).join(", ");
+}
+
+/**
+ * Builds the editor row for a single category rule. The "Up" button moves
+ * the rule before the previous one (rules higher in the list win).
+ *
+ * @param {{
+ *   id?: string;
+ *   category?: string;
+ *   field?: string;
+ *   matchType?: string;
+ *   pattern?: string;
+ * }} rule - Rule to edit.
+ * @returns {HTMLElement} The row element.
+ */
+function createCategoryRuleRow(rule = {}) {
+  const row = document.createElement("div");
+  row.className = "rule-row";
+  row.dataset.ruleId =
+    rule.id || `category-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+
+  const categoryInput = document.createElement("input");
+  categoryInput.type = "text";
+  categoryInput.dataset.field = "category";
+  categoryInput.placeholder = "Category";
+  categoryInput.value = rule.category || "";
+
+  const fieldSelect = document.createElement("select");
+  fieldSelect.dataset.field = "field";
+  for (const [key, field] of Object.entries(CATEGORY_FIELDS)) {
+    fieldSelect.appendChild(new Option(field.label, key, false, key === rule.field));
+  }
+
+  const matchTypeSelect = document.createElement("select");
+  matchTypeSelect.dataset.field = "matchType";
+  for (const [key, label] of Object.entries(CATEGORY_MATCH_TYPES)) {
+    matchTypeSelect.appendChild(new Option(label, key, false, key === rule.matchType));
+  }
+
+  const patternInput = document.createElement("input");
+  patternInput.type = "text";
+  patternInput.dataset.field = "pattern";
+  patternInput.placeholder = "lunch, almuerzo";
+  patternInput.value = rule.pattern || "";
+
+  const upBtn = document.createElement("button");
+  upBtn.type = "button";
+  upBtn.className = "secondary";
+  upBtn.textContent = "Up";
+  upBtn.addEventListener("click", () => {
+    if (row.previousElementSibling) row.parentNode.insertBefore(row, row.previousElementSibling);
+  });
+
+  const removeBtn = document.createElement("button");
+  removeBtn.type = "button";
+  removeBtn.className = "secondary";
+  removeBtn.textContent = "Remove";
+  removeBtn.addEventListener("click", () => row.remove());
+
+  row.append(categoryInput, fieldSelect, matchTypeSelect, patternInput, upBtn, removeBtn);
+  return row;
+}
+
+/**
+ * Reads the category rules from the editor, in priority order.
+ * Rows without a category or a pattern are left out.
+ *
+ * @returns {Array<Object>} Rules to store in config.categoryRules.
+ */
+function readCategoryRules() {
+  return Array.from(categoryRulesEl.querySelectorAll(".rule-row"))
+    .map((row) => {
+      const field = (name) => row.querySelector(`[data-field="${name}"]`).value;
+      return {
+        id: row.dataset.ruleId,
+        category: field("category").trim(),
+        field: field("field"),
+        matchType: field("matchType"),
+        pattern: field("pattern").trim()
+      };
+    })
+    .filter((rule) => rule.category && rule.pattern);
+}
+
+/**
+ * Returns the first rule whose regular expression does not compile, or null.
+ */
+function findInvalidCategoryRule(rules) {
+  return (
+    rules.find((rule) => {
+      try {
+        compileCategoryPattern(rule);
+        return false;
+      } catch {
+        return true;
+      }
+    }) || null
+  );
+}
+
+/**
+ * Renders the message template editor, one row per locale.
+ *
+ * @param {Record<string, string>} templates - Templates from config.messageTemplates.
+ */
+function renderMessageTemplates(templates) {
+  messageTemplatesEl.innerHTML = "";
+  for (const [locale, text] of Object.entries(templates || {})) {
+    messageTemplatesEl.appendChild(createTemplateRow(locale, text));
+  }
+  refreshPreviewLocales();
+  renderPreview();
+}
+
+/**
+ * Builds the editor row for the template of one locale.
+ *
+ * @param {string} [locale] - Locale code (e.g. "es", "en").
+ * @param {string} [text] - Template text.
+ * @returns {HTMLElement} The row element.
+ */
+function createTemplateRow(locale = "", text = "") {
+  const row = document.createElement("div");
+  row.className = "template-row";
+
+  const localeInput = document.createElement("input");
+  localeInput.type = "text";
+  localeInput.dataset.field = "locale";
+  localeInput.placeholder = "en";
+  localeInput.value = locale;
+  localeInput.addEventListener("change", refreshPreviewLocales);
+
+  const textArea = document.createElement("textarea");
+  textArea.dataset.field = "template";
+  textArea.rows = 6;
+  textArea.value = text;
+
+  const removeBtn = document.createElement("button");
+  removeBtn.type = "button";
+  removeBtn.className = "secondary";
+  removeBtn.textContent = "Remove";
+  removeBtn.addEventListener("click", () => {
+    row.remove();
+    refreshPreviewLocales();
+  });
+
+  row.append(localeInput, textArea, removeBtn);
+  return row;
+}
+
+/**
+ * Reads the message templates from the editor.
+ * Rows without a locale or without text are ignored.
+ *
+ * @returns {Record<string, string>} Templates to store in config.messageTemplates.
+ */
+function readMessageTemplates() {
+  const templates = {};
+  for (const row of messageTemplatesEl.querySelectorAll(".template-row")) {
+    const locale = normalizeLocale(row.querySelector('[data-field="locale"]').value);
+    const text = row.querySelector('[data-field="template"]').value;
+    if (locale && text.trim()) templates[locale] = text;
+  }
+  return templates;
+}
+
+/**
+ * Fills the preview locale selector with the locales of the editor and lists
+ * the rule ids that can be used in {#failed:KEY} sections.
+ */
+function refreshPreviewLocales() {
+  const current = previewLocaleSelect.value;
+  const locales = Object.keys(readMessageTemplates());
+
+  previewLocaleSelect.innerHTML = "";
+  for (const locale of locales) {
+    previewLocaleSelect.appendChild(new Option(locale, locale, false, locale === current));
+  }
+
+  const ids = readCriteriaRules().map((rule) => rule.id);
+  ruleKeysEl.textContent = ids.length ? `Rule ids: ${ids.join(", ")}.` : "";
+}
+
+/**
+ * Renders the selected template against sample data, using the rules and
+ * templates currently in the editor (saved or not).
+ */
+function renderPreview() {
+  const rules = readCriteriaRules();
+  const failed = previewSampleSelect.value === "failed";
+
+  const sample = {
+    email: "maria.lopez@example.com",
+    date: new Date().toISOString().split("T")[0],
+    status: failed ? "failed" : "passed",
+    passedRules: failed ? [] : rules,
+    failedRules: failed ? rules : [],
+    metrics: {
+      busyMinutes: failed ? 330 : 540,
+      workdayMinutes: 600,
+      busyPercent: failed ? 55 : 90,
+      freeMinutes: failed ? 270 : 60,
+      longestBlockMinutes: failed ? 120 : 60,
+      freeGapCount: 2,
+      backToBackCount: 1,
+      afterHoursMinutes: 0,
+      focusMinutes: 60
+    },
+    longBlocks: failed ? [{ from: "09:00", to: "11:00", duration: 120 }] : []
+  };
+
+  messagePreviewEl.textContent = renderCriteriaMessage(
+    sample,
+    { messageTemplates: readMessageTemplates(), defaultLocale: defaultLocaleInput.value },
+    { name: "María", locale: previewLocaleSelect.value }
+  );
+}
+
+/**
+ * Loads the Slack delivery settings into the form.
+ *
+ * @param {Object} config - Extension configuration.
+ */
+function setSlackFields(config) {
+  slackEnabledInput.checked = Boolean(config.slackEnabled);
+  slackDryRunInput.checked = Boolean(config.slackDryRun);
+  slackModeSelect.value = config.slackMode === "per_user" ? "per_user" : "summary";
+  slackOnlyFailedInput.checked = config.slackOnlyFailed !== false;
+  slackWebhookUrlsInput.value = (config.slackWebhookUrls || []).join("\n");
+  slackMaxRetriesInput.value = config.slackMaxRetries ?? 3;
+}
+
+/**
+ * Returns the origin patterns of webhooks on localhost / 127.0.0.1, which
+ * need an optional host permission (e.g. a local mock webhook server).
+ *
+ * @param {string[]} urls - Webhook URLs.
+ * @returns {string[]} Origin patterns such as "http://localhost/*".
+ */
+function getLocalWebhookOrigins(urls) {
+  const origins = new Set();
+  for (const url of urls) {
+    try {
+      const { protocol, hostname } = new URL(url);
+      if (hostname === "localhost" || hostname === "127.0.0.1") {
+        origins.add(`${protocol}//${hostname}/*`);
+      }
+    } catch {
+      // URL inválida: se guarda igual y fallará al enviar
+    }
+  }
+  return Array.from(origins);
+}
+
+/**
+ * Shows the most recent Slack delivery runs.
+ *
+ * @returns {Promise<void>}
+ */
+async function renderSlackLog() {
+  const runs = (await getSlackDeliveryLog()).slice(0, SLACK_LOG_RUNS_SHOWN);
+
+  if (runs.length === 0) {
+    slackLogEl.textContent = "No deliveries yet.";
+    return;
+  }
+
+  slackLogEl.textContent = runs
+    .map((run) => {
+      const header =
+        `${run.startedAt} · ${run.label || "-"} · ${run.mode}` +
+        (run.dryRun ? " · dry run" : ` · ${run.sent} sent, ${run.failed} failed`);
+      const lines = (run.deliveries || []).map(
+        (d) =>
+          `  ${d.status.padEnd(7)} ${d.email || "summary"}${d.date ? ` ${d.date}` : ""}` +
+          ` → ${d.webhook}` +
+          (d.httpStatus ? ` [HTTP ${d.httpStatus}, ${d.attempts} attempt(s)]` : "") +
+          (d.error ? ` ${d.error}` : "")
+      );
+      return [header, ...lines].join("\n");
+    })
+    .join("\n\n");
+}
+
+/**
+ * Checks the busy event class checkboxes that appear in the given list.
+ *
+ * @param {string[]} classes - Event classes that count toward busy time.
+ */
+function setBusyEventClasses(classes) {
+  const selected = Array.isArray(classes) ? classes : [];
+  busyEventClassInputs.forEach((input) => {
+    input.checked = selected.includes(input.value);
+  });
+}
+
+/**
+ * Reads the checked busy event classes from the form.
+ *
+ * @returns {string[]} Event classes that count toward busy time.
+ */
+function getBusyEventClasses() {
+  return Array.from(busyEventClassInputs)
+    .filter((input) => input.checked)
+    .map((input) => input.value);
+}
+/**
+ * Splits a comma-separated input value into a list of trimmed, non-empty items.
+ *
+ * @param {string} value - Raw input value.
+ * @returns {string[]} List of items.
+ */
+function parseList(value) {
+  return String(value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter((item) => item.length > 0);
+}
+
+/**
+ * Splits a textarea value into a list of trimmed, non-empty lines.
+ *
+ * @param {string} value - Raw textarea value.
+ * @returns {string[]} List of lines.
+ */
+function parseLines(value) {
+  return String(value || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0);
+}
+
+/**
+ * Extracts valid YYYY-MM-DD dates from the holidays textarea (one per line or
+ * comma-separated), sorted and without duplicates.
+ *
+ * @param {string} value - Raw textarea value.
+ * @returns {string[]} Holiday dates.
+ */
+function parseHolidays(value) {
+  const dates = String(value || "")
+    .split(/[\s,]+/)
+    .map((item) => item.trim())
+    .filter((item) => /^\d{4}-\d{2}-\d{2}$/.test(item));
+  return Array.from(new Set(dates)).sort();
+}
+
 /**
  * Handles saving user-defined configuration values.
  * Values are validated and falls back to defaults when needed.
@@ -46,15 +621,66 @@ async function loadConfigIntoForm() {
  * @returns {Promise<void>}
  */
 async function handleSave() {
+  const categoryRules = readCategoryRules();
+  const invalidRule = findInvalidCategoryRule(categoryRules);
+  if (invalidRule) {
+    statusEl.textContent =
+      `The category rule "${invalidRule.category}" has an invalid regular expression.`;
+    return;
+  }
+
   const updates = {
     workdayStart: workdayStartInput.value || "07:00",
     workdayEnd: workdayEndInput.value || "17:00",
     minBlockMinutes: parseInt(minBlockInput.value, 10) || 30,
     maxStandardBlockMinutes: parseInt(maxBlockInput.value, 10) || 60,
-    googleClientId: googleClientIdInput.value.trim()
+    meetingBufferMinutes: Math.max(0, parseInt(meetingBufferInput.value, 10) || 0),
+    smallMeetingMaxAttendees: Math.max(3, parseInt(smallMeetingInput.value, 10) || 6),
+    googleClientId: googleClientIdInput.value.trim(),
+    busyEventClasses: getBusyEventClasses(),
+    absenceKeywords: parseList(absenceKeywordsInput.value),
+    holidays: parseHolidays(holidaysInput.value),
+    companyDomains: parseList(companyDomainsInput.value).map((d) =>
+      d.toLowerCase().replace(/^@/, "")
+    ),
+    fetchConcurrency: Math.max(1, parseInt(fetchConcurrencyInput.value, 10) || 5),
+    fetchMaxRetries: Math.max(0, parseInt(fetchMaxRetriesInput.value, 10) || 0),
+    freeBusyFallback: freeBusyFallbackInput.checked,
+    eventCacheEnabled: eventCacheEnabledInput.checked,
+    eventCacheFreshMinutes: Math.max(0, parseInt(eventCacheFreshMinutesInput.value, 10) || 0),
+    historyMaxRuns: Math.max(0, parseInt(historyMaxRunsInput.value, 10) || 0),
+    criteriaRules: readCriteriaRules(),
+    categoryRules,
+    defaultCategory: defaultCategoryInput.value.trim(),
+    nonBusyCategories: parseList(nonBusyCategoriesInput.value),
+    messageTemplates: readMessageTemplates(),
+    defaultLocale: normalizeLocale(defaultLocaleInput.value) || "es",
+    slackEnabled: slackEnabledInput.checked,
+    slackDryRun: slackDryRunInput.checked,
+    slackMode: slackModeSelect.value,
+    slackOnlyFailed: slackOnlyFailedInput.checked,
+    slackWebhookUrls: parseLines(slackWebhookUrlsInput.value),
+    slackMaxRetries: Math.max(0, parseInt(slackMaxRetriesInput.value, 10) || 0)
   };
 
+  // El permiso debe pedirse dentro del gesto del usuario (antes de cualquier await)
+  const localOrigins = getLocalWebhookOrigins(updates.slackWebhookUrls);
+  const permissionRequest = localOrigins.length
+    ? chrome.permissions.request({ origins: localOrigins }).catch(() => false)
+    : Promise.resolve(true);
+
+  const granted = await permissionRequest;
+
+  const previous = await getConfig();
   await saveConfig(updates);
+  // Al bajar el límite (o desactivar el historial) se borran ya las ejecuciones sobrantes
+  if (updates.historyMaxRuns !== previous.historyMaxRuns) {
+    await pruneReportRuns(updates.historyMaxRuns);
+  }
+  if (!granted) {
+    statusEl.textContent = "Settings saved, but access to the local webhook was not granted.";
+    return;
+  }
   statusEl.textContent = "Settings saved.";
   setTimeout(() => (statusEl.textContent = ""), 2000);
 }
@@ -69,11 +695,211 @@ async function handleReset() {
   workdayEndInput.value = newConfig.workdayEnd;
   minBlockInput.value = newConfig.minBlockMinutes;
   maxBlockInput.value = newConfig.maxStandardBlockMinutes;
+  meetingBufferInput.value = newConfig.meetingBufferMinutes;
+  smallMeetingInput.value = newConfig.smallMeetingMaxAttendees;
   googleClientIdInput.value = newConfig.googleClientId || "";
+  setBusyEventClasses(newConfig.busyEventClasses);
+  absenceKeywordsInput.value = (newConfig.absenceKeywords || []).join(", ");
+  holidaysInput.value = (newConfig.holidays || []).join("\n");
+  companyDomainsInput.value = (newConfig.companyDomains || []).join(", ");
+  fetchConcurrencyInput.value = newConfig.fetchConcurrency;
+  fetchMaxRetriesInput.value = newConfig.fetchMaxRetries;
+  freeBusyFallbackInput.checked = newConfig.freeBusyFallback !== false;
+  eventCacheEnabledInput.checked = newConfig.eventCacheEnabled !== false;
+  eventCacheFreshMinutesInput.value = newConfig.eventCacheFreshMinutes;
+  historyMaxRunsInput.value = newConfig.historyMaxRuns;
+  renderCriteriaRules(newConfig.criteriaRules);
+  setCategoryFields(newConfig);
+  defaultLocaleInput.value = newConfig.defaultLocale || "";
+  renderMessageTemplates(newConfig.messageTemplates);
+  setSlackFields(newConfig);
   statusEl.textContent = "Settings reset to defaults.";
   setTimeout(() => (statusEl.textContent = ""), 2000);
 }
 
+/**
+ * Shows the number of cached calendars and events, and the sync times.
+ *
+ * @returns {Promise<void>}
+ */
+async function renderEventCacheInfo() {
+  try {
+    const info = await getEventCacheInfo();
+    eventCacheInfoEl.textContent =
+      info.calendars === 0
+        ? "The event cache is empty."
+        : `${info.calendars} calendar(s) and ${info.events} event(s) cached. ` +
+          `Synced between ${new Date(info.oldestSyncedAt).toLocaleString()} and ` +
+          `${new Date(info.newestSyncedAt).toLocaleString()}.`;
+  } catch (err) {
+    console.error("[Calendar-Analytics] Error reading the event cache:", err);
+    eventCacheInfoEl.textContent = "The event cache could not be read.";
+  }
+}
+
+/**
+ * Removes every cached calendar: the next report downloads all events again.
+ *
+ * @returns {Promise<void>}
+ */
+async function handleClearCache() {
+  await clearEventCache();
+  await renderEventCacheInfo();
+  statusEl.textContent = "Event cache cleared.";
+  setTimeout(() => (statusEl.textContent = ""), 2000);
+}
+
+/** -------------------- ROSTERS -------------------- **/
+/** Saved rosters, as last read from storage. */
+let savedRosters = [];
+
+/**
+ * Loads the saved rosters into the editor dropdown and shows the selected one
+ * ("New roster" when none).
+ *
+ * @param {string} [selectedId] - Roster to show (default: the current selection).
+ * @returns {Promise<void>}
+ */
+async function renderRosterEditor(selectedId = rosterEditSelect.value) {
+  savedRosters = await getRosters();
+
+  rosterEditSelect.textContent = "";
+  rosterEditSelect.appendChild(new Option("New roster", ""));
+  for (const roster of savedRosters) {
+    rosterEditSelect.appendChild(
+      new Option(`${roster.name} (${roster.members.length})`, roster.id)
+    );
+  }
+  rosterEditSelect.value = savedRosters.some((r) => r.id === selectedId) ? selectedId : "";
+
+  showSelectedRoster();
+}
+
+function showSelectedRoster() {
+  const roster = savedRosters.find((r) => r.id === rosterEditSelect.value);
+  rosterEditNameInput.value = roster?.name || "";
+  rosterEditMembersInput.value = roster ? buildRosterCsv(roster.members) : "";
+  rosterImportInput.value = "";
+  renderRosterRejected([]);
+  exportRosterBtn.disabled = !roster;
+  deleteRosterBtn.disabled = !roster;
+}
+
+function renderRosterRejected(rejected) {
+  rosterEditRejectedEl.textContent = "";
+  rosterEditRejectedEl.hidden = rejected.length === 0;
+  for (const text of describeRejectedRows(rejected)) {
+    const item = document.createElement("li");
+    item.textContent = text;
+    rosterEditRejectedEl.appendChild(item);
+  }
+}
+
+/**
+ * Validates the members CSV and saves the roster. Rejected rows are listed
+ * and left out of the saved roster.
+ *
+ * @returns {Promise<void>}
+ */
+async function handleSaveRoster() {
+  const parsed = parseRosterCsv(rosterEditMembersInput.value, {
+    allowedDomains: parseList(companyDomainsInput.value)
+  });
+  renderRosterRejected(parsed.rejected);
+
+  if (parsed.emails.length === 0) {
+    statusEl.textContent = "The roster has no valid emails.";
+    return;
+  }
+
+  try {
+    const saved = await saveRoster({
+      id: rosterEditSelect.value || undefined,
+      name: rosterEditNameInput.value,
+      members: toRosterMembers(parsed)
+    });
+    await renderRosterEditor(saved.id);
+    renderRosterRejected(parsed.rejected);
+    statusEl.textContent =
+      `Roster "${saved.name}" saved with ${saved.members.length} user(s)` +
+      (parsed.rejected.length > 0 ? `; ${parsed.rejected.length} row(s) rejected.` : ".");
+  } catch (err) {
+    statusEl.textContent = err?.message || "The roster could not be saved.";
+  }
+}
+
+/**
+ * Deletes the selected roster after confirmation.
+ *
+ * @returns {Promise<void>}
+ */
+async function handleDeleteRoster() {
+  const roster = savedRosters.find((r) => r.id === rosterEditSelect.value);
+  if (!roster || !confirm(`Delete the roster "${roster.name}"?`)) return;
+
+  await deleteRoster(roster.id);
+  await renderRosterEditor("");
+  statusEl.textContent = `Roster "${roster.name}" deleted.`;
+}
+
+/**
+ * Downloads the selected roster as CSV, to share it or edit it in a spreadsheet.
+ */
+function handleExportRoster() {
+  const roster = savedRosters.find((r) => r.id === rosterEditSelect.value);
+  if (!roster) return;
+
+  // BOM para que Excel lea bien las tildes
+  const content = "\ufeff" + buildRosterCsv(roster.members);
+  const link = document.createElement("a");
+  link.href = "data:text/csv;charset=utf-8," + encodeURIComponent(content);
+  link.download = `roster-${roster.name.replace(/[^\w-]+/g, "_")}.csv`;
+  link.click();
+}
+
+/**
+ * Loads a CSV file into the members textarea (and its name into an empty
+ * name field). The roster is saved with "Save roster".
+ */
+function handleImportRoster() {
+  const file = rosterImportInput.files?.[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = (e) => {
+    const parsed = parseRosterCsv(String(e.target?.result || ""), {
+      allowedDomains: parseList(companyDomainsInput.value)
+    });
+    rosterEditMembersInput.value = buildRosterCsv(toRosterMembers(parsed));
+    if (!rosterEditNameInput.value.trim()) {
+      rosterEditNameInput.value = file.name.replace(/\.[^.]+$/, "");
+    }
+    renderRosterRejected(parsed.rejected);
+    statusEl.textContent =
+      `Imported ${parsed.emails.length} user(s) from ${file.name}. Click "Save roster" to keep them.`;
+  };
+  reader.readAsText(file);
+}
+
 document.addEventListener("DOMContentLoaded", loadConfigIntoForm);
 saveBtn.addEventListener("click", handleSave);
 resetBtn.addEventListener("click", handleReset);
+addRuleBtn.addEventListener("click", () => {
+  criteriaRulesEl.appendChild(createRuleRow());
+  refreshPreviewLocales();
+});
+addCategoryRuleBtn.addEventListener("click", () =>
+  categoryRulesEl.appendChild(createCategoryRuleRow())
+);
+addTemplateBtn.addEventListener("click", () =>
+  messageTemplatesEl.appendChild(createTemplateRow())
+);
+previewBtn.addEventListener("click", renderPreview);
+clearCacheBtn.addEventListener("click", handleClearCache);
+rosterEditSelect.addEventListener("change", showSelectedRoster);
+rosterImportInput.addEventListener("change", handleImportRoster);
+saveRosterBtn.addEventListener("click", handleSaveRoster);
+exportRosterBtn.addEventListener("click", handleExportRoster);
+deleteRosterBtn.addEventListener("click", handleDeleteRoster);
+previewSampleSelect.addEventListener("change", renderPreview);
+previewLocaleSelect.addEventListener("change", renderPreview);
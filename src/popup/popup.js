@@ -4,21 +4,82 @@
  *
  * Responsibilities:
  * - Authenticate the user with Google (OAuth) to access Calendar data.
- * - Parse and validate a CSV file containing user email addresses.
- * - Manage a single-day date selection for reports.
+ * - Parse and validate a CSV file (uploaded or pasted) containing user email
+ *   addresses and optional per-user time zone overrides, names, teams,
+ *   managers, message locales and Slack IDs (see rosterCsv.js), listing the
+ *   rejected rows.
+ * - Save the loaded users as a named roster, select a saved roster or combine
+ *   several of them for one run (see storage/rosters.js).
+ * - Manage the date range selection for reports (day, week, month or custom),
+ *   optionally skipping weekends and configured holidays.
  * - Enable/disable report generation buttons based on state (auth + CSV).
- * - Send messages to the background script to trigger:
- *    - Standard CSV report
- *    - Criteria-based CSV report
+ * - Start report jobs in the background script, as CSV or XLSX:
+ *    - Standard report
+ *    - Criteria-based report
+ *    - Per-user summary report
+ * - Compare the selected period with the previous one (diff report).
+ * - Find the slots where the roster can meet (length, required and optional
+ *   attendees), downloaded as CSV and as .ics holds.
+ * - Follow the running job through a port (progress bar, phase, failures),
+ *   reattaching to it when the popup is reopened, and cancel it on demand.
+ * - Show the age of the local event cache, and force a full refresh on demand.
  *
  * UI elements are defined in popup.html and styled via popup.css.
  */
 
 import { authenticateUser, hasValidToken } from "../services/googleAuth.js";
+import { addDays } from "../services/timeZone.js";
+import {
+  parseRosterCsv,
+  describeRejectedRows,
+  toRosterMembers,
+  combineRosterMembers
+} from "../services/rosterCsv.js";
+import { getConfig } from "../storage/storage.js";
+import {
+  getRosters,
+  saveRoster,
+  getActiveRosterIds,
+  setActiveRosterIds
+} from "../storage/rosters.js";
+import { getEventCacheInfo } from "../storage/eventCache.js";
+import { JOB_PORT_NAME } from "../background/jobManager.js";
+
+/** Longest period (in days) that can be requested in a single report. */
+const MAX_RANGE_DAYS = 93;
+
+/** Name of each report type in the status messages. */
+const REPORT_NAMES = {
+  GENERATE_REPORT: "report",
+  GENERATE_CRITERIA_REPORT: "criteria report",
+  GENERATE_SUMMARY_REPORT: "summary report",
+  GENERATE_DIFF_REPORT: "diff report",
+  FIND_COMMON_SLOTS: "free slots"
+};
 
 /** -------------------- STATE -------------------- **/
 let emailsFromCsv = [];
+/** Time zone overrides from the roster CSV, keyed by email. */
+let timeZonesFromCsv = {};
+/** Names, teams, managers, message locales and Slack user IDs from the roster CSV, keyed by email. */
+let recipientsFromCsv = {};
+/** Holiday dates (YYYY-MM-DD) configured on the options page. */
+let holidays = [];
+/** Email domains accepted in the roster (empty = any). */
+let companyDomains = [];
+/** Saved rosters (see storage/rosters.js). */
+let savedRosters = [];
+/** IDs of the saved rosters combined into the working roster. */
+let activeRosterIds = [];
+/** Members of the uploaded or pasted CSV, or null when none is loaded. */
+let uploadedMembers = null;
 let isAuthenticated = false;
+let eventCacheEnabled = true;
+/** Port connected to the background job manager. */
+let jobPort = null;
+/** ID of the job shown in the popup (running or last finished). */
+let currentJobId = null;
+let isJobRunning = false;
 
 /** -------------------- DOM ELEMENTS -------------------- **/
 const connectBtn = document.getElementById("connectBtn");
@@ -26,12 +87,42 @@ const authStatusEl = document.getElementById("authStatus");
 
 const csvInput = document.getElementById("csvInput");
 const csvInfoEl = document.getElementById("csvInfo");
-
+const csvRejectedEl = document.getElementById("csvRejected");
+const rosterSelect = document.getElementById("rosterSelect");
+const addRosterBtn = document.getElementById("addRosterBtn");
+const rosterTextInput = document.getElementById("rosterText");
+const pasteRosterBtn = document.getElementById("pasteRosterBtn");
+const rosterNameInput = document.getElementById("rosterName");
+const saveRosterBtn = document.getElementById("saveRosterBtn");
+
+const rangeTypeSelect = document.getElementById("rangeType");
+const reportDateLabel = document.getElementById("reportDateLabel");
 const reportDateInput = document.getElementById("reportDate");
-
+const customStartLabel = document.getElementById("customStartLabel");
+const customStartInput = document.getElementById("customStart");
+const customEndLabel = document.getElementById("customEndLabel");
+const customEndInput = document.getElementById("customEnd");
+const skipWeekendsInput = document.getElementById("skipWeekends");
+const skipHolidaysInput = document.getElementById("skipHolidays");
+const rangeInfoEl = document.getElementById("rangeInfo");
+
+const exportFormatSelect = document.getElementById("exportFormat");
+const forceRefreshInput = document.getElementById("forceRefresh");
+const cacheInfoEl = document.getElementById("cacheInfo");
 const generateBtn = document.getElementById("generateBtn");
 const criteriaBtn = document.getElementById("criteriaBtn");
+const summaryBtn = document.getElementById("summaryBtn");
+const diffBtn = document.getElementById("diffBtn");
+const slotDurationInput = document.getElementById("slotDuration");
+const slotIcsInput = document.getElementById("slotIcs");
+const slotTitleInput = document.getElementById("slotTitle");
+const slotRequiredInput = document.getElementById("slotRequired");
+const slotOptionalInput = document.getElementById("slotOptional");
+const findTimeBtn = document.getElementById("findTimeBtn");
 const generateStatusEl = document.getElementById("generateStatus");
+const jobProgressEl = document.getElementById("jobProgress");
+const jobProgressBar = document.getElementById("jobProgressBar");
+const cancelBtn = document.getElementById("cancelBtn");
 
 /** -------------------- UI HELPERS -------------------- **/
 /**
@@ -39,9 +130,12 @@ const generateStatusEl = document.getElementById("generateStatus");
  * based on authentication status and CSV upload state.
  */
 function updateGenerateButtonState() {
-  const canGenerate = isAuthenticated && emailsFromCsv.length > 0;
+  const canGenerate = isAuthenticated && emailsFromCsv.length > 0 && !isJobRunning;
   generateBtn.disabled = !canGenerate;
   if (criteriaBtn) criteriaBtn.disabled = !canGenerate;
+  if (summaryBtn) summaryBtn.disabled = !canGenerate;
+  if (diffBtn) diffBtn.disabled = !canGenerate;
+  if (findTimeBtn) findTimeBtn.disabled = !canGenerate;
 }
 
 /**
@@ -58,8 +152,11 @@ function setStatus(text, color = "#a5b4fc") {
 /**
  * On popup open:
  * - Check if a valid token exists.
- * - Set the default date input to "today".
- * - Update button states.
+ * - Load the configured holidays.
+ * - Set the default date inputs to "today".
+ * - Load the saved rosters and the ones selected in the previous session.
+ * - Update button states and the event cache age.
+ * - Reattach to the report job running in the background, if any.
  */
 document.addEventListener("DOMContentLoaded", async () => {
   try {
@@ -73,6 +170,15 @@ document.addEventListener("DOMContentLoaded", async () => {
     console.error("[Calendar-Analytics] Error checking token:", e);
   }
 
+  try {
+    const config = await getConfig();
+    holidays = Array.isArray(config.holidays) ? config.holidays : [];
+    companyDomains = Array.isArray(config.companyDomains) ? config.companyDomains : [];
+    eventCacheEnabled = config.eventCacheEnabled !== false;
+  } catch (e) {
+    console.error("[Calendar-Analytics] Error loading config:", e);
+  }
+
   // Default date = today (YYYY-MM-DD)
   if (reportDateInput) {
     const now = new Date();
@@ -80,9 +186,15 @@ document.addEventListener("DOMContentLoaded", async () => {
     const mm = String(now.getMonth() + 1).padStart(2, "0");
     const dd = String(now.getDate()).padStart(2, "0");
     reportDateInput.value = `${yyyy}-${mm}-${dd}`;
+    customStartInput.value = reportDateInput.value;
+    customEndInput.value = reportDateInput.value;
   }
 
+  updateRangeUi();
+  await loadSavedRosters();
   updateGenerateButtonState();
+  updateCacheInfo();
+  postToJobPort({ type: "ATTACH" });
 });
 
 /** -------------------- AUTH -------------------- **/
@@ -103,151 +215,383 @@ connectBtn.addEventListener("click", async () => {
   }
 });
 
-/** -------------------- CSV PARSING -------------------- **/
+/** -------------------- ROSTER -------------------- **/
+/** Rejected rows listed under the upload; the rest are summarized in one line. */
+const MAX_REJECTED_SHOWN = 10;
+
 /**
- * Handles CSV upload and extracts a list of emails.
+ * Loads the saved rosters into the dropdown, and the rosters selected in the
+ * previous session into the working roster.
+ *
+ * @returns {Promise<void>}
  */
-csvInput.addEventListener("change", () => {
-  const file = csvInput.files?.[0];
+async function loadSavedRosters() {
+  try {
+    const [rosters, activeIds] = await Promise.all([getRosters(), getActiveRosterIds()]);
+    savedRosters = rosters;
+    activeRosterIds = activeIds.filter((id) => rosters.some((r) => r.id === id));
+  } catch (e) {
+    console.error("[Calendar-Analytics] Error loading the saved rosters:", e);
+  }
 
-  emailsFromCsv = [];
-  csvInfoEl.textContent = "";
-  setStatus("");
+  renderRosterSelect();
+  if (activeRosterIds.length > 0) applyWorkingRoster();
+}
 
-  if (!file) {
-    updateGenerateButtonState();
-    return;
+function renderRosterSelect() {
+  rosterSelect.textContent = "";
+  rosterSelect.appendChild(new Option("Saved rosters…", ""));
+  for (const roster of savedRosters) {
+    rosterSelect.appendChild(new Option(`${roster.name} (${roster.members.length})`, roster.id));
   }
+  rosterSelect.value = activeRosterIds[0] || "";
+  rosterSelect.disabled = savedRosters.length === 0;
+  updateAddRosterButton();
+}
 
-  const reader = new FileReader();
+function updateAddRosterButton() {
+  addRosterBtn.disabled =
+    !rosterSelect.value || activeRosterIds.includes(rosterSelect.value);
+}
 
-  reader.onload = (e) => {
-    const text = String(e.target?.result || "");
-    const emails = parseEmailsFromCsvText(text);
+/**
+ * Rebuilds the roster of the run from the uploaded or pasted members and the
+ * selected saved rosters, and shows a summary.
+ *
+ * @param {{ rejected?: Array<Object>; invalidTimeZones?: string[] }} [parseResult] -
+ *   Validation of the CSV just loaded, if any.
+ */
+function applyWorkingRoster(parseResult = {}) {
+  const activeRosters = activeRosterIds
+    .map((id) => savedRosters.find((r) => r.id === id))
+    .filter(Boolean);
+  const { emails, timeZones, recipients } = combineRosterMembers([
+    uploadedMembers || [],
+    ...activeRosters.map((r) => r.members)
+  ]);
+
+  emailsFromCsv = emails;
+  timeZonesFromCsv = timeZones;
+  recipientsFromCsv = recipients;
+
+  const rejected = parseResult.rejected || [];
+  const invalidTimeZones = parseResult.invalidTimeZones || [];
+
+  if (emails.length === 0) {
+    csvInfoEl.textContent =
+      uploadedMembers || activeRosters.length > 0 ? "No valid emails found in the roster." : "";
+    csvInfoEl.style.color = "#f97316";
+  } else {
+    const sources = [
+      ...(uploadedMembers ? ["CSV"] : []),
+      ...activeRosters.map((r) => r.name)
+    ];
+    const overrides = Object.keys(timeZones).length;
+    let info = `Loaded ${emails.length} email(s) from ${sources.join(" + ")}.`;
+    if (overrides > 0) info += ` ${overrides} with a time zone override.`;
+    if (rejected.length > 0) info += ` ${rejected.length} row(s) rejected.`;
+    if (invalidTimeZones.length > 0) {
+      info += ` Ignored unknown time zone(s): ${invalidTimeZones.join(", ")}.`;
+    }
+    csvInfoEl.textContent = info;
+    csvInfoEl.style.color =
+      rejected.length > 0 || invalidTimeZones.length > 0 ? "#f97316" : "#a5b4fc";
+  }
 
-    emailsFromCsv = emails;
+  renderRejectedRows(rejected);
+  saveRosterBtn.disabled = emails.length === 0;
+  updateGenerateButtonState();
+  updateCacheInfo();
+}
 
-    if (emails.length === 0) {
-      csvInfoEl.textContent = "No valid emails found in the CSV file.";
-      csvInfoEl.style.color = "#f97316";
-    } else {
-      csvInfoEl.textContent = `Loaded ${emails.length} email(s) from CSV.`;
-      csvInfoEl.style.color = "#a5b4fc";
-    }
+/**
+ * Parses an uploaded or pasted roster CSV, which replaces the working roster.
+ *
+ * @param {string} text - Raw CSV content.
+ */
+function loadRosterText(text) {
+  const parsed = parseRosterCsv(text, { allowedDomains: companyDomains });
+  uploadedMembers = toRosterMembers(parsed);
+  activeRosterIds = [];
+  rosterSelect.value = "";
+  setActiveRosterIds([]);
+  updateAddRosterButton();
+  applyWorkingRoster(parsed);
+}
 
-    updateGenerateButtonState();
-  };
+/**
+ * Handles CSV upload and extracts a list of emails.
+ */
+csvInput.addEventListener("change", () => {
+  const file = csvInput.files?.[0];
+  setStatus("");
+  if (!file) return;
+
+  const reader = new FileReader();
+
+  reader.onload = (e) => loadRosterText(String(e.target?.result || ""));
 
   reader.onerror = () => {
-    emailsFromCsv = [];
+    uploadedMembers = null;
+    applyWorkingRoster();
     csvInfoEl.textContent = "Error reading CSV file.";
     csvInfoEl.style.color = "#f97316";
-    updateGenerateButtonState();
   };
 
   reader.readAsText(file);
 });
 
+pasteRosterBtn.addEventListener("click", () => {
+  setStatus("");
+  csvInput.value = "";
+  loadRosterText(rosterTextInput.value);
+});
+
+/** Selecting a saved roster replaces the working roster. */
+rosterSelect.addEventListener("change", () => {
+  setStatus("");
+  csvInput.value = "";
+  uploadedMembers = null;
+  activeRosterIds = rosterSelect.value ? [rosterSelect.value] : [];
+  setActiveRosterIds(activeRosterIds);
+  updateAddRosterButton();
+  applyWorkingRoster();
+});
+
+/** "Add" combines the roster shown in the dropdown with the working roster. */
+addRosterBtn.addEventListener("click", () => {
+  const id = rosterSelect.value;
+  if (!id || activeRosterIds.includes(id)) return;
+  activeRosterIds = [...activeRosterIds, id];
+  setActiveRosterIds(activeRosterIds);
+  updateAddRosterButton();
+  applyWorkingRoster();
+});
+
 /**
- * Parses email addresses from a CSV text input.
+ * Saves the working roster under the given name (replacing a roster with the
+ * same name) and selects it.
+ */
+saveRosterBtn.addEventListener("click", async () => {
+  const name = rosterNameInput.value.trim();
+  if (!name) {
+    setStatus("Please enter a name for the roster.", "#f97316");
+    return;
+  }
+
+  try {
+    const members = emailsFromCsv.map((email) => ({
+      email,
+      ...(recipientsFromCsv[email] || {}),
+      ...(timeZonesFromCsv[email] ? { timeZone: timeZonesFromCsv[email] } : {})
+    }));
+    const saved = await saveRoster({ name, members });
+
+    savedRosters = await getRosters();
+    uploadedMembers = null;
+    activeRosterIds = [saved.id];
+    await setActiveRosterIds(activeRosterIds);
+    rosterNameInput.value = "";
+    renderRosterSelect();
+    applyWorkingRoster();
+    setStatus(`Roster "${saved.name}" saved with ${members.length} user(s).`, "#22c55e");
+  } catch (err) {
+    console.error("[Calendar-Analytics] Error saving the roster:", err);
+    setStatus(err?.message || "The roster could not be saved.", "#f97316");
+  }
+});
+
+/**
+ * Lists the rejected roster rows and the reason for each one.
+ *
+ * @param {Array<{ line: number; value: string; reason: string }>} rejected
+ */
+function renderRejectedRows(rejected) {
+  if (!csvRejectedEl) return;
+  csvRejectedEl.textContent = "";
+  csvRejectedEl.hidden = rejected.length === 0;
+
+  const lines = describeRejectedRows(rejected.slice(0, MAX_REJECTED_SHOWN));
+  if (rejected.length > MAX_REJECTED_SHOWN) {
+    lines.push(`…and ${rejected.length - MAX_REJECTED_SHOWN} more.`);
+  }
+  for (const text of lines) {
+    const item = document.createElement("li");
+    item.textContent = text;
+    csvRejectedEl.appendChild(item);
+  }
+}
+
+/** -------------------- DATE PAYLOAD (RANGE) -------------------- **/
+/**
+ * Resolves the first and last date of the selected period.
  *
- * Supported formats:
- * - Header-based: a header row with an "email" column (case-insensitive).
- * - No header: one email per non-empty line.
+ * - day: the selected date.
+ * - week: Monday to Sunday of the week containing the selected date.
+ * - month: first to last day of the month containing the selected date.
+ * - custom: the "From" and "To" dates.
  *
- * @param {string} text - Raw CSV file content.
- * @returns {string[]} De-duplicated list of email addresses.
+ * @returns {{ startDate?: string; endDate?: string; error?: string }}
  */
-function parseEmailsFromCsvText(text) {
-  const lines = text
-    .split(/\r?\n/)
-    .map((l) => l.trim())
-    .filter((l) => l.length > 0);
+function getSelectedRangeBounds() {
+  const type = rangeTypeSelect?.value || "day";
+
+  if (type === "custom") {
+    const startDate = customStartInput?.value;
+    const endDate = customEndInput?.value;
+    if (!startDate || !endDate) return { error: "Please select a start and end date." };
+    if (startDate > endDate) return { error: "The start date must be before the end date." };
+    return { startDate, endDate };
+  }
 
-  if (lines.length === 0) return [];
+  const value = reportDateInput?.value;
+  if (!value) return { error: "Please select a date." };
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return { error: "Invalid date." };
 
-  const firstLineLower = lines[0].toLowerCase();
-  const hasHeader = firstLineLower.includes("email");
+  if (type === "week") {
+    const weekday = getWeekday(value); // 0 = domingo
+    const startDate = addDays(value, weekday === 0 ? -6 : 1 - weekday);
+    return { startDate, endDate: addDays(startDate, 6) };
+  }
 
-  let emails = [];
+  if (type === "month") {
+    const startDate = `${value.slice(0, 7)}-01`;
+    const nextMonth = addDays(startDate, 31).slice(0, 7);
+    return { startDate, endDate: addDays(`${nextMonth}-01`, -1) };
+  }
 
-  if (hasHeader) {
-    const headers = lines[0].split(",").map((h) => h.trim().toLowerCase());
-    const emailIndex = headers.indexOf("email");
-    if (emailIndex === -1) return [];
+  return { startDate: value, endDate: value };
+}
 
-    for (let i = 1; i < lines.length; i++) {
-      const cols = lines[i].split(",");
-      const email = (cols[emailIndex] || "").trim();
-      if (email) emails.push(email);
-    }
-  } else {
-    emails = lines;
+/**
+ * Resolves the period the selected one is compared with by the diff report.
+ *
+ * - day / week: the same day / week one week earlier.
+ * - month: the previous month.
+ * - custom: the period of the same length that ends the day before "From".
+ *
+ * @param {{ startDate: string; endDate: string }} bounds - Selected period.
+ * @returns {{ startDate: string; endDate: string }}
+ */
+function getPreviousRangeBounds({ startDate, endDate }) {
+  const type = rangeTypeSelect?.value || "day";
+
+  if (type === "day" || type === "week") {
+    return { startDate: addDays(startDate, -7), endDate: addDays(endDate, -7) };
+  }
+
+  if (type === "month") {
+    const previousEnd = addDays(startDate, -1);
+    return { startDate: `${previousEnd.slice(0, 7)}-01`, endDate: previousEnd };
   }
 
-  return Array.from(new Set(emails));
+  let length = 0;
+  for (let d = startDate; d < endDate; d = addDays(d, 1)) length++;
+  const previousEnd = addDays(startDate, -1);
+  return { startDate: addDays(previousEnd, -length), endDate: previousEnd };
 }
 
-/** -------------------- DATE PAYLOAD (1 DAY) -------------------- **/
 /**
  * Builds the date payload used when requesting reports from the background script.
  *
  * Returns:
- * - selectedDates: ["YYYY-MM-DD"] (single day)
+ * - selectedDates: ["YYYY-MM-DD", ...] every day of the period, minus weekends
+ *   and holidays when those options are checked
  * - dateRange:
- *    - label: "YYYY-MM-DD"
- *    - start: ISO string at 00:00:00 for that day (local)
- *    - end: ISO string at 23:59:59 for that day (local)
+ *    - label: "YYYY-MM-DD" or "YYYY-MM-DD_to_YYYY-MM-DD"
+ *    - start: ISO string at 00:00:00 of the first day (local)
+ *    - end: ISO string at 23:59:59 of the last day (local)
  *
  * If validation fails, returns an object with an `error` property.
  *
+ * @param {{ startDate?: string; endDate?: string; error?: string }} [bounds] - Period
+ *   to build (default: the selected one).
  * @returns {{
  *   selectedDates?: string[],
  *   dateRange?: { label: string; start: string; end: string },
  *   error?: string
  * }}
  */
-function buildDateSelectionPayload() {
-  const value = reportDateInput?.value;
+function buildDateSelectionPayload(bounds = getSelectedRangeBounds()) {
+  const { startDate, endDate, error } = bounds;
+  if (error) return { error };
+
+  const allDates = [];
+  for (let d = startDate; d <= endDate; d = addDays(d, 1)) {
+    allDates.push(d);
+    if (allDates.length > MAX_RANGE_DAYS) {
+      return { error: `Please select at most ${MAX_RANGE_DAYS} days.` };
+    }
+  }
 
-  if (!value) return { error: "Please select a date." };
+  const skipWeekends = Boolean(skipWeekendsInput?.checked);
+  const skipHolidays = Boolean(skipHolidaysInput?.checked);
 
-  const dateObj = new Date(value + "T00:00:00");
-  if (isNaN(dateObj.getTime())) return { error: "Invalid date." };
+  const selectedDates = allDates.filter((d) => {
+    if (skipWeekends && [0, 6].includes(getWeekday(d))) return false;
+    if (skipHolidays && holidays.includes(d)) return false;
+    return true;
+  });
 
-  const start = new Date(
-    dateObj.getFullYear(),
-    dateObj.getMonth(),
-    dateObj.getDate(),
-    0,
-    0,
-    0
-  );
+  if (selectedDates.length === 0) {
+    return { error: "No days left in the selected period." };
+  }
 
-  const end = new Date(
-    dateObj.getFullYear(),
-    dateObj.getMonth(),
-    dateObj.getDate(),
-    23,
-    59,
-    59
-  );
+  const start = new Date(`${startDate}T00:00:00`);
+  const end = new Date(`${endDate}T23:59:59`);
 
   return {
-    selectedDates: [value],
+    selectedDates,
     dateRange: {
-      label: value,
+      label: startDate === endDate ? startDate : `${startDate}_to_${endDate}`,
       start: start.toISOString(),
       end: end.toISOString()
     }
   };
 }
 
+/**
+ * Returns the day of the week of a YYYY-MM-DD date (0 = Sunday, 6 = Saturday).
+ *
+ * @param {string} dateStr - Date in YYYY-MM-DD format.
+ * @returns {number}
+ */
+function getWeekday(dateStr) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+/**
+ * Shows the inputs that apply to the selected period type and a summary
+ * of how many days will be analyzed.
+ */
+function updateRangeUi() {
+  const isCustom = rangeTypeSelect?.value === "custom";
+  reportDateLabel.hidden = isCustom;
+  customStartLabel.hidden = !isCustom;
+  customEndLabel.hidden = !isCustom;
+
+  const payload = buildDateSelectionPayload();
+  if (payload.error) {
+    rangeInfoEl.textContent = payload.error;
+    rangeInfoEl.style.color = "#f97316";
+    return;
+  }
+
+  const days = payload.selectedDates;
+  rangeInfoEl.textContent =
+    days.length === 1
+      ? `1 day selected (${days[0]}).`
+      : `${days.length} days selected (${days[0]} → ${days[days.length - 1]}).`;
+  rangeInfoEl.style.color = "#a5b4fc";
+}
+
 /** -------------------- MESSAGE SENDER -------------------- **/
 /**
- * Sends a report request to the background script.
+ * Starts a report job in the background script.
+ * Progress and the final result arrive through the job port.
  *
- * @param {"GENERATE_REPORT" | "GENERATE_CRITERIA_REPORT"} type
+ * @param {keyof typeof REPORT_NAMES} type
  */
 function sendReportRequest(type) {
   setStatus("");
@@ -269,56 +613,346 @@ function sendReportRequest(type) {
   }
 
   const { dateRange, selectedDates } = datePayload;
+  const format = exportFormatSelect?.value === "xlsx" ? "xlsx" : "csv";
+
+  // El informe de diferencias compara con el periodo anterior equivalente
+  let compareWith;
+  if (type === "GENERATE_DIFF_REPORT") {
+    compareWith = buildDateSelectionPayload(getPreviousRangeBounds(getSelectedRangeBounds()));
+    if (compareWith.error) {
+      setStatus(`Previous period: ${compareWith.error}`, "#f97316");
+      return;
+    }
+  }
+
+  let slotSearch;
+  if (type === "FIND_COMMON_SLOTS") {
+    slotSearch = buildSlotSearch();
+    if (slotSearch.error) {
+      setStatus(slotSearch.error, "#f97316");
+      return;
+    }
+  }
 
-  // Disable only the button being used
-  const btn = type === "GENERATE_REPORT" ? generateBtn : criteriaBtn;
-  if (btn) btn.disabled = true;
+  setJobRunning(true);
+  setStatus(`Generating ${REPORT_NAMES[type]}...`);
+
+  postToJobPort({
+    type: "START_JOB",
+    jobType: type,
+    payload: {
+      emails: emailsFromCsv,
+      timeZones: timeZonesFromCsv,
+      recipients: recipientsFromCsv,
+      dateRange,
+      selectedDates,
+      format,
+      forceRefresh: Boolean(forceRefreshInput?.checked),
+      ...(compareWith ? { compareWith } : {}),
+      ...(slotSearch ? { slotSearch } : {})
+    }
+  });
+}
 
-  setStatus(
-    type === "GENERATE_REPORT"
-      ? "Generating report..."
-      : "Generating criteria report..."
-  );
+/**
+ * Reads the "Find a time" inputs.
+ *
+ * @returns {{
+ *   durationMinutes?: number;
+ *   required?: string[];
+ *   optional?: string[];
+ *   title?: string;
+ *   ics?: boolean;
+ *   error?: string;
+ * }}
+ */
+function buildSlotSearch() {
+  const durationMinutes = Number(slotDurationInput?.value);
+  if (!Number.isInteger(durationMinutes) || durationMinutes < 5 || durationMinutes > 480) {
+    return { error: "The meeting length must be between 5 and 480 minutes." };
+  }
+
+  const required = parseAttendeeList(slotRequiredInput?.value);
+  const optional = parseAttendeeList(slotOptionalInput?.value);
+  const invalid = [...required.invalid, ...optional.invalid];
+  if (invalid.length > 0) {
+    return { error: `Invalid attendee email: ${invalid.join(", ")}` };
+  }
+
+  return {
+    durationMinutes,
+    required: required.emails,
+    optional: optional.emails,
+    title: slotTitleInput?.value.trim() || "",
+    ics: Boolean(slotIcsInput?.checked)
+  };
+}
+
+/**
+ * Parses a list of emails separated by commas, semicolons, spaces or line breaks.
+ *
+ * @param {string} text
+ * @returns {{ emails: string[]; invalid: string[] }}
+ */
+function parseAttendeeList(text) {
+  const { emails, rejected } = parseRosterCsv(String(text || "").split(/[\s,;]+/).join("\n"));
+  return {
+    emails,
+    invalid: rejected.filter((r) => r.reason === "invalid_format").map((r) => r.value)
+  };
+}
+
+/** -------------------- EVENT CACHE -------------------- **/
+/**
+ * Shows how many calendars of the roster (or of the whole cache, before a
+ * roster is loaded) are cached, and how old the oldest sync is.
+ */
+async function updateCacheInfo() {
+  if (!cacheInfoEl) return;
 
-  chrome.runtime.sendMessage(
-    {
-      type,
-      payload: {
-        emails: emailsFromCsv,
-        dateRange,
-        selectedDates
-      }
-    },
-    (response) => {
-      if (btn) btn.disabled = false;
-
-      if (chrome.runtime.lastError) {
-        setStatus(`Error: ${chrome.runtime.lastError.message}`, "#f97316");
-        return;
-      }
-
-      if (!response || !response.ok) {
-        setStatus(
-          type === "GENERATE_REPORT"
-            ? "The report could not be generated."
-            : "The criteria report could not be generated.",
-          "#f97316"
-        );
-        return;
-      }
-
-      setStatus(
-        type === "GENERATE_REPORT"
-          ? "Report generated. Your CSV download should start soon."
-          : "Criteria report generated. Your CSV download should start soon.",
-        "#22c55e"
-      );
+  if (!eventCacheEnabled) {
+    cacheInfoEl.textContent = "Event cache disabled: every report downloads all events.";
+    return;
+  }
+
+  try {
+    const info = await getEventCacheInfo(emailsFromCsv.length ? emailsFromCsv : undefined);
+    if (info.calendars === 0) {
+      cacheInfoEl.textContent = "Event cache: empty.";
+      return;
     }
+
+    const scope = emailsFromCsv.length
+      ? `${info.calendars}/${emailsFromCsv.length} calendars`
+      : `${info.calendars} calendar(s)`;
+    cacheInfoEl.textContent =
+      `Event cache: ${scope}, oldest synced ${describeAge(info.oldestSyncedAt)}.`;
+  } catch (err) {
+    console.error("[Calendar-Analytics] Error reading the event cache:", err);
+    cacheInfoEl.textContent = "";
+  }
+}
+
+/**
+ * Formats the time elapsed since an ISO timestamp ("just now", "12 min ago", "3 h ago").
+ *
+ * @param {string} iso
+ * @returns {string}
+ */
+function describeAge(iso) {
+  const minutes = Math.floor((Date.now() - Date.parse(iso)) / 60000);
+  if (!Number.isFinite(minutes)) return "at an unknown time";
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 48 * 60) return `${Math.floor(minutes / 60)} h ago`;
+  return `${Math.floor(minutes / 1440)} days ago`;
+}
+
+/** -------------------- JOB PROGRESS -------------------- **/
+/**
+ * Posts a message to the background job manager, (re)connecting the port
+ * when needed (the service worker may have been restarted).
+ *
+ * @param {Object} message
+ */
+function postToJobPort(message) {
+  try {
+    if (!jobPort) {
+      jobPort = chrome.runtime.connect({ name: JOB_PORT_NAME });
+      jobPort.onMessage.addListener(handleJobMessage);
+      jobPort.onDisconnect.addListener(handleJobPortDisconnect);
+    }
+    jobPort.postMessage(message);
+  } catch (err) {
+    jobPort = null;
+    setJobRunning(false);
+    setStatus(`Error: ${err?.message || err}`, "#f97316");
+  }
+}
+
+/**
+ * Handles the messages posted by the job manager.
+ *
+ * @param {{ type: string; job?: Object; error?: string }} message
+ */
+function handleJobMessage(message) {
+  if (message?.type === "JOB_PROGRESS") {
+    currentJobId = message.job.id;
+    setJobRunning(true);
+    renderJobProgress(message.job);
+    return;
+  }
+
+  if (message?.type === "JOB_FINISHED") {
+    currentJobId = message.job.id;
+    setJobRunning(false);
+    renderJobResult(message.job);
+    updateCacheInfo();
+    return;
+  }
+
+  if (message?.type === "JOB_ERROR") {
+    setJobRunning(false);
+    setStatus(message.error || "The report could not be started.", "#f97316");
+  }
+}
+
+/**
+ * The port closes when the service worker stops: a running job is lost with it.
+ */
+function handleJobPortDisconnect() {
+  jobPort = null;
+  if (!isJobRunning) return;
+
+  setJobRunning(false);
+  setStatus("The connection with the report job was lost. Please try again.", "#f97316");
+}
+
+/**
+ * Shows or hides the progress bar and Cancel button, and locks the report
+ * buttons while a job runs.
+ *
+ * @param {boolean} running
+ */
+function setJobRunning(running) {
+  isJobRunning = running;
+  jobProgressEl.hidden = !running;
+  if (!running) {
+    cancelBtn.disabled = false;
+    jobProgressBar.removeAttribute("value");
+  }
+  updateGenerateButtonState();
+}
+
+/**
+ * Renders the phase and counters of a running job.
+ *
+ * @param {import("../background/jobManager.js").JobSnapshot} job
+ */
+function renderJobProgress(job) {
+  // Cancelación en curso: se mantiene el mensaje "Cancelling..."
+  if (cancelBtn.disabled) return;
+
+  if (job.phase === "fetch" && job.total > 0) {
+    jobProgressBar.max = job.total;
+    jobProgressBar.value = job.fetched;
+  } else if (job.phase === "queued") {
+    jobProgressBar.removeAttribute("value");
+  } else {
+    jobProgressBar.max = 1;
+    jobProgressBar.value = 1;
+  }
+
+  const failures =
+    job.failures > 0 ? ` · ${job.failures} failure${job.failures === 1 ? "" : "s"}` : "";
+
+  const text = {
+    queued: "Starting report...",
+    fetch: `Fetching calendars ${job.fetched}/${job.total}${failures}`,
+    analyze: `Analyzing events${failures}...`,
+    export: `Building the ${job.format.toUpperCase()} file...`,
+    deliver: "Posting to Slack..."
+  }[job.phase];
+
+  setStatus(text || "Generating report...");
+}
+
+/**
+ * Renders the final state of a job.
+ *
+ * @param {import("../background/jobManager.js").JobSnapshot} job
+ */
+function renderJobResult(job) {
+  const name = REPORT_NAMES[job.type] || "report";
+
+  if (job.status === "cancelled") {
+    setStatus("Report cancelled.", "#f97316");
+    return;
+  }
+
+  if (job.type === "GENERATE_DIFF_REPORT") {
+    setStatus(
+      job.status === "done"
+        ? `Diff report generated: ${job.result?.changed ?? 0} of ${job.result?.users ?? 0} ` +
+            "users improved or regressed. Your CSV download should start soon."
+        : "The diff report could not be generated." + (job.error ? ` ${job.error}` : ""),
+      job.status === "done" ? "#22c55e" : "#f97316"
+    );
+    return;
+  }
+
+  if (job.type === "FIND_COMMON_SLOTS") {
+    const unknown = job.result?.unknown
+      ? ` ${job.result.unknown} attendee calendar(s) could not be read.`
+      : "";
+    setStatus(
+      job.status !== "done"
+        ? "The slot search failed." + (job.error ? ` ${job.error}` : "")
+        : job.result?.slots
+        ? `${job.result.slots} slot(s) found. Your download should start soon.${unknown}`
+        : `No common slot found in the selected period.${unknown}`,
+      job.status === "done" && job.result?.slots ? "#22c55e" : "#f97316"
+    );
+    return;
+  }
+
+  if (job.status !== "done") {
+    setStatus(
+      `The ${name} could not be generated.` + (job.error ? ` ${job.error}` : ""),
+      "#f97316"
+    );
+    return;
+  }
+
+  const slack = job.result?.slack;
+  const failures =
+    job.failures > 0
+      ? ` ${job.failures} calendar${job.failures === 1 ? "" : "s"} could not be read.`
+      : "";
+
+  setStatus(
+    `${name[0].toUpperCase()}${name.slice(1)} generated.` +
+      ` Your ${job.format.toUpperCase()} download should start soon.` +
+      failures +
+      describeSlackDelivery(slack),
+    slack?.error || slack?.failed ? "#f97316" : "#22c55e"
   );
 }
 
+/**
+ * Describes the Slack delivery result returned with a criteria report.
+ *
+ * @param {{ dryRun: boolean; sent: number; failed: number; messages: number; error?: string } | undefined} slack
+ * @returns {string} Text appended to the status message ("" if Slack is disabled).
+ */
+function describeSlackDelivery(slack) {
+  if (!slack) return "";
+  if (slack.error) return ` Slack delivery failed: ${slack.error}`;
+  if (slack.dryRun) return ` Slack dry run: ${slack.messages} message(s) logged, none sent.`;
+  return ` Slack: ${slack.sent} sent, ${slack.failed} failed.`;
+}
+
+/** -------------------- DATE RANGE HANDLERS -------------------- **/
+[
+  rangeTypeSelect,
+  reportDateInput,
+  customStartInput,
+  customEndInput,
+  skipWeekendsInput,
+  skipHolidaysInput
+].forEach((el) => el?.addEventListener("change", updateRangeUi));
+
 /** -------------------- BUTTON HANDLERS -------------------- **/
 generateBtn.addEventListener("click", () => sendReportRequest("GENERATE_REPORT"));
 criteriaBtn.addEventListener("click", () =>
   sendReportRequest("GENERATE_CRITERIA_REPORT")
 );
+summaryBtn.addEventListener("click", () => sendReportRequest("GENERATE_SUMMARY_REPORT"));
+diffBtn.addEventListener("click", () => sendReportRequest("GENERATE_DIFF_REPORT"));
+findTimeBtn.addEventListener("click", () => sendReportRequest("FIND_COMMON_SLOTS"));
+cancelBtn.addEventListener("click", () => {
+  if (!currentJobId) return;
+  cancelBtn.disabled = true;
+  setStatus("Cancelling...");
+  postToJobPort({ type: "CANCEL", jobId: currentJobId });
+});
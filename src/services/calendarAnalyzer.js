@@ -10,21 +10,184 @@
  *   - A configuration object defining workday boundaries and block thresholds.
  *
  * Output:
- *   - An array of objects:
- *     {
- *       email: string,
- *       date: string (YYYY-MM-DD),
- *       blocks: Array<{
- *         type: "busy" | "free",
- *         title?: string,
- *         from: string,          // HH:MM
- *         to: string,            // HH:MM
- *         duration: number,      // minutes
- *         isLong?: boolean       // only for busy blocks
- *       }>
- *     }
+ *   - An array of DayAnalysis objects (see typedefs below), one per user and day.
+ *     Given the roster and the dates of the run, users and days without any
+ *     event are included too, as a single free block covering the workday;
+ *     users with no events at all are flagged with `emptyCalendar`.
+ *
+ * Overlapping events are merged into a single busy block, so busy time never
+ * exceeds the real wall-clock time of the workday.
+ *
+ * Gaps between busy blocks shorter than config.minBlockMinutes are too short
+ * to get real work done: they are returned as "fragmented" blocks instead of
+ * "free", and only the remaining free blocks count as usable focus time.
+ *
+ * Busy blocks separated by less than config.meetingBufferMinutes (or touching)
+ * form a back-to-back chain: each of them gets the number of its chain in
+ * the day, and the day metrics report the longest chain and the chain count.
+ *
+ * Busy blocks also describe the meetings behind them: the attendee count and
+ * its size class (solo, one-on-one, small group up to
+ * config.smallMeetingMaxAttendees, large), whether any attendee is external
+ * (outside config.companyDomains, or the domain of the roster email when none
+ * is configured; unknown when neither gives a domain), and whether the owner organized it, it is recurring and it has
+ * a video call. Untitled free/busy intervals leave these fields empty.
+ *
+ * Every timed event gets a category from config.categoryRules (see
+ * eventCategories.js). Events whose category is listed in
+ * config.nonBusyCategories (e.g. lunch) never count toward busy time and are
+ * returned as excluded blocks.
+ *
+ * Each event is classified from the calendar owner's point of view:
+ *   - "declined":  the owner declined the invitation.
+ *   - "free":      the event is marked "show as available" (transparent).
+ *   - "tentative": the owner answered "maybe" or has not answered yet.
+ *   - "busy":      everything else.
+ * Only the classes listed in config.busyEventClasses count toward busy time.
+ *
+ * Special event types are handled apart from regular meetings:
+ *   - Out-of-office events (all-day or covering the whole workday) and all-day
+ *     events whose title matches config.absenceKeywords mark the user as absent.
+ *     Absent days have no blocks and are skipped by the criteria evaluation.
+ *   - Shorter out-of-office events count as busy blocks of kind "out_of_office".
+ *   - Focus-time events count as busy blocks of kind "focus".
+ *   - Working-location events and other all-day events are kept as metadata
+ *     and never count as meetings.
+ *
+ * Every calendar is analyzed in its own time zone: day grouping, workday
+ * bounds and HH:MM output all use the zone resolved for that user (roster
+ * override, then the calendar's time zone, then the browser's).
+ *
+ * Calendars shared as free/busy only are read through the free/busy fallback
+ * (see calendarApi.js): their events are untitled busy intervals, and their
+ * days are marked with `source: "freebusy"`.
+ */
+
+import {
+  addDays,
+  getDefaultTimeZone,
+  formatDateInZone,
+  formatTimeInZone,
+  zonedDateTimeToUtc
+} from "./timeZone.js";
+import { createEventCategorizer } from "./eventCategories.js";
+
+/**
+ * @typedef {Object} TimeBlock
+ * @property {"busy" | "free" | "fragmented"} type - "fragmented" is a free gap
+ *   shorter than minBlockMinutes.
+ * @property {string} [title] - Titles of the merged events (busy blocks only).
+ * @property {string} from - Start time, HH:MM.
+ * @property {string} to - End time, HH:MM.
+ * @property {number} duration - Duration in minutes.
+ * @property {boolean} [isLong] - Busy block longer than maxStandardBlockMinutes.
+ * @property {number} [eventCount] - Number of events merged into a busy block.
+ * @property {string} [eventClass] - Strongest class among the merged events.
+ * @property {"meeting" | "focus" | "out_of_office"} [kind] - Kind of busy block.
+ * @property {string[]} [sourceEventIds] - IDs of the original events in a busy block.
+ * @property {boolean} [isContinuation] - The block continues an event that started on an earlier day.
+ * @property {number | null} [attendeeCount] - Largest attendee count among the merged
+ *   events (null when unknown: free/busy intervals).
+ * @property {"solo" | "one_on_one" | "small" | "large" | ""} [meetingSize] - Size class
+ *   of attendeeCount.
+ * @property {"internal" | "external" | ""} [audience] - External when any merged event
+ *   has an attendee or organizer outside the company domains.
+ * @property {boolean} [organizedBySelf] - The owner organized any of the merged events.
+ * @property {boolean} [recurring] - Every merged event is an instance of a recurring event.
+ * @property {boolean} [hasVideo] - Any of the merged events has a video call.
+ * @property {string} [category] - Category of the merged events (see eventCategories.js);
+ *   with several, the one of the highest-priority rule.
+ * @property {number} [chain] - Number (1-based, per day) of the back-to-back chain
+ *   the busy block belongs to; absent when the block is not part of a chain.
+ */
+
+/**
+ * @typedef {Object} ConflictBlock
+ * @property {"conflict"} type
+ * @property {string} title - Titles of the two overlapping events.
+ * @property {string[]} eventIds - IDs of the two overlapping events.
+ * @property {string} from - Start of the overlap, HH:MM.
+ * @property {string} to - End of the overlap, HH:MM.
+ * @property {number} duration - Overlap in minutes.
  */
 
+/**
+ * @typedef {Object} ExcludedBlock
+ * @property {"excluded"} type
+ * @property {string} title
+ * @property {string} from - HH:MM
+ * @property {string} to - HH:MM
+ * @property {number} duration - Minutes.
+ * @property {"busy" | "tentative" | "free" | "declined"} eventClass
+ * @property {string} category
+ * @property {"event_class" | "category"} reason - Why the event does not count:
+ *   its class is not in busyEventClasses, or its category is not busy.
+ * @property {string[]} sourceEventIds - ID of the original event.
+ * @property {boolean} isContinuation - The event started on an earlier day.
+ */
+
+/**
+ * @typedef {Object} MetadataEntry
+ * @property {"all_day" | "working_location"} type
+ * @property {string} title - Event title or working location label.
+ * @property {string} from - HH:MM, empty for all-day entries.
+ * @property {string} to - HH:MM, empty for all-day entries.
+ */
+
+/**
+ * @typedef {Object} DayMetrics
+ * @property {number} busyMinutes - Busy minutes inside the workday.
+ * @property {number} workdayMinutes - Length of the workday in minutes.
+ * @property {number} busyPercent - busyMinutes over workdayMinutes, 0–100.
+ * @property {number} freeMinutes - Free minutes inside the workday (free and fragmented blocks).
+ * @property {number} longestBlockMinutes - Longest busy block.
+ * @property {number} freeGapCount - Number of free gaps (free and fragmented blocks).
+ * @property {number} fragmentedMinutes - Minutes of the gaps shorter than minBlockMinutes.
+ * @property {number} longestFreeMinutes - Longest contiguous free stretch.
+ * @property {number} usableFreeBlockCount - Free stretches of at least minBlockMinutes.
+ * @property {number} usableFreePercent - Share of the free minutes in those stretches,
+ *   0–100 (0 when there is no free time).
+ * @property {number} chainCount - Back-to-back chains (two or more busy blocks).
+ * @property {number} longestChainMinutes - Longest chain, from the start of its
+ *   first block to the end of its last one (short breaks included).
+ * @property {number} backToBackCount - Busy blocks starting right when the previous one
+ *   ends (zero-gap transitions).
+ * @property {number} afterHoursMinutes - Meeting minutes outside the workday.
+ * @property {number} focusMinutes - Minutes of focus-time blocks.
+ */
+
+/**
+ * @typedef {Object} DayAnalysis
+ * @property {string} email
+ * @property {string} date - YYYY-MM-DD, in the user's time zone.
+ * @property {string} timeZone - IANA time zone used to analyze the day.
+ * @property {TimeBlock[]} blocks - Ordered busy and free blocks inside the workday.
+ * @property {ConflictBlock[]} conflicts - Overlapping (double-booked) events.
+ * @property {ExcludedBlock[]} excluded - Events that do not count toward busy time.
+ * @property {MetadataEntry[]} metadata - Working locations and non-blocking all-day events.
+ * @property {DayMetrics | null} metrics - Metrics for the criteria evaluation (null when absent).
+ * @property {boolean} absent - True when the user is out of office for the day.
+ * @property {string} absenceReason - Title of the event that marked the absence.
+ * @property {"events" | "freebusy"} source - Where the events of the day came from:
+ *   the events list, or the free/busy fallback (untitled busy intervals only).
+ * @property {boolean} emptyCalendar - True when the user has no events on any
+ *   of the analyzed days (the calendar was read, but nothing is scheduled).
+ */
+
+/**
+ * Event classes ordered from strongest to weakest. When several events are
+ * merged into one busy block, the block takes the strongest class.
+ */
+const EVENT_CLASS_RANK = ["busy", "tentative", "free", "declined"];
+
+const DEFAULT_BUSY_EVENT_CLASSES = ["busy", "tentative"];
+
+/** Safety cap on the number of daily pieces generated for a single event. */
+const MAX_EVENT_SPLIT_DAYS = 366;
+
+/** Largest "small" meeting when config.smallMeetingMaxAttendees is not set. */
+const DEFAULT_SMALL_MEETING_MAX_ATTENDEES = 6;
+
 /**
  * Analyzes a list of calendar events and returns time blocks grouped by user and day.
  *
@@ -34,43 +197,90 @@
  *   end: string;
  *   allDay?: boolean;
  *   summary?: string;
+ *   eventType?: string;
  * }>} events - List of normalized events from the calendar API.
  * @param {Object} config - Configuration object.
  * @param {string} config.workdayStart - Workday start time in HH:MM format.
  * @param {string} config.workdayEnd - Workday end time in HH:MM format.
- * @param {number} config.minBlockMinutes - Minimum block length in minutes (currently unused here but preserved for compatibility).
+ * @param {number} config.minBlockMinutes - Shortest free gap that counts as usable
+ *   time; shorter gaps are returned as "fragmented" blocks.
  * @param {number} config.maxStandardBlockMinutes - Threshold for marking busy blocks as "long".
- * @returns {Array<{
- *   email: string;
- *   date: string;
- *   blocks: Array<{
- *     type: "busy" | "free";
- *     title?: string;
- *     from: string;
- *     to: string;
- *     duration: number;
- *     isLong?: boolean;
- *   }>;
- * }>} Analysis result grouped by user and day.
+ * @param {number} [config.meetingBufferMinutes] - Shortest break that ends a back-to-back chain.
+ * @param {string[]} [config.busyEventClasses] - Event classes that count toward busy time.
+ * @param {string[]} [config.absenceKeywords] - All-day event titles that mark an absence.
+ * @param {Array<Object>} [config.categoryRules] - Category rules, in priority order.
+ * @param {string} [config.defaultCategory] - Category of the events that match no rule.
+ * @param {string[]} [config.nonBusyCategories] - Categories that do not count as busy.
+ * @param {Object} [context] - Run-specific inputs.
+ * @param {Record<string, string>} [context.timeZones] - Time zone per calendar ID
+ *   (roster overrides already merged over the calendars' own zones).
+ * @param {string[]} [context.dates] - When given, only these dates (YYYY-MM-DD) are analyzed.
+ * @param {string[]} [context.emails] - Calendars that were read. Together with
+ *   `context.dates`, every one of them gets an entry for every date, even
+ *   without events (a single free block covering the workday).
+ * @param {string[]} [context.freeBusyCalendars] - Calendars read through the
+ *   free/busy fallback, so their days without events keep `source: "freebusy"`.
+ * @returns {DayAnalysis[]} Analysis result grouped by user and day.
  */
-export function analyzeCalendar(events, config) {
-  if (!events || events.length === 0) return [];
+export function analyzeCalendar(events, config, context = {}) {
+  const timeZones = context.timeZones || {};
+  const defaultTimeZone = getDefaultTimeZone();
+  const resolveTimeZone = (email) => timeZones[email] || defaultTimeZone;
+
+  const dates = Array.isArray(context.dates) ? new Set(context.dates) : null;
+  const categorize = createEventCategorizer(config);
 
-  // 1. Agrupar por usuario y día
-  const grouped = groupEventsByUserAndDay(events);
+  // 1. Agrupar por usuario y día (en la zona horaria de cada usuario)
+  const grouped = groupEventsByUserAndDay(Array.isArray(events) ? events : [], resolveTimeZone);
 
   // 2. Analizar cada usuario/día
   const results = [];
+  const usersWithEvents = new Set();
 
   for (const key of Object.keys(grouped)) {
     const { email, date } = parseGroupKey(key);
+    if (dates && !dates.has(date)) continue;
+
     const dayEvents = grouped[key];
+    const timeZone = resolveTimeZone(email);
+    usersWithEvents.add(email);
+
+    results.push({
+      email,
+      date,
+      timeZone,
+      ...analyzeDayBlocks(dayEvents, date, config, timeZone, categorize, email),
+      source: dayEvents.some((ev) => ev.source === "freebusy") ? "freebusy" : "events",
+      emptyCalendar: false
+    });
+  }
+
+  // 3. Días sin eventos de cada usuario leído: jornada completa libre
+  if (Array.isArray(context.emails) && dates) {
+    const freeBusyCalendars = new Set(context.freeBusyCalendars || []);
 
-    const blocks = analyzeDayBlocks(dayEvents, date, config);
-    results.push({ email, date, blocks });
+    for (const email of new Set(context.emails)) {
+      const timeZone = resolveTimeZone(email);
+
+      for (const date of dates) {
+        if (grouped[`${email}__${date}`]) continue;
+
+        results.push({
+          email,
+          date,
+          timeZone,
+          ...analyzeDayBlocks([], date, config, timeZone, categorize, email),
+          source: freeBusyCalendars.has(email) ? "freebusy" : "events",
+          emptyCalendar: !usersWithEvents.has(email)
+        });
+      }
+    }
   }
 
-  return results;
+  // Orden estable para los reportes: usuario y luego fecha
+  return results.sort(
+    (a, b) => a.email.localeCompare(b.email) || a.date.localeCompare(b.date)
+  );
 }
 
 /** -------------------- GROUPING -------------------- **/
@@ -80,6 +290,9 @@ export function analyzeCalendar(events, config) {
  * The grouping key has the format:
  *   `${calendarId}__${YYYY-MM-DD}`
  *
+ * Events are first split into one piece per day they cover (see
+ * splitEventByDay), so overnight and multi-day events affect every day.
+ *
  * @param {Array<{
  *   calendarId: string;
  *   start: string;
@@ -87,19 +300,22 @@ export function analyzeCalendar(events, config) {
  *   allDay?: boolean;
  *   summary?: string;
  * }>} events - List of normalized events.
+ * @param {(email: string) => string} resolveTimeZone - Returns the time zone of a calendar.
  * @returns {Record<string, Array<any>>} A map where keys are "email__date" and values are arrays of events.
  */
-function groupEventsByUserAndDay(events) {
+function groupEventsByUserAndDay(events, resolveTimeZone) {
   const map = {};
 
   for (const ev of events) {
     if (!ev.start || !ev.end) continue;
 
-    const dateKey = extractDate(ev.start); // "YYYY-MM-DD"
-    const key = `${ev.calendarId}__${dateKey}`;
+    const pieces = splitEventByDay(ev, resolveTimeZone(ev.calendarId));
 
-    if (!map[key]) map[key] = [];
-    map[key].push(ev);
+    for (const { date, event } of pieces) {
+      const key = `${ev.calendarId}__${date}`;
+      if (!map[key]) map[key] = [];
+      map[key].push(event);
+    }
   }
 
   // Ordenar cada día por hora de inicio
@@ -109,6 +325,71 @@ function groupEventsByUserAndDay(events) {
 
   return map;
 }
+
+/**
+ * Splits an event into one piece per day it covers.
+ *
+ * - Timed events are cut at midnight in the user's time zone. An event from
+ *   16:00 to 10:00 the next day yields two pieces: 16:00–24:00 and 00:00–10:00.
+ * - All-day events yield one piece per date between `start` and the
+ *   (exclusive) `end` date.
+ *
+ * Every piece keeps `sourceEventId` (the original event ID) and
+ * `isContinuation` (true for every piece after the first one).
+ *
+ * @param {{ eventId?: string; start: string; end: string; allDay?: boolean }} ev - Normalized event.
+ * @param {string} timeZone - IANA time zone of the user.
+ * @returns {Array<{ date: string; event: Object }>} Pieces with their YYYY-MM-DD date.
+ */
+function splitEventByDay(ev, timeZone) {
+  const pieces = [];
+  const toPiece = (date, start, end, index) => ({
+    date,
+    event: {
+      ...ev,
+      start,
+      end,
+      sourceEventId: ev.eventId || "",
+      isContinuation: index > 0
+    }
+  });
+
+  if (ev.allDay) {
+    const endDate = ev.end > ev.start ? ev.end : addDays(ev.start, 1);
+    let date = ev.start;
+
+    for (let i = 0; date < endDate && i < MAX_EVENT_SPLIT_DAYS; i++) {
+      const next = addDays(date, 1);
+      pieces.push(toPiece(date, date, next, i));
+      date = next;
+    }
+    return pieces;
+  }
+
+  const start = new Date(ev.start);
+  const end = new Date(ev.end);
+  let date = formatDateInZone(start, timeZone);
+
+  for (let i = 0; i < MAX_EVENT_SPLIT_DAYS; i++) {
+    const next = addDays(date, 1);
+    const dayStart = zonedDateTimeToUtc(date, "00:00", timeZone);
+    const nextDayStart = zonedDateTimeToUtc(next, "00:00", timeZone);
+
+    const pieceStart = new Date(Math.max(start, dayStart));
+    const pieceEnd = new Date(Math.min(end, nextDayStart));
+
+    // Eventos de duración cero se conservan en su día de inicio
+    if (pieceEnd > pieceStart || i === 0) {
+      pieces.push(toPiece(date, pieceStart.toISOString(), pieceEnd.toISOString(), i));
+    }
+
+    if (end <= nextDayStart) break;
+    date = next;
+  }
+
+  return pieces;
+}
+
 /**
  * Parses a group key of the form "email__YYYY-MM-DD" into its components.
  *
@@ -120,70 +401,147 @@ function parseGroupKey(key) {
   return { email, date };
 }
 
-/**
- * Extracts the date portion (YYYY-MM-DD) from an ISO datetime string.
- *
- * @param {string} isoString - ISO datetime string (e.g. "2025-01-01T09:00:00Z").
- * @returns {string} Date component in YYYY-MM-DD format.
- */
-function extractDate(isoString) {
-  return isoString.split("T")[0];
-}
-
 /** -------------------- DAY ANALYSIS -------------------- **/
 /**
  * Builds the list of busy and free blocks for a single day.
  *
  * The function:
  * 1. Builds a workday range from config (workdayStart/workdayEnd).
- * 2. Filters and normalizes events that intersect with the workday.
- * 3. Converts events to "busy" blocks.
- * 4. Fills gaps between busy blocks with "free" blocks.
+ * 2. Sets aside absences, working locations and all-day events.
+ * 3. Filters and normalizes events that intersect with the workday.
+ * 4. Classifies events and sets aside those whose class does not count as busy.
+ * 5. Merges overlapping events into a single union busy timeline, so
+ *    double-booked time is only counted once.
+ * 6. Records every pair of overlapping busy events as a conflict.
+ * 7. Fills gaps between busy blocks with "free" blocks, or "fragmented" ones
+ *    when they are shorter than minBlockMinutes.
+ * 8. Numbers the back-to-back chains of busy blocks (see assignChains).
+ *
+ * Events that merely touch (one ends exactly when the next starts) are not
+ * merged: they stay as separate busy blocks.
  *
  * @param {Array<{
+ *   eventId?: string;
  *   start: string;
  *   end: string;
  *   allDay?: boolean;
  *   summary?: string;
+ *   responseStatus?: string;
+ *   transparency?: string;
+ *   eventType?: string;
+ *   workingLocation?: string;
  * }>} events - Events for a single user and day.
  * @param {string} date - Date string in YYYY-MM-DD format.
  * @param {Object} config - Analyzer configuration.
  * @param {string} config.workdayStart - Workday start time in HH:MM.
  * @param {string} config.workdayEnd - Workday end time in HH:MM.
  * @param {number} config.maxStandardBlockMinutes - Threshold for marking a busy block as long.
- * @returns {Array<{
- *   type: "busy" | "free";
- *   title?: string;
- *   from: string;
- *   to: string;
- *   duration: number;
- *   isLong?: boolean;
- * }>} Ordered list of time blocks for the day.
+ * @param {number} [config.minBlockMinutes] - Shortest usable free gap.
+ * @param {number} [config.meetingBufferMinutes] - Shortest break that ends a back-to-back chain.
+ * @param {number} [config.smallMeetingMaxAttendees] - Largest meeting classified as "small".
+ * @param {string[]} [config.companyDomains] - Internal email domains.
+ * @param {string[]} [config.busyEventClasses] - Event classes that count toward busy time.
+ * @param {string[]} [config.absenceKeywords] - All-day event titles that mark an absence.
+ * @param {string} timeZone - IANA time zone of the user.
+ * @param {(ev: Object) => { category: string; rank: number; countsAsBusy: boolean }} categorize
+ *   Category of an event (see createEventCategorizer).
+ * @param {string} email - Roster email of the user; its domain is the internal
+ *   one when config.companyDomains is empty.
+ * @returns {Omit<DayAnalysis, "email" | "date" | "timeZone">} Blocks, conflicts,
+ *   excluded events, metadata and absence information for the day.
  */
-function analyzeDayBlocks(events, date, config) {
+function analyzeDayBlocks(events, date, config, timeZone, categorize, email) {
   const { workdayStart, workdayEnd, maxStandardBlockMinutes } = config;
+  const minBlockMinutes = Math.max(0, Number(config.minBlockMinutes) || 0);
+  const busyEventClasses = Array.isArray(config.busyEventClasses)
+    ? config.busyEventClasses
+    : DEFAULT_BUSY_EVENT_CLASSES;
+  const smallMeetingMaxAttendees =
+    Number(config.smallMeetingMaxAttendees) || DEFAULT_SMALL_MEETING_MAX_ATTENDEES;
+  const companyDomains = (Array.isArray(config.companyDomains) ? config.companyDomains : [])
+    .map((d) => String(d).trim().toLowerCase().replace(/^@/, ""))
+    .filter(Boolean);
+  const internalDomains =
+    companyDomains.length > 0 ? companyDomains : [getEmailDomain(email)].filter(Boolean);
+
+  // Crear fecha completa para rango laboral (en la zona del usuario)
+  const workStart = zonedDateTimeToUtc(date, workdayStart, timeZone);
+  const workEnd = zonedDateTimeToUtc(date, workdayEnd, timeZone);
+  const formatTime = (d) => formatTimeInZone(d, timeZone);
+
+  const { timedEvents, metadata, absence } = partitionDayEvents(
+    events,
+    workStart,
+    workEnd,
+    config.absenceKeywords,
+    formatTime
+  );
 
-  // Crear fecha completa para rango laboral
-  const workStart = new Date(`${date}T${workdayStart}:00`);
-  const workEnd = new Date(`${date}T${workdayEnd}:00`);
+  // Ausente todo el día: no hay bloques que evaluar
+  if (absence) {
+    return {
+      blocks: [],
+      conflicts: [],
+      excluded: [],
+      metadata,
+      metrics: null,
+      absent: true,
+      absenceReason: absence.summary || "Out of office"
+    };
+  }
 
-  // Convertir eventos a bloques "busy"
-  const busyBlocks = events
-    .filter((ev) => !ev.allDay) // ignoramos all-day por simplicidad
-    .map((ev) => ({
-      type: "busy",
+  // Convertir eventos a intervalos ocupados
+  const eventIntervals = timedEvents.map((ev) => {
+    const { category, rank, countsAsBusy } = categorize(ev);
+    return {
+      eventId: ev.eventId || "",
       title: ev.summary || "",
+      eventClass: classifyEvent(ev),
+      kind: getBusyKind(ev),
+      sourceEventId: ev.sourceEventId || ev.eventId || "",
+      isContinuation: Boolean(ev.isContinuation),
+      meeting: describeMeeting(ev, internalDomains),
+      category,
+      categoryRank: rank,
+      countsAsBusy,
       start: new Date(ev.start),
       end: new Date(ev.end)
-    }))
+    };
+  });
+  const isCounted = (interval) =>
+    interval.countsAsBusy && busyEventClasses.includes(interval.eventClass);
+
+  // Reuniones fuera de la jornada (antes de recortar)
+  const afterHoursMinutes = sumMinutesOutsideWorkday(
+    eventIntervals.filter((interval) => interval.kind === "meeting" && isCounted(interval)),
+    workStart,
+    workEnd
+  );
+
+  const intervals = eventIntervals
     // Mantener solo los eventos que intersectan con horario laboral
-    .filter((block) => block.end > workStart && block.start < workEnd)
+    .filter((interval) => interval.end > workStart && interval.start < workEnd)
     // Recortar a los límites del horario laboral
-    .map((block) => ({
-      ...block,
-      start: new Date(Math.max(block.start, workStart)),
-      end: new Date(Math.min(block.end, workEnd))
-    }));
+    .map((interval) => ({
+      ...interval,
+      start: new Date(Math.max(interval.start, workStart)),
+      end: new Date(Math.min(interval.end, workEnd))
+    }))
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+
+  const countedIntervals = intervals.filter(isCounted);
+  const excluded = intervals
+    .filter((interval) => !isCounted(interval))
+    .map((interval) =>
+      buildExcludedBlock(
+        interval,
+        busyEventClasses.includes(interval.eventClass) ? "category" : "event_class",
+        formatTime
+      )
+    );
+
+  const busyBlocks = mergeOverlappingIntervals(countedIntervals);
+  const conflicts = findConflicts(countedIntervals, formatTime);
 
   // Crear lista final combinando busy + free
   const allBlocks = [];
@@ -194,14 +552,19 @@ function analyzeDayBlocks(events, date, config) {
   for (const block of busyBlocks) {
     // 1. Si hay un hueco antes del evento → FREE
     if (block.start > cursor) {
-      const freeBlock = buildFreeBlock(cursor, block.start);
+      const freeBlock = buildFreeBlock(cursor, block.start, formatTime, minBlockMinutes);
       if (freeBlock.duration > 0) {
         allBlocks.push(freeBlock);
       }
     }
 
     // 2. Evento ocupado
-    const busy = buildBusyBlock(block, maxStandardBlockMinutes);
+    const busy = buildBusyBlock(
+      block,
+      maxStandardBlockMinutes,
+      smallMeetingMaxAttendees,
+      formatTime
+    );
     allBlocks.push(busy);
 
     // Mover cursor
@@ -210,21 +573,513 @@ function analyzeDayBlocks(events, date, config) {
 
   // 3. Hueco final luego del último evento
   if (cursor < workEnd) {
-    const freeBlock = buildFreeBlock(cursor, workEnd);
+    const freeBlock = buildFreeBlock(cursor, workEnd, formatTime, minBlockMinutes);
     if (freeBlock.duration > 0) {
       allBlocks.push(freeBlock);
     }
   }
 
-  return allBlocks;
+  assignChains(allBlocks, Math.max(0, Number(config.meetingBufferMinutes) || 0));
+
+  return {
+    blocks: allBlocks,
+    conflicts,
+    excluded,
+    metadata,
+    metrics: computeDayMetrics(allBlocks, (workEnd - workStart) / 60000, afterHoursMinutes),
+    absent: false,
+    absenceReason: ""
+  };
+}
+
+/** -------------------- METRICS -------------------- **/
+/**
+ * Computes the per-day metrics used by the criteria evaluation.
+ *
+ * Fragmentation: free blocks (at least minBlockMinutes long, already
+ * classified by buildFreeBlock) are the usable stretches; fragmented blocks
+ * still count as free time, but not as usable.
+ *
+ * @param {TimeBlock[]} blocks - Ordered busy, free and fragmented blocks inside the workday.
+ * @param {number} workdayMinutes - Length of the workday in minutes.
+ * @param {number} afterHoursMinutes - Meeting minutes outside the workday.
+ * @returns {DayMetrics} Metrics for the day.
+ */
+function computeDayMetrics(blocks, workdayMinutes, afterHoursMinutes) {
+  const busy = blocks.filter((b) => b.type === "busy");
+  const gaps = blocks.filter((b) => b.type === "free" || b.type === "fragmented");
+  const usable = gaps.filter((b) => b.type === "free");
+  const sumDuration = (list) => list.reduce((acc, b) => acc + b.duration, 0);
+
+  const busyMinutes = sumDuration(busy);
+  const freeMinutes = sumDuration(gaps);
+  const usableMinutes = sumDuration(usable);
+
+  // Transiciones sin pausa: un bloque ocupado seguido inmediatamente de otro
+  let backToBackCount = 0;
+  for (let i = 1; i < blocks.length; i++) {
+    if (blocks[i].type === "busy" && blocks[i - 1].type === "busy") backToBackCount++;
+  }
+
+  return {
+    busyMinutes,
+    workdayMinutes,
+    busyPercent: workdayMinutes > 0 ? (busyMinutes / workdayMinutes) * 100 : 0,
+    freeMinutes,
+    longestBlockMinutes: busy.reduce((acc, b) => Math.max(acc, b.duration), 0),
+    freeGapCount: gaps.length,
+    backToBackCount,
+    afterHoursMinutes,
+    focusMinutes: sumDuration(busy.filter((b) => b.kind === "focus")),
+    fragmentedMinutes: freeMinutes - usableMinutes,
+    longestFreeMinutes: gaps.reduce((acc, b) => Math.max(acc, b.duration), 0),
+    usableFreeBlockCount: usable.length,
+    usableFreePercent: freeMinutes > 0 ? (usableMinutes / freeMinutes) * 100 : 0,
+    ...computeChainMetrics(blocks)
+  };
+}
+
+/**
+ * Numbers the back-to-back chains of a day: runs of two or more busy blocks
+ * where each one starts less than `bufferMinutes` after the previous one ends
+ * (touching blocks always chain). Sets `chain` on the busy blocks of each run.
+ *
+ * @param {TimeBlock[]} blocks - Ordered blocks of the day (modified in place).
+ * @param {number} bufferMinutes - Shortest break that ends a chain.
+ */
+function assignChains(blocks, bufferMinutes) {
+  let chain = 0;
+  let previous = null;
+  let gap = 0;
+
+  for (const block of blocks) {
+    if (block.type !== "busy") {
+      gap += block.duration;
+      continue;
+    }
+
+    if (previous && (gap === 0 || gap < bufferMinutes)) {
+      // El bloque anterior abre una nueva cadena si aún no tenía una
+      if (!previous.chain) previous.chain = ++chain;
+      block.chain = previous.chain;
+    }
+
+    previous = block;
+    gap = 0;
+  }
+}
+
+/**
+ * Measures the chains numbered by assignChains(): how many there are and
+ * the longest one, breaks inside the chain included.
+ *
+ * @param {TimeBlock[]} blocks - Ordered blocks of the day.
+ * @returns {{ chainCount: number; longestChainMinutes: number }}
+ */
+function computeChainMetrics(blocks) {
+  const spans = new Map();
+  let minutes = 0;
+
+  for (const block of blocks) {
+    if (block.type === "busy" && block.chain) {
+      // Minutos desde el inicio de la jornada
+      const start = spans.get(block.chain)?.start ?? minutes;
+      spans.set(block.chain, { start, end: minutes + block.duration });
+    }
+    minutes += block.duration;
+  }
+
+  return {
+    chainCount: spans.size,
+    longestChainMinutes: Array.from(spans.values()).reduce(
+      (acc, span) => Math.max(acc, span.end - span.start),
+      0
+    )
+  };
+}
+
+/**
+ * Sums the minutes covered by a set of intervals outside the workday,
+ * counting overlapping intervals only once.
+ *
+ * @param {Array<{ start: Date; end: Date }>} intervals - Unclipped intervals of a single day.
+ * @param {Date} workStart - Start of the workday.
+ * @param {Date} workEnd - End of the workday.
+ * @returns {number} Minutes outside the workday.
+ */
+function sumMinutesOutsideWorkday(intervals, workStart, workEnd) {
+  const sorted = [...intervals].sort((a, b) => a.start - b.start);
+  let total = 0;
+  let current = null;
+
+  const flush = () => {
+    if (!current) return;
+    const inside = Math.max(
+      0,
+      Math.min(current.end, workEnd) - Math.max(current.start, workStart)
+    );
+    total += (current.end - current.start - inside) / 60000;
+  };
+
+  for (const interval of sorted) {
+    if (current && interval.start <= current.end) {
+      if (interval.end > current.end) current.end = interval.end;
+      continue;
+    }
+    flush();
+    current = { start: interval.start, end: interval.end };
+  }
+  flush();
+
+  return total;
+}
+
+/**
+ * Separates the events of a day into timed events that can block time,
+ * metadata entries (working locations, non-blocking all-day events) and
+ * the first event that marks the user as absent, if any.
+ *
+ * An event marks an absence when it is:
+ * - An out-of-office event that is all-day or covers the whole workday.
+ * - An all-day event whose title matches one of the absence keywords.
+ *
+ * @param {Array<Object>} events - Normalized events for a single user and day.
+ * @param {Date} workStart - Start of the workday.
+ * @param {Date} workEnd - End of the workday.
+ * @param {string[]} [absenceKeywords] - Keywords that identify vacation days.
+ * @param {(date: Date) => string} formatTime - Formats an instant as HH:MM in the user's zone.
+ * @returns {{
+ *   timedEvents: Array<Object>;
+ *   metadata: MetadataEntry[];
+ *   absence: Object | null;
+ * }} The partitioned events.
+ */
+function partitionDayEvents(events, workStart, workEnd, absenceKeywords, formatTime) {
+  const timedEvents = [];
+  const metadata = [];
+  let absence = null;
+
+  for (const ev of events) {
+    const eventType = ev.eventType || "default";
+
+    if (eventType === "workingLocation") {
+      metadata.push({
+        type: "working_location",
+        title: ev.workingLocation || ev.summary || "",
+        from: ev.allDay ? "" : formatTime(new Date(ev.start)),
+        to: ev.allDay ? "" : formatTime(new Date(ev.end))
+      });
+      continue;
+    }
+
+    if (eventType === "outOfOffice") {
+      const coversWorkday =
+        ev.allDay ||
+        (new Date(ev.start) <= workStart && new Date(ev.end) >= workEnd);
+      if (coversWorkday) {
+        absence = absence || ev;
+        continue;
+      }
+    }
+
+    if (ev.allDay) {
+      if (matchesAnyKeyword(ev.summary, absenceKeywords)) {
+        absence = absence || ev;
+      } else {
+        metadata.push({ type: "all_day", title: ev.summary || "", from: "", to: "" });
+      }
+      continue;
+    }
+
+    timedEvents.push(ev);
+  }
+
+  return { timedEvents, metadata, absence };
+}
+
+/**
+ * Checks whether a title contains any of the given keywords as a whole word
+ * (case-insensitive).
+ *
+ * @param {string} title - Event title.
+ * @param {string[]} keywords - Keywords to look for.
+ * @returns {boolean} True if at least one keyword matches.
+ */
+function matchesAnyKeyword(title, keywords) {
+  const text = String(title || "").toLowerCase();
+  if (!text || !Array.isArray(keywords)) return false;
+
+  return keywords.some((keyword) => {
+    const kw = String(keyword || "").trim().toLowerCase();
+    if (!kw) return false;
+    const escaped = kw.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const pattern = `(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`;
+    return new RegExp(pattern, "u").test(text);
+  });
+}
+
+/**
+ * Maps the Calendar API event type to the kind of busy block it produces.
+ *
+ * @param {{ eventType?: string }} ev - Normalized event.
+ * @returns {"meeting" | "focus" | "out_of_office"} The busy block kind.
+ */
+function getBusyKind(ev) {
+  if (ev.eventType === "focusTime") return "focus";
+  if (ev.eventType === "outOfOffice") return "out_of_office";
+  return "meeting";
+}
+
+/**
+ * Classifies an event from the calendar owner's point of view.
+ *
+ * @param {{ responseStatus?: string; transparency?: string }} ev - Normalized event.
+ * @returns {"busy" | "tentative" | "free" | "declined"} The event class.
+ */
+function classifyEvent(ev) {
+  if (ev.responseStatus === "declined") return "declined";
+  if (ev.transparency === "transparent") return "free";
+  if (ev.responseStatus === "tentative" || ev.responseStatus === "needsAction") {
+    return "tentative";
+  }
+  return "busy";
+}
+
+/** -------------------- MEETING DETAILS -------------------- **/
+/**
+ * Summarizes who a normalized event involves (see normalizeEvent in calendarApi.js).
+ *
+ * External: any attendee or the organizer has an email outside the internal
+ * domains. Free/busy intervals carry no attendee information: count and
+ * audience are null. The audience is also null without internal domains (no
+ * companyDomains and a roster entry such as "primary" or a group ID).
+ *
+ * @param {Object} ev - Normalized event.
+ * @param {string[]} internalDomains - Internal domains (lowercase), may be empty.
+ * @returns {{
+ *   attendeeCount: number | null;
+ *   external: boolean | null;
+ *   organizedBySelf: boolean;
+ *   recurring: boolean;
+ *   hasVideo: boolean;
+ * }}
+ */
+function describeMeeting(ev, internalDomains) {
+  const known = typeof ev.attendeeCount === "number";
+  const emails = [...(ev.attendeeEmails || []), ev.organizerEmail].filter(Boolean);
+
+  return {
+    attendeeCount: known ? ev.attendeeCount : null,
+    external:
+      known && internalDomains.length > 0
+        ? emails.some((email) => !internalDomains.includes(getEmailDomain(email)))
+        : null,
+    organizedBySelf: Boolean(ev.organizedBySelf),
+    recurring: Boolean(ev.recurring),
+    hasVideo: Boolean(ev.hasVideo)
+  };
+}
+
+/**
+ * Combines the meeting details of two overlapping events merged into one block:
+ * the largest attendee count, external or organized by the owner when any of
+ * them is, recurring only when both are, and a video call when any has one.
+ */
+function mergeMeetingDetails(a, b) {
+  const counts = [a.attendeeCount, b.attendeeCount].filter((c) => c !== null);
+  const audiences = [a.external, b.external].filter((e) => e !== null);
+
+  return {
+    attendeeCount: counts.length > 0 ? Math.max(...counts) : null,
+    external: audiences.length > 0 ? audiences.includes(true) : null,
+    organizedBySelf: a.organizedBySelf || b.organizedBySelf,
+    recurring: a.recurring && b.recurring,
+    hasVideo: a.hasVideo || b.hasVideo
+  };
+}
+
+/**
+ * Maps an attendee count to its size class.
+ *
+ * @param {number | null} attendeeCount
+ * @param {number} smallMeetingMaxAttendees - Largest "small" meeting.
+ * @returns {"solo" | "one_on_one" | "small" | "large" | ""} Empty when the count is unknown.
+ */
+function classifyMeetingSize(attendeeCount, smallMeetingMaxAttendees) {
+  if (attendeeCount === null || attendeeCount === undefined) return "";
+  if (attendeeCount <= 1) return "solo";
+  if (attendeeCount === 2) return "one_on_one";
+  return attendeeCount <= smallMeetingMaxAttendees ? "small" : "large";
+}
+
+/** Domain of an email in lowercase, or "" when it has no "@" (e.g. "primary"). */
+function getEmailDomain(email) {
+  const value = String(email || "").toLowerCase();
+  const at = value.lastIndexOf("@");
+  return at >= 0 ? value.slice(at + 1) : "";
+}
+
+/** -------------------- OVERLAPS -------------------- **/
+/**
+ * Merges overlapping intervals into a union timeline.
+ *
+ * Intervals must be sorted by start. Two intervals are merged only when they
+ * strictly overlap; touching intervals are kept apart so back-to-back
+ * meetings remain visible as separate blocks.
+ *
+ * A merged interval takes the strongest event class of its events, and keeps
+ * its kind only when all of its events share it (otherwise it is a "meeting").
+ * It is a continuation when any of its events started on an earlier day.
+ * Its meeting details are combined with mergeMeetingDetails(), and it takes
+ * the category of its highest-priority event (lowest category rank).
+ *
+ * @param {Array<{
+ *   eventId: string;
+ *   title: string;
+ *   eventClass: string;
+ *   kind: string;
+ *   sourceEventId: string;
+ *   isContinuation: boolean;
+ *   meeting: Object;
+ *   category: string;
+ *   categoryRank: number;
+ *   start: Date;
+ *   end: Date;
+ * }>} intervals - Sorted intervals.
+ * @returns {Array<{
+ *   title: string;
+ *   eventIds: string[];
+ *   sourceEventIds: string[];
+ *   isContinuation: boolean;
+ *   eventClass: string;
+ *   kind: string;
+ *   meeting: Object;
+ *   category: string;
+ *   categoryRank: number;
+ *   start: Date;
+ *   end: Date;
+ * }>} Merged busy intervals.
+ */
+function mergeOverlappingIntervals(intervals) {
+  const merged = [];
+
+  for (const interval of intervals) {
+    const last = merged[merged.length - 1];
+
+    if (last && interval.start < last.end) {
+      if (interval.end > last.end) last.end = new Date(interval.end);
+      last.eventIds.push(interval.eventId);
+      if (interval.title && !last.titles.includes(interval.title)) {
+        last.titles.push(interval.title);
+      }
+      if (
+        EVENT_CLASS_RANK.indexOf(interval.eventClass) <
+        EVENT_CLASS_RANK.indexOf(last.eventClass)
+      ) {
+        last.eventClass = interval.eventClass;
+      }
+      // Mezcla de tipos (p. ej. focus + reunión) → reunión
+      if (interval.kind !== last.kind) last.kind = "meeting";
+      if (!last.sourceEventIds.includes(interval.sourceEventId)) {
+        last.sourceEventIds.push(interval.sourceEventId);
+      }
+      last.isContinuation = last.isContinuation || interval.isContinuation;
+      last.meeting = mergeMeetingDetails(last.meeting, interval.meeting);
+      if (interval.categoryRank < last.categoryRank) {
+        last.category = interval.category;
+        last.categoryRank = interval.categoryRank;
+      }
+      continue;
+    }
+
+    merged.push({
+      titles: interval.title ? [interval.title] : [],
+      eventIds: [interval.eventId],
+      sourceEventIds: [interval.sourceEventId],
+      isContinuation: interval.isContinuation,
+      eventClass: interval.eventClass,
+      kind: interval.kind,
+      meeting: interval.meeting,
+      category: interval.category,
+      categoryRank: interval.categoryRank,
+      start: new Date(interval.start),
+      end: new Date(interval.end)
+    });
+  }
+
+  return merged.map(({ titles, ...rest }) => ({
+    ...rest,
+    title: titles.join(" + ")
+  }));
+}
+
+/**
+ * Finds every pair of intervals that overlap in time.
+ *
+ * Intervals must be sorted by start. Each conflict covers the overlapping
+ * portion of the two events and its duration in minutes.
+ *
+ * @param {Array<{ eventId: string; title: string; start: Date; end: Date }>} intervals - Sorted intervals.
+ * @param {(date: Date) => string} formatTime - Formats an instant as HH:MM in the user's zone.
+ * @returns {Array<{
+ *   type: "conflict";
+ *   title: string;
+ *   eventIds: string[];
+ *   from: string;
+ *   to: string;
+ *   duration: number;
+ * }>} Conflicts ordered by the start of the overlap.
+ */
+function findConflicts(intervals, formatTime) {
+  const conflicts = [];
+
+  for (let i = 0; i < intervals.length; i++) {
+    const a = intervals[i];
+
+    for (let j = i + 1; j < intervals.length; j++) {
+      const b = intervals[j];
+      if (b.start >= a.end) break; // ordenados por inicio: no hay más solapes con "a"
+
+      const overlapStart = b.start;
+      const overlapEnd = new Date(Math.min(a.end, b.end));
+      if (overlapEnd <= overlapStart) continue;
+
+      conflicts.push({
+        type: "conflict",
+        title: `${a.title || "(untitled)"} / ${b.title || "(untitled)"}`,
+        eventIds: [a.eventId, b.eventId],
+        start: overlapStart,
+        from: formatTime(overlapStart),
+        to: formatTime(overlapEnd),
+        duration: (overlapEnd - overlapStart) / 60000
+      });
+    }
+  }
+
+  return conflicts
+    .sort((a, b) => a.start - b.start)
+    .map(({ start, ...conflict }) => conflict);
 }
 
 /** -------------------- BLOCK BUILDERS -------------------- **/
 /**
- * Builds a "busy" block representation from a raw block object.
+ * Builds a "busy" block representation from a merged busy interval.
  *
- * @param {{ start: Date; end: Date; title?: string }} block - Normalized busy block.
+ * @param {{
+ *   start: Date;
+ *   end: Date;
+ *   title?: string;
+ *   eventIds?: string[];
+ *   eventClass?: string;
+ *   kind?: string;
+ *   sourceEventIds?: string[];
+ *   isContinuation?: boolean;
+ *   meeting?: Object;
+ *   category?: string;
+ * }} block - Merged busy interval.
  * @param {number} maxStandardBlockMinutes - Threshold in minutes to flag a block as long.
+ * @param {number} smallMeetingMaxAttendees - Largest meeting classified as "small".
+ * @param {(date: Date) => string} formatTime - Formats an instant as HH:MM in the user's zone.
  * @returns {{
  *   type: "busy";
  *   title: string;
@@ -232,10 +1087,24 @@ function analyzeDayBlocks(events, date, config) {
  *   to: string;
  *   duration: number;
  *   isLong: boolean;
+ *   eventCount: number;
+ *   eventClass: string;
+ *   kind: string;
+ *   sourceEventIds: string[];
+ *   isContinuation: boolean;
+ *   attendeeCount: number | null;
+ *   meetingSize: string;
+ *   audience: string;
+ *   organizedBySelf: boolean;
+ *   recurring: boolean;
+ *   hasVideo: boolean;
+ *   category: string;
  * }} The final busy block object used in reports.
  */
-function buildBusyBlock(block, maxStandardBlockMinutes) {
+function buildBusyBlock(block, maxStandardBlockMinutes, smallMeetingMaxAttendees, formatTime) {
   const duration = (block.end - block.start) / 60000; // ms → min
+  const meeting = block.meeting || {};
+  const attendeeCount = typeof meeting.attendeeCount === "number" ? meeting.attendeeCount : null;
 
   return {
     type: "busy",
@@ -243,41 +1112,86 @@ function buildBusyBlock(block, maxStandardBlockMinutes) {
     from: formatTime(block.start),
     to: formatTime(block.end),
     duration,
-    isLong: duration > maxStandardBlockMinutes
+    isLong: duration > maxStandardBlockMinutes,
+    eventCount: Array.isArray(block.eventIds) ? block.eventIds.length : 1,
+    eventClass: block.eventClass || "busy",
+    kind: block.kind || "meeting",
+    sourceEventIds: block.sourceEventIds || [],
+    isContinuation: Boolean(block.isContinuation),
+    attendeeCount,
+    meetingSize: classifyMeetingSize(attendeeCount, smallMeetingMaxAttendees),
+    audience: meeting.external === true ? "external" : meeting.external === false ? "internal" : "",
+    organizedBySelf: Boolean(meeting.organizedBySelf),
+    recurring: Boolean(meeting.recurring),
+    hasVideo: Boolean(meeting.hasVideo),
+    category: block.category || ""
   };
 }
 
 /**
- * Builds a "free" block representation for a given time range.
+ * Builds an "excluded" block for an event that does not count as busy, either
+ * because of its class or because its category is not busy.
+ *
+ * @param {{
+ *   start: Date;
+ *   end: Date;
+ *   title?: string;
+ *   eventClass: string;
+ *   category: string;
+ *   sourceEventId: string;
+ *   isContinuation: boolean;
+ * }} interval - Clipped event interval.
+ * @param {"event_class" | "category"} reason - Why the event does not count.
+ * @param {(date: Date) => string} formatTime - Formats an instant as HH:MM in the user's zone.
+ * @returns {{
+ *   type: "excluded";
+ *   title: string;
+ *   from: string;
+ *   to: string;
+ *   duration: number;
+ *   eventClass: string;
+ *   category: string;
+ *   reason: string;
+ *   sourceEventIds: string[];
+ *   isContinuation: boolean;
+ * }} The excluded block object used in reports.
+ */
+function buildExcludedBlock(interval, reason, formatTime) {
+  return {
+    type: "excluded",
+    title: interval.title || "",
+    from: formatTime(interval.start),
+    to: formatTime(interval.end),
+    duration: (interval.end - interval.start) / 60000,
+    eventClass: interval.eventClass,
+    category: interval.category || "",
+    reason,
+    sourceEventIds: [interval.sourceEventId],
+    isContinuation: interval.isContinuation
+  };
+}
+
+/**
+ * Builds a "free" block representation for a given time range, or a
+ * "fragmented" one when it is shorter than minBlockMinutes.
  *
  * @param {Date} start - Start of the free interval.
  * @param {Date} end - End of the free interval.
+ * @param {(date: Date) => string} formatTime - Formats an instant as HH:MM in the user's zone.
+ * @param {number} [minBlockMinutes] - Shortest usable free gap.
  * @returns {{
- *   type: "free";
+ *   type: "free" | "fragmented";
  *   from: string;
  *   to: string;
  *   duration: number;
  * }} The final free block object used in reports.
  */
-function buildFreeBlock(start, end) {
+function buildFreeBlock(start, end, formatTime, minBlockMinutes = 0) {
   const duration = (end - start) / 60000;
   return {
-    type: "free",
+    type: duration < minBlockMinutes ? "fragmented" : "free",
     from: formatTime(start),
     to: formatTime(end),
     duration
   };
 }
-
-/** -------------------- UTILITIES -------------------- **/
-/**
- * Formats a Date object into HH:MM 24-hour time.
- *
- * @param {Date} dateObj - Date to be formatted.
- * @returns {string} Time string in HH:MM format.
- */
-function formatTime(dateObj) {
-  const h = String(dateObj.getHours()).padStart(2, "0");
-  const m = String(dateObj.getMinutes()).padStart(2, "0");
-  return `${h}:${m}`;
-}
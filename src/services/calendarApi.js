@@ -4,11 +4,44 @@
  * This module wraps calls to the Google Calendar v3 API and exposes
  * higher-level helpers to:
  * - Fetch events for a single calendar.
- * - Fetch events for multiple calendars in parallel.
+ * - Fetch events for multiple calendars with a bounded number of parallel requests.
+ * - Retry rate-limited and transient errors with exponential backoff and jitter.
+ * - Report progress and stop early when the run is cancelled (AbortSignal).
+ * - Fall back to the free/busy endpoint for calendars shared as free/busy only.
+ * - Keep the events in a local cache (eventCache.js) refreshed incrementally
+ *   with sync tokens.
  * - Normalize raw Google Calendar events into a unified internal shape.
  */
+import { getCachedCalendar, putCachedCalendar } from "../storage/eventCache.js";
+
 const CALENDAR_API_BASE = "https://www.googleapis.com/calendar/v3";
 
+/** Default fetch options, overridden by config.fetchConcurrency / config.fetchMaxRetries. */
+const DEFAULT_FETCH_OPTIONS = {
+  concurrency: 5,
+  maxRetries: 5,
+  baseDelayMs: 1000,
+  maxDelayMs: 32000
+};
+
+/** 403 reasons that mean "slow down" rather than "no permission". */
+const RATE_LIMIT_REASONS = ["rateLimitExceeded", "userRateLimitExceeded"];
+
+/** Calendars per freeBusy.query request (API limit: 50). */
+const FREEBUSY_BATCH_SIZE = 50;
+
+/**
+ * Version of the normalized event shape stored in the event cache. Bump it
+ * when normalizeEvent() gains fields: older records are fully synced again.
+ */
+const EVENT_FORMAT_VERSION = 3;
+
+/**
+ * Longest window (in days) a cache record is widened to. Reports on periods
+ * further apart replace the record instead of growing it without limit.
+ */
+const MAX_CACHE_WINDOW_DAYS = 120;
+
 /**
  * Fetches events for a single calendar (usually a user email) within
  * a given date range.
@@ -18,17 +51,23 @@ const CALENDAR_API_BASE = "https://www.googleapis.com/calendar/v3";
  * - Handles pagination via nextPageToken.
  * - Filters out cancelled events.
  * - Normalizes the remaining events for downstream processing.
+ * - Reads the calendar's own time zone from the response `timeZone` field.
+ * - Retries retryable errors (see isRetryableError); `options.maxRetries` caps
+ *   the retries of the whole calendar, across all its pages.
  *
  * @param {string} calendarId - Calendar identifier, usually a user email (e.g. user@company.com).
  * @param {{ start: string, end: string }} dateRange - Date range with ISO strings for timeMin/timeMax.
  * @param {string} accessToken - Google OAuth access token.
- * @returns {Promise<Array<Object>>} A list of normalized events.
+ * @param {{ maxRetries?: number; baseDelayMs?: number; maxDelayMs?: number; signal?: AbortSignal }} [options]
+ *   Retry options, and a signal that aborts the requests.
+ * @returns {Promise<{ events: Array<Object>, timeZone: string | null, attempts: number }>} Normalized
+ *   events, the calendar time zone (IANA name) if the API returned one, and the
+ *   number of HTTP requests made.
+ * @throws {Error} With `status`, `reason` and `attempts` when the calendar cannot be read.
  */
-export async function fetchEventsForUser(calendarId, dateRange, accessToken) {
+export async function fetchEventsForUser(calendarId, dateRange, accessToken, options = {}) {
   console.log("[Calendar-Analytics] fetchEventsForUser →", calendarId);
 
-  const encodedCalendarId = encodeURIComponent(calendarId);
-
   const params = new URLSearchParams({
     timeMin: dateRange.start,
     timeMax: dateRange.end,
@@ -37,106 +76,594 @@ export async function fetchEventsForUser(calendarId, dateRange, accessToken) {
     showDeleted: "false"
   });
 
-  let url = `${CALENDAR_API_BASE}/calendars/${encodedCalendarId}/events?${params.toString()}`;
-  let allEvents = [];
-  let pageToken = null;
+  const retry = { ...DEFAULT_FETCH_OPTIONS, ...options, attempts: 0, retries: 0 };
+  const { items, timeZone } = await listEvents(calendarId, params, accessToken, retry, options.signal);
 
-  do {
-    const pageUrl = pageToken ? `${url}&pageToken=${pageToken}` : url;
-    const data = await fetchJsonWithAuth(pageUrl, accessToken);
+  const events = items
+    .filter((ev) => ev.status !== "cancelled")
+    .map((ev) => normalizeEvent(ev, calendarId));
+
+  return { events, timeZone, attempts: retry.attempts };
+}
+
+/**
+ * Returns the events of a calendar through the local event cache.
+ *
+ * - If the cached window covers `dateRange` and was synced less than
+ *   `options.cacheFreshMinutes` ago, the cache is used without any request.
+ * - If it covers `dateRange` and has a sync token, only the changes since the
+ *   last sync are requested (syncToken → nextSyncToken): new and updated
+ *   events replace the cached ones, cancelled events are removed.
+ * - Otherwise, or with `options.forceRefresh`, when the API answers
+ *   410 Gone (sync token expired) or when the record was normalized by an
+ *   older version (EVENT_FORMAT_VERSION), the window is fully synced again.
+ *   A window that does not cover `dateRange` is widened to the union of both
+ *   (up to MAX_CACHE_WINDOW_DAYS), so reports that alternate between nearby
+ *   periods keep a single record and its sync token.
+ *
+ * @param {string} calendarId - Calendar identifier, usually a user email.
+ * @param {{ start: string, end: string }} dateRange - Date range with ISO strings.
+ * @param {string} accessToken - Google OAuth access token.
+ * @param {{
+ *   maxRetries?: number;
+ *   baseDelayMs?: number;
+ *   maxDelayMs?: number;
+ *   signal?: AbortSignal;
+ *   cacheFreshMinutes?: number;
+ *   forceRefresh?: boolean;
+ * }} [options] Retry options, cancellation signal and cache options.
+ * @returns {Promise<{ events: Array<Object>, timeZone: string | null, attempts: number, syncedAt: string }>}
+ *   The events of the calendar that overlap `dateRange`, the calendar time
+ *   zone, the number of HTTP requests made and the time of the last sync.
+ * @throws {Error} With `status`, `reason` and `attempts` when the calendar cannot be read.
+ */
+export async function syncEventsForUser(calendarId, dateRange, accessToken, options = {}) {
+  const retry = { ...DEFAULT_FETCH_OPTIONS, ...options, attempts: 0, retries: 0 };
+  const cached = options.forceRefresh ? null : await getCachedCalendar(calendarId);
+  const covers =
+    cached &&
+    cached.formatVersion === EVENT_FORMAT_VERSION &&
+    cached.timeMin <= dateRange.start &&
+    cached.timeMax >= dateRange.end;
+
+  let record = null;
+
+  if (covers) {
+    const ageMinutes = (Date.now() - Date.parse(cached.syncedAt)) / 60000;
+    if (ageMinutes < (Number(options.cacheFreshMinutes) || 0)) {
+      console.log("[Calendar-Analytics] Event cache hit →", calendarId);
+      record = cached;
+    } else if (cached.syncToken) {
+      record = await incrementalSync(cached, accessToken, retry, options.signal);
+    }
+  }
+
+  if (!record) {
+    const window = getSyncWindow(cached, dateRange);
+    record = await fullSync(calendarId, window, accessToken, retry, options.signal);
+  }
+
+  if (record !== cached) {
+    // El payload original (raw) no se guarda: duplicaría cada evento en IndexedDB
+    record = { ...record, events: record.events.map(({ raw, ...ev }) => ev) };
+    await putCachedCalendar(record);
+  }
+
+  return {
+    events: record.events.filter((ev) => overlapsRange(ev, dateRange)),
+    timeZone: record.timeZone,
+    attempts: retry.attempts,
+    syncedAt: record.syncedAt
+  };
+}
+
+/**
+ * Window of a full sync: the union of the cached window and `dateRange`, or
+ * `dateRange` alone when there is no usable record or the union would be
+ * longer than MAX_CACHE_WINDOW_DAYS.
+ *
+ * @param {Object | null} cached - Cached record of the calendar.
+ * @param {{ start: string, end: string }} dateRange - Range requested by the report.
+ * @returns {{ start: string, end: string }}
+ */
+function getSyncWindow(cached, dateRange) {
+  if (!cached || cached.formatVersion !== EVENT_FORMAT_VERSION) return dateRange;
+
+  const start = cached.timeMin < dateRange.start ? cached.timeMin : dateRange.start;
+  const end = cached.timeMax > dateRange.end ? cached.timeMax : dateRange.end;
+  const days = (Date.parse(end) - Date.parse(start)) / 86400000;
+
+  return days <= MAX_CACHE_WINDOW_DAYS ? { start, end } : dateRange;
+}
+
+/**
+ * Downloads every event of a calendar in a window and returns a new cache record.
+ * orderBy is left out: the API does not return a sync token with it.
+ */
+async function fullSync(calendarId, dateRange, accessToken, retry, signal) {
+  console.log("[Calendar-Analytics] Full sync →", calendarId);
+
+  const params = new URLSearchParams({
+    timeMin: dateRange.start,
+    timeMax: dateRange.end,
+    singleEvents: "true",
+    showDeleted: "false"
+  });
 
-    const items = Array.isArray(data.items) ? data.items : [];
-    const normalized = items
+  const { items, timeZone, nextSyncToken } = await listEvents(
+    calendarId,
+    params,
+    accessToken,
+    retry,
+    signal
+  );
+
+  return {
+    calendarId,
+    formatVersion: EVENT_FORMAT_VERSION,
+    timeMin: dateRange.start,
+    timeMax: dateRange.end,
+    syncToken: nextSyncToken || "",
+    timeZone,
+    events: items
       .filter((ev) => ev.status !== "cancelled")
-      .map((ev) => normalizeEvent(ev, calendarId));
+      .map((ev) => normalizeEvent(ev, calendarId)),
+    syncedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Applies the changes since the last sync to a cached record. The sync token
+ * reports changes anywhere in the calendar: events outside the record window
+ * (timeMin–timeMax) are dropped, so the record does not grow without limit.
+ *
+ * @returns {Promise<Object | null>} The updated record, or null when the sync
+ *   token expired (410 Gone) and a full sync is needed.
+ */
+async function incrementalSync(cached, accessToken, retry, signal) {
+  console.log("[Calendar-Analytics] Incremental sync →", cached.calendarId);
+
+  // Con syncToken no se admiten timeMin/timeMax/orderBy; el resto igual que en el full sync
+  const params = new URLSearchParams({
+    syncToken: cached.syncToken,
+    singleEvents: "true"
+  });
+
+  let changes;
+  try {
+    changes = await listEvents(cached.calendarId, params, accessToken, retry, signal);
+  } catch (err) {
+    if (err.status === 410) {
+      console.warn("[Calendar-Analytics] Sync token expired, full resync →", cached.calendarId);
+      return null;
+    }
+    throw err;
+  }
+
+  const window = { start: cached.timeMin, end: cached.timeMax };
+  const events = new Map(cached.events.map((ev) => [ev.eventId, ev]));
+  for (const item of changes.items) {
+    const ev = item.status === "cancelled" ? null : normalizeEvent(item, cached.calendarId);
+    // Un evento movido fuera de la ventana también se elimina
+    if (ev && overlapsRange(ev, window)) events.set(item.id, ev);
+    else events.delete(item.id);
+  }
+
+  return {
+    ...cached,
+    syncToken: changes.nextSyncToken || cached.syncToken,
+    timeZone: changes.timeZone || cached.timeZone,
+    events: Array.from(events.values()),
+    syncedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Calls the Events list endpoint, following nextPageToken.
+ *
+ * @param {string} calendarId - Calendar identifier.
+ * @param {URLSearchParams} params - Query parameters (without pageToken).
+ * @param {string} accessToken - Google OAuth access token.
+ * @param {Object} retry - Retry state shared by all the pages (see fetchJsonWithRetry).
+ * @param {AbortSignal} [signal] - Aborts the requests.
+ * @returns {Promise<{ items: Array<Object>, timeZone: string | null, nextSyncToken: string | null }>}
+ *   Raw events of every page, the calendar time zone and the sync token of the last page.
+ */
+async function listEvents(calendarId, params, accessToken, retry, signal) {
+  const url = `${CALENDAR_API_BASE}/calendars/${encodeURIComponent(calendarId)}/events?${params.toString()}`;
+  let items = [];
+  let timeZone = null;
+  let nextSyncToken = null;
+  let pageToken = null;
+
+  do {
+    const pageUrl = pageToken ? `${url}&pageToken=${encodeURIComponent(pageToken)}` : url;
+    const data = await fetchJsonWithRetry(pageUrl, accessToken, retry, signal);
 
-    allEvents = allEvents.concat(normalized);
+    items = items.concat(Array.isArray(data.items) ? data.items : []);
+    timeZone = timeZone || data.timeZone || null;
+    nextSyncToken = data.nextSyncToken || nextSyncToken;
     pageToken = data.nextPageToken || null;
   } while (pageToken);
 
-  return allEvents;
+  return { items, timeZone, nextSyncToken };
 }
 
 /**
- * Fetches events for multiple calendars in parallel.
+ * Checks whether a normalized event overlaps a date range. All-day events
+ * (YYYY-MM-DD) are compared by date.
+ */
+function overlapsRange(ev, dateRange) {
+  if (!ev.start || !ev.end) return false;
+  if (ev.allDay) {
+    return ev.end > dateRange.start.slice(0, 10) && ev.start <= dateRange.end.slice(0, 10);
+  }
+  return (
+    Date.parse(ev.end) > Date.parse(dateRange.start) &&
+    Date.parse(ev.start) < Date.parse(dateRange.end)
+  );
+}
+
+/**
+ * Fetches events for multiple calendars, at most `options.concurrency` at a time.
  *
  * For each calendar ID:
- * - Attempts to fetch events using fetchEventsForUser.
+ * - Attempts to fetch events using fetchEventsForUser (with retries), or
+ *   syncEventsForUser when `options.useCache` is set.
  * - On failure, records a structured failure entry and continues.
+ *   Calendars that are still rate limited after the retries get the
+ *   "rate_limited" reason, not "forbidden".
+ * - Calls `options.onProgress` after each calendar, and stops (rejecting with
+ *   the abort error) when `options.signal` is aborted.
+ * - Calendars that failed with 403/404 (usually shared as free/busy only) are
+ *   then queried through freeBusy.query, unless `options.freeBusyFallback` is
+ *   false. Their busy intervals are returned as untitled events with
+ *   `source: "freebusy"`, and the calendars are removed from the failures.
  *
  * The returned object contains:
  * - events: All events from calendars that were successfully read.
  * - failures: A list of calendar IDs that could not be read, with a reason and message.
+ * - timeZones: The time zone of each calendar that was read, keyed by calendar ID.
+ *   Free/busy calendars have none (the roster override or the browser zone is used).
+ * - freeBusyCalendars: The calendar IDs read through the free/busy fallback.
  *
  * @param {string[]} calendarIds - List of calendar IDs (usually user emails).
  * @param {{ start: string, end: string }} dateRange - Date range with ISO strings.
  * @param {string} accessToken - Google OAuth access token.
+ * @param {{
+ *   concurrency?: number;
+ *   maxRetries?: number;
+ *   baseDelayMs?: number;
+ *   maxDelayMs?: number;
+ *   signal?: AbortSignal;
+ *   onProgress?: (progress: { fetched: number; total: number; failures: number }) => void;
+ *   freeBusyFallback?: boolean;
+ *   useCache?: boolean;
+ *   cacheFreshMinutes?: number;
+ *   forceRefresh?: boolean;
+ * }} [options] Concurrency limit and retry options (defaults in DEFAULT_FETCH_OPTIONS),
+ *   cancellation signal, progress callback, free/busy fallback switch (on by default)
+ *   and event cache options (see syncEventsForUser).
  * @returns {Promise<{ events: Array<Object>, failures: Array<{
  *   calendarId: string;
  *   status: number | null;
- *   reason: "not_found_or_no_access" | "forbidden" | "other_error";
+ *   reason: "not_found_or_no_access" | "forbidden" | "rate_limited" | "other_error";
  *   message: string;
- * }> }>}
+ *   attempts: number;
+ * }>, timeZones: Record<string, string>, freeBusyCalendars: string[] }>}
  */
-export async function fetchEventsForUsers(calendarIds, dateRange, accessToken) {
+export async function fetchEventsForUsers(calendarIds, dateRange, accessToken, options = {}) {
   console.log("[Calendar-Analytics] fetchEventsForUsers →", calendarIds);
 
   const failures = [];
+  const timeZones = {};
+  const concurrency = Math.max(1, Number(options.concurrency) || DEFAULT_FETCH_OPTIONS.concurrency);
+  let fetched = 0;
+
+  const reportProgress = () => {
+    fetched++;
+    options.onProgress?.({ fetched, total: calendarIds.length, failures: failures.length });
+  };
+
+  const results = await runWithConcurrency(calendarIds, concurrency, async (id) => {
+    options.signal?.throwIfAborted();
 
-  const promises = calendarIds.map(async (id) => {
     try {
-      return await fetchEventsForUser(id, dateRange, accessToken);
+      const fetchEvents = options.useCache ? syncEventsForUser : fetchEventsForUser;
+      const { events, timeZone } = await fetchEvents(id, dateRange, accessToken, options);
+      if (timeZone) timeZones[id] = timeZone;
+      reportProgress();
+      return events;
     } catch (err) {
+      if (options.signal?.aborted) throw err;
+
       console.error(
         "[Calendar-Analytics] Failed fetching events for calendar:",
         id,
         err
       );
+      const attempts = err.attempts || 1;
       failures.push({
         calendarId: id,
         status: err.status || null,
         reason:
-          err.status === 404
+          err.reason === "rate_limited"
+            ? "rate_limited"
+            : err.status === 404
             ? "not_found_or_no_access"
             : err.status === 403
             ? "forbidden"
             : "other_error",
-        message: err.message || "Calendar could not be read"
+        message:
+          err.reason === "rate_limited"
+            ? `Rate limited by the Calendar API (gave up after ${attempts} attempts)`
+            : err.message || "Calendar could not be read",
+        attempts
       });
+      reportProgress();
       return [];
     }
   });
 
-  const results = await Promise.all(promises);
   const events = results.flat();
+  const freeBusyCalendars = [];
+
+  const noAccess = failures.filter(
+    (f) => f.reason === "not_found_or_no_access" || f.reason === "forbidden"
+  );
+  if (options.freeBusyFallback !== false && noAccess.length > 0) {
+    const freeBusy = await fetchFreeBusyForUsers(
+      noAccess.map((f) => f.calendarId),
+      dateRange,
+      accessToken,
+      options
+    );
+
+    for (const failure of noAccess) {
+      const busy = freeBusy[failure.calendarId];
+      if (!busy || busy.error) {
+        if (busy?.error) failure.message += ` (free/busy: ${busy.error})`;
+        continue;
+      }
 
-  return { events, failures };
+      events.push(...busy.events);
+      freeBusyCalendars.push(failure.calendarId);
+      failures.splice(failures.indexOf(failure), 1);
+    }
+
+    console.log("[Calendar-Analytics] Read through free/busy:", freeBusyCalendars);
+    options.onProgress?.({ fetched, total: calendarIds.length, failures: failures.length });
+  }
+
+  return { events, failures, timeZones, freeBusyCalendars };
 }
 
 /**
- * Performs an authenticated GET request and parses the JSON response.
+ * Queries the busy intervals of several calendars through freeBusy.query,
+ * FREEBUSY_BATCH_SIZE calendars per request.
+ *
+ * Free/busy access only reveals when a calendar is busy: the intervals are
+ * returned as untitled, accepted, opaque events with `source: "freebusy"`
+ * (see normalizeFreeBusyInterval), so the analyzer can still build busy and
+ * free blocks from them.
+ *
+ * A failed batch does not stop the others: its calendars get the error
+ * message, like the calendars the API reports individually (e.g. "notFound").
+ *
+ * @param {string[]} calendarIds - Calendar IDs to query.
+ * @param {{ start: string, end: string }} dateRange - Date range with ISO strings.
+ * @param {string} accessToken - Google OAuth access token.
+ * @param {{ maxRetries?: number; baseDelayMs?: number; maxDelayMs?: number; signal?: AbortSignal }} [options]
+ *   Retry options and cancellation signal.
+ * @returns {Promise<Record<string, { events: Array<Object>, error: string }>>} Result per calendar ID.
+ */
+export async function fetchFreeBusyForUsers(calendarIds, dateRange, accessToken, options = {}) {
+  console.log("[Calendar-Analytics] fetchFreeBusyForUsers →", calendarIds);
+
+  const results = {};
+
+  for (let i = 0; i < calendarIds.length; i += FREEBUSY_BATCH_SIZE) {
+    const batch = calendarIds.slice(i, i + FREEBUSY_BATCH_SIZE);
+    const retry = { ...DEFAULT_FETCH_OPTIONS, ...options, attempts: 0, retries: 0 };
+
+    let data;
+    try {
+      data = await fetchJsonWithRetry(
+        `${CALENDAR_API_BASE}/freeBusy`,
+        accessToken,
+        retry,
+        options.signal,
+        {
+          timeMin: dateRange.start,
+          timeMax: dateRange.end,
+          items: batch.map((id) => ({ id }))
+        }
+      );
+    } catch (err) {
+      if (options.signal?.aborted) throw err;
+      console.error("[Calendar-Analytics] freeBusy query failed:", err);
+      for (const id of batch) {
+        results[id] = { events: [], error: err.message || "free/busy query failed" };
+      }
+      continue;
+    }
+
+    for (const id of batch) {
+      const calendar = data?.calendars?.[id];
+      const errors = Array.isArray(calendar?.errors) ? calendar.errors : [];
+
+      if (!calendar || errors.length > 0) {
+        results[id] = {
+          events: [],
+          error: errors.map((e) => e?.reason).filter(Boolean).join(", ") || "notFound"
+        };
+        continue;
+      }
+
+      const busy = Array.isArray(calendar.busy) ? calendar.busy : [];
+      results[id] = {
+        events: busy.map((interval, index) => normalizeFreeBusyInterval(interval, id, index)),
+        error: ""
+      };
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Runs an async worker over a list with at most `limit` workers in flight.
+ * Results keep the order of the input list.
+ *
+ * @template T, R
+ * @param {T[]} items - Items to process.
+ * @param {number} limit - Maximum number of concurrent workers.
+ * @param {(item: T, index: number) => Promise<R>} worker - Async worker.
+ * @returns {Promise<R[]>} Results in input order (rejects on the first worker error).
+ */
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Calls fetchJsonWithAuth, retrying retryable errors with exponential backoff
+ * and full jitter. A Retry-After header, when present, sets the minimum wait.
+ *
+ * The `retry` state is shared by all the pages of a calendar, so
+ * `retry.maxRetries` caps the retries of the whole calendar.
+ *
+ * @param {string} url - Fully resolved URL for the Calendar API endpoint.
+ * @param {string} accessToken - Google OAuth access token.
+ * @param {{ maxRetries: number; baseDelayMs: number; maxDelayMs: number; attempts: number; retries: number }} retry
+ *   Retry options and counters (mutated).
+ * @param {AbortSignal} [signal] - Aborts the request and the waits between retries.
+ * @param {Object} [body] - JSON body; when given, the request is a POST.
+ * @returns {Promise<any>} Parsed JSON response.
+ * @throws {Error} The last error, with `attempts` and, if rate limited, `reason` = "rate_limited".
+ */
+async function fetchJsonWithRetry(url, accessToken, retry, signal, body) {
+  while (true) {
+    retry.attempts++;
+    try {
+      return await fetchJsonWithAuth(url, accessToken, signal, body);
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      err.attempts = retry.attempts;
+      if (isRateLimitError(err)) err.reason = "rate_limited";
+
+      if (!isRetryableError(err) || retry.retries >= retry.maxRetries) throw err;
+
+      retry.retries++;
+      const backoff = Math.min(retry.maxDelayMs, retry.baseDelayMs * 2 ** (retry.retries - 1));
+      // Jitter completo: repartir los reintentos de todos los workers
+      const delay = Math.max(err.retryAfterMs || 0, Math.round(Math.random() * backoff));
+
+      console.warn(
+        `[Calendar-Analytics] Retrying (${retry.retries}/${retry.maxRetries}) in ${delay} ms after`,
+        err.status || err.message
+      );
+      await sleep(delay, signal);
+    }
+  }
+}
+
+/**
+ * Checks whether an error is worth retrying: rate limits (429 or 403 with a
+ * rate-limit reason), server errors (5xx) and network errors.
+ *
+ * @param {Error & { status?: number }} err - Error thrown by fetchJsonWithAuth.
+ * @returns {boolean}
+ */
+function isRetryableError(err) {
+  if (!err.status) return true; // network error
+  return err.status >= 500 || isRateLimitError(err);
+}
+
+/**
+ * Checks whether an error is a rate limit: HTTP 429, or 403 whose body
+ * carries a rate-limit reason (e.g. "rateLimitExceeded").
+ *
+ * @param {Error & { status?: number; body?: string }} err - Error thrown by fetchJsonWithAuth.
+ * @returns {boolean}
+ */
+function isRateLimitError(err) {
+  if (err.status === 429) return true;
+  if (err.status !== 403) return false;
+  return parseErrorReasons(err.body).some((reason) => RATE_LIMIT_REASONS.includes(reason));
+}
+
+/**
+ * Extracts the `reason` values from a Google API error body:
+ * { "error": { "errors": [{ "reason": "rateLimitExceeded", ... }] } }
+ *
+ * @param {string} bodyText - Raw response body.
+ * @returns {string[]} Error reasons (empty if the body is not a Google error).
+ */
+function parseErrorReasons(bodyText) {
+  try {
+    const errors = JSON.parse(bodyText)?.error?.errors;
+    return Array.isArray(errors) ? errors.map((e) => e?.reason).filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+}
+
+/**
+ * Performs an authenticated GET request (POST when a JSON body is given)
+ * and parses the JSON response.
  *
  * If the response is not OK (non-2xx):
  * - Logs the response body for debugging.
  * - Throws an Error object enriched with:
  *   - status: HTTP status code
  *   - body: raw response body text
+ *   - retryAfterMs: wait requested by a Retry-After header (seconds), if any
  *
  * This allows callers to distinguish 403/404 errors when tracking failures.
  *
  * @param {string} url - Fully resolved URL for the Calendar API endpoint.
  * @param {string} accessToken - Google OAuth access token.
+ * @param {AbortSignal} [signal] - Aborts the request.
+ * @param {Object} [body] - JSON request body.
  * @returns {Promise<any>} Parsed JSON response.
  * @throws {Error} When the HTTP response is not successful.
  */
-async function fetchJsonWithAuth(url, accessToken) {
+async function fetchJsonWithAuth(url, accessToken, signal, body) {
   console.log("[Calendar-Analytics] API call →", url);
 
   const res = await fetch(url, {
-    method: "GET",
-    headers: {
-      Authorization: `Bearer ${accessToken}`
-    }
+    method: body ? "POST" : "GET",
+    headers: body
+      ? { Authorization: `Bearer ${accessToken}`, "Content-Type": "application/json" }
+      : { Authorization: `Bearer ${accessToken}` },
+    body: body ? JSON.stringify(body) : undefined,
+    signal
   });
 
   if (!res.ok) {
@@ -149,6 +676,8 @@ async function fetchJsonWithAuth(url, accessToken) {
     const error = new Error(`Calendar API error: ${res.status}`);
     error.status = res.status;
     error.body = bodyText;
+    const retryAfter = Number(res.headers.get("Retry-After"));
+    if (retryAfter > 0) error.retryAfterMs = retryAfter * 1000;
     throw error;
   }
 
@@ -161,7 +690,20 @@ async function fetchJsonWithAuth(url, accessToken) {
  * Normalization rules:
  * - Uses `dateTime` when present, otherwise falls back to `date` (all-day events).
  * - Derives an `allDay` boolean based on the presence of `date` vs `dateTime`.
- * - Preserves the original event object in the `raw` property for debugging or extensions.
+ * - Reads the calendar owner's `responseStatus` from the attendee list. The owner is
+ *   the attendee whose email matches the calendar ID (or `self` for "primary").
+ *   Events without an attendee entry for the owner are their own, so they count as accepted.
+ * - Keeps the event `transparency` ("opaque" by default, "transparent" for "show as available").
+ * - Keeps the Calendar `eventType` ("default", "outOfOffice", "focusTime", "workingLocation")
+ *   and, for working-location events, a readable location label.
+ * - Keeps the event `colorId` ("" when it uses the calendar color).
+ * - Summarizes the meeting: the number of attendees (resources such as rooms are
+ *   not counted; at least 1, the owner), their emails, the organizer, whether the
+ *   calendar owner organized it, whether it is an instance of a recurring event
+ *   and whether it has a video call (Meet link or a video conference entry point).
+ * - Preserves the original event object in the `raw` property for debugging or extensions
+ *   (events read through the event cache do not have it: it is not stored).
+ * - Marks the event as read from the events list (`source: "events"`).
  *
  * @param {Object} ev - Raw Google Calendar event object.
  * @param {string} calendarId - The calendar ID from which this event was fetched.
@@ -173,6 +715,18 @@ async function fetchJsonWithAuth(url, accessToken) {
  *   start: string | null;
  *   end: string | null;
  *   allDay: boolean;
+ *   responseStatus: "accepted" | "declined" | "tentative" | "needsAction";
+ *   transparency: "opaque" | "transparent";
+ *   eventType: string;
+ *   workingLocation: string;
+ *   colorId: string;
+ *   attendeeCount: number;
+ *   attendeeEmails: string[];
+ *   organizerEmail: string;
+ *   organizedBySelf: boolean;
+ *   recurring: boolean;
+ *   hasVideo: boolean;
+ *   source: "events";
  *   raw: Object;
  * }} Normalized event object.
  */
@@ -186,6 +740,12 @@ function normalizeEvent(ev, calendarId) {
 
   const allDay = Boolean(startObj.date && !startObj.dateTime);
 
+  const owner = findCalendarOwnerAttendee(ev, calendarId);
+  const attendees = (Array.isArray(ev.attendees) ? ev.attendees : []).filter(
+    (a) => a && !a.resource
+  );
+  const organizerEmail = String(ev.organizer?.email || "").toLowerCase();
+
   return {
     calendarId,
     eventId: ev.id,
@@ -194,6 +754,111 @@ function normalizeEvent(ev, calendarId) {
     start, // ISO string
     end,   // ISO string
     allDay,
+    responseStatus: owner?.responseStatus || "accepted",
+    transparency: ev.transparency === "transparent" ? "transparent" : "opaque",
+    eventType: ev.eventType || "default",
+    workingLocation: describeWorkingLocation(ev.workingLocationProperties),
+    colorId: ev.colorId || "",
+    attendeeCount: Math.max(1, attendees.length),
+    attendeeEmails: attendees.map((a) => String(a.email || "").toLowerCase()).filter(Boolean),
+    organizerEmail,
+    organizedBySelf: Boolean(
+      ev.organizer?.self || organizerEmail === String(calendarId).toLowerCase()
+    ),
+    recurring: Boolean(ev.recurringEventId || ev.recurrence),
+    hasVideo: hasVideoConference(ev),
+    source: "events",
     raw: ev
   };
 }
+
+/**
+ * Normalizes a free/busy interval ({ start, end }) into the event shape used
+ * by the analyzer: an untitled, accepted and opaque event, so it always counts
+ * as busy time, with `source: "freebusy"`. Nothing is known about its
+ * attendees, so `attendeeCount` is null.
+ *
+ * @param {{ start: string; end: string }} interval - Busy interval from freeBusy.query.
+ * @param {string} calendarId - The calendar the interval belongs to.
+ * @param {number} index - Position of the interval, used to build a stable ID.
+ * @returns {Object} Normalized event object (see normalizeEvent).
+ */
+function normalizeFreeBusyInterval(interval, calendarId, index) {
+  return {
+    calendarId,
+    eventId: `freebusy-${index + 1}`,
+    summary: "",
+    description: "",
+    start: interval?.start || null,
+    end: interval?.end || null,
+    allDay: false,
+    responseStatus: "accepted",
+    transparency: "opaque",
+    eventType: "default",
+    workingLocation: "",
+    colorId: "",
+    attendeeCount: null,
+    attendeeEmails: [],
+    organizerEmail: "",
+    organizedBySelf: false,
+    recurring: false,
+    hasVideo: false,
+    source: "freebusy",
+    raw: interval
+  };
+}
+
+/**
+ * Tells whether an event has a video call: a Google Meet link, or a
+ * conference (Meet, Zoom, Teams add-ons…) with a video entry point.
+ *
+ * @param {Object} ev - Raw Google Calendar event object.
+ * @returns {boolean}
+ */
+function hasVideoConference(ev) {
+  if (ev.hangoutLink) return true;
+  const entryPoints = ev.conferenceData?.entryPoints;
+  return Array.isArray(entryPoints) && entryPoints.some((e) => e?.entryPointType === "video");
+}
+
+/**
+ * Builds a readable label for the working location of a working-location event.
+ *
+ * @param {Object} [props] - The raw `workingLocationProperties` object.
+ * @returns {string} "Home", the office/custom label, or an empty string.
+ */
+function describeWorkingLocation(props) {
+  if (!props) return "";
+  if (props.type === "homeOffice") return "Home";
+  if (props.type === "officeLocation") {
+    return props.officeLocation?.label || "Office";
+  }
+  if (props.type === "customLocation") {
+    return props.customLocation?.label || "Custom location";
+  }
+  return "";
+}
+
+/**
+ * Finds the attendee entry that represents the owner of the calendar being read.
+ *
+ * The `self` flag refers to the authenticated user, which is only the calendar
+ * owner when reading one's own calendar, so the email match takes precedence.
+ *
+ * @param {Object} ev - Raw Google Calendar event object.
+ * @param {string} calendarId - The calendar ID from which this event was fetched.
+ * @returns {{ email?: string; responseStatus?: string } | null} The owner attendee, if listed.
+ */
+function findCalendarOwnerAttendee(ev, calendarId) {
+  const attendees = Array.isArray(ev.attendees) ? ev.attendees : [];
+  const id = String(calendarId || "").toLowerCase();
+
+  const byEmail = attendees.find(
+    (a) => String(a?.email || "").toLowerCase() === id
+  );
+  if (byEmail) return byEmail;
+
+  if (id === "primary") return attendees.find((a) => a?.self) || null;
+
+  return null;
+}
@@ -0,0 +1,282 @@
+// src/services/criteriaEngine.js
+/**
+ * Criteria Engine
+ *
+ * Evaluates the calendar-hygiene criteria defined as data in the
+ * configuration (config.criteriaRules) against the per-day metrics produced
+ * by calendarAnalyzer.js.
+ *
+ * A rule looks like:
+ *   {
+ *     id: "busy_min",
+ *     label: "Busy >= 85%",          // shown in criteria_passed / criteria_failed
+ *     metric: "busy_percent",        // key of CRITERIA_METRICS
+ *     comparator: ">=",              // key of CRITERIA_COMPARATORS
+ *     threshold: 85,
+ *     weekdays: [1, 2, 3, 4, 5]      // optional, 0 = Sunday … 6 = Saturday; empty = every day
+ *   }
+ *
+ * The output of evaluateCriteria() is a list of plain rows, one per user and
+ * day, which the CSV builders format.
+ */
+
+/**
+ * Metrics available to the rules, keyed by the name stored in each rule.
+ * `get` reads the value from the analyzer's DayMetrics object.
+ */
+export const CRITERIA_METRICS = {
+  busy_percent: {
+    label: "Busy %",
+    get: (m) => m.busyPercent
+  },
+  busy_minutes: {
+    label: "Busy minutes",
+    get: (m) => m.busyMinutes
+  },
+  longest_block_minutes: {
+    label: "Longest block (minutes)",
+    get: (m) => m.longestBlockMinutes
+  },
+  free_gap_count: {
+    label: "Number of free gaps",
+    get: (m) => m.freeGapCount
+  },
+  back_to_back_count: {
+    label: "Back-to-back meetings",
+    get: (m) => m.backToBackCount
+  },
+  after_hours_minutes: {
+    label: "Meeting minutes after hours",
+    get: (m) => m.afterHoursMinutes
+  },
+  focus_minutes: {
+    label: "Focus-time minutes",
+    get: (m) => m.focusMinutes
+  },
+  longest_free_minutes: {
+    label: "Longest free stretch (minutes)",
+    get: (m) => m.longestFreeMinutes
+  },
+  usable_free_block_count: {
+    label: "Usable free stretches",
+    get: (m) => m.usableFreeBlockCount
+  },
+  usable_free_percent: {
+    label: "Usable free time %",
+    get: (m) => m.usableFreePercent
+  },
+  fragmented_minutes: {
+    label: "Fragmented minutes",
+    get: (m) => m.fragmentedMinutes
+  },
+  longest_chain_minutes: {
+    label: "Longest back-to-back chain (minutes)",
+    get: (m) => m.longestChainMinutes
+  },
+  chain_count: {
+    label: "Back-to-back chains",
+    get: (m) => m.chainCount
+  }
+};
+
+/** Comparators available to the rules. */
+export const CRITERIA_COMPARATORS = {
+  ">=": (value, threshold) => value >= threshold,
+  ">": (value, threshold) => value > threshold,
+  "<=": (value, threshold) => value <= threshold,
+  "<": (value, threshold) => value < threshold,
+  "==": (value, threshold) => value === threshold,
+  "!=": (value, threshold) => value !== threshold
+};
+
+/**
+ * Evaluates the configured rules for every user and selected day.
+ *
+ * - Users absent on a day get status "absent" and are not evaluated.
+ * - Users without analysis for a day (no events that day) are evaluated as
+ *   an empty workday.
+ * - Users with no events on any analyzed day are flagged with emptyCalendar
+ *   (their days are still evaluated, usually failing the busy rules).
+ * - Calendars that could not be read get one "error" row each.
+ * - longBlocks lists the busy blocks flagged as long (isLong) that day.
+ *
+ * @param {Array<Object>} analysis - Output of analyzeCalendar().
+ * @param {Array<{ calendarId: string; reason?: string; message?: string }>} failures - Calendars that could not be read.
+ * @param {string[]} selectedDates - Dates (YYYY-MM-DD) to evaluate.
+ * @param {Object} config - Extension configuration (criteriaRules, workdayStart, workdayEnd).
+ * @returns {Array<{
+ *   email: string;
+ *   date: string;
+ *   status: "passed" | "failed" | "absent" | "error";
+ *   passedRules: Array<Object>;
+ *   failedRules: Array<Object>;
+ *   metrics: Object | null;
+ *   longBlocks: Array<Object>;
+ *   timeZone: string;
+ *   emptyCalendar: boolean;
+ *   errorMessage: string;
+ * }>} One row per user and day, followed by the error rows.
+ */
+export function evaluateCriteria(analysis, failures = [], selectedDates = [], config = {}) {
+  const rules = Array.isArray(config?.criteriaRules) ? config.criteriaRules : [];
+  const days = Array.isArray(selectedDates) ? [...selectedDates].sort() : [];
+  const rows = [];
+
+  // Group analysis by email
+  const byEmail = new Map();
+  for (const entry of Array.isArray(analysis) ? analysis : []) {
+    if (!entry?.email) continue;
+    if (!byEmail.has(entry.email)) byEmail.set(entry.email, []);
+    byEmail.get(entry.email).push(entry);
+  }
+
+  for (const [email, entries] of byEmail.entries()) {
+    const emptyCalendar = entries.every((e) => e.emptyCalendar === true);
+
+    for (const date of days) {
+      const dayEntry = entries.find((e) => e?.date === date);
+      const timeZone = dayEntry?.timeZone || entries[0]?.timeZone || "";
+
+      if (dayEntry?.absent) {
+        rows.push({
+          email,
+          date,
+          status: "absent",
+          passedRules: [],
+          failedRules: [],
+          metrics: null,
+          longBlocks: [],
+          timeZone,
+          emptyCalendar,
+          errorMessage: ""
+        });
+        continue;
+      }
+
+      const metrics = dayEntry?.metrics || buildEmptyDayMetrics(config);
+      const { passed, failed } = evaluateRules(rules, metrics, date);
+
+      rows.push({
+        email,
+        date,
+        status: failed.length === 0 ? "passed" : "failed",
+        passedRules: passed,
+        failedRules: failed,
+        metrics,
+        longBlocks: (dayEntry?.blocks || []).filter((b) => b.type === "busy" && b.isLong),
+        timeZone,
+        emptyCalendar,
+        errorMessage: ""
+      });
+    }
+  }
+
+  for (const failure of Array.isArray(failures) ? failures : []) {
+    rows.push({
+      email: failure?.calendarId || "",
+      date: days.length === 1 ? days[0] : "",
+      status: "error",
+      passedRules: [],
+      failedRules: [],
+      metrics: null,
+      longBlocks: [],
+      timeZone: "",
+      emptyCalendar: false,
+      errorMessage:
+        failure?.message ||
+        (failure?.reason === "not_found_or_no_access"
+          ? "Calendar not found or not accessible"
+          : "Calendar could not be read")
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Evaluates a list of rules against the metrics of one day.
+ * Rules whose weekday scope excludes the date are skipped.
+ *
+ * @param {Array<Object>} rules - Rules from config.criteriaRules.
+ * @param {Object} metrics - DayMetrics from the analyzer.
+ * @param {string} date - Date in YYYY-MM-DD format.
+ * @returns {{ passed: Array<Object>; failed: Array<Object> }} Rules split by result.
+ */
+export function evaluateRules(rules, metrics, date) {
+  const passed = [];
+  const failed = [];
+
+  for (const rule of rules) {
+    if (!isRuleInScope(rule, date)) continue;
+
+    const metric = CRITERIA_METRICS[rule.metric];
+    const compare = CRITERIA_COMPARATORS[rule.comparator];
+    if (!metric || !compare) {
+      console.warn("[Calendar-Analytics] Skipping invalid criteria rule:", rule);
+      continue;
+    }
+
+    const value = Number(metric.get(metrics)) || 0;
+    if (compare(value, Number(rule.threshold))) passed.push(rule);
+    else failed.push(rule);
+  }
+
+  return { passed, failed };
+}
+
+/**
+ * Checks whether a rule applies to a date, given its optional weekday scope.
+ *
+ * @param {{ weekdays?: number[] }} rule - Criteria rule.
+ * @param {string} date - Date in YYYY-MM-DD format.
+ * @returns {boolean} True if the rule must be evaluated on that date.
+ */
+function isRuleInScope(rule, date) {
+  if (!Array.isArray(rule.weekdays) || rule.weekdays.length === 0) return true;
+
+  const [y, m, d] = date.split("-").map(Number);
+  const weekday = new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+  return rule.weekdays.map(Number).includes(weekday);
+}
+
+/**
+ * Builds the metrics of a workday without any busy time, used for users that
+ * have no analysis entry on a selected day.
+ *
+ * @param {{ workdayStart?: string; workdayEnd?: string }} config - Extension configuration.
+ * @returns {Object} DayMetrics for an empty workday.
+ */
+function buildEmptyDayMetrics(config) {
+  const start = hhmmToMinutes(config?.workdayStart);
+  const end = hhmmToMinutes(config?.workdayEnd);
+  const workdayMinutes = start != null && end != null ? Math.max(0, end - start) : 0;
+  const usable = workdayMinutes > 0 && workdayMinutes >= (Number(config?.minBlockMinutes) || 0);
+
+  return {
+    busyMinutes: 0,
+    workdayMinutes,
+    busyPercent: 0,
+    freeMinutes: workdayMinutes,
+    longestBlockMinutes: 0,
+    freeGapCount: workdayMinutes > 0 ? 1 : 0,
+    backToBackCount: 0,
+    afterHoursMinutes: 0,
+    focusMinutes: 0,
+    // Un día vacío es un único hueco libre del largo de la jornada
+    fragmentedMinutes: usable ? 0 : workdayMinutes,
+    longestFreeMinutes: workdayMinutes,
+    usableFreeBlockCount: usable ? 1 : 0,
+    usableFreePercent: usable ? 100 : 0,
+    chainCount: 0,
+    longestChainMinutes: 0
+  };
+}
+
+function hhmmToMinutes(hhmm) {
+  const m = /^(\d{2}):(\d{2})$/.exec(String(hhmm).trim());
+  if (!m) return null;
+  const h = Number(m[1]);
+  const min = Number(m[2]);
+  if (Number.isNaN(h) || Number.isNaN(min)) return null;
+  return h * 60 + min;
+}
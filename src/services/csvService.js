@@ -7,89 +7,205 @@
  * - Include error rows for calendars that could not be read.
  * - Trigger CSV downloads using data URLs (MV3-compatible).
  * - Generate a criteria-based CSV report and Slack-ready messages.
+ * - Generate a per-user summary CSV (one row per user over the whole period).
+ * - Generate an XLSX workbook (Blocks, Criteria, Criteria summary, Period
+ *   summary and Errors sheets) from the same rows.
+ * - Generate a diff CSV comparing two runs user by user (see runDiff.js).
+ * - Export the common free slots of a roster (see slotFinder.js) as CSV and as
+ *   an .ics file of tentative holds.
+ *
+ * Each report is described by a list of columns shared by the CSV and XLSX
+ * builders: `key` is the CSV header, `type` the XLSX cell type and `csv` an
+ * optional formatter that keeps the historic CSV output.
  */
+import { evaluateCriteria } from "./criteriaEngine.js";
+import { renderCriteriaMessage } from "./messageTemplates.js";
+import { buildXlsx } from "./xlsxWriter.js";
+import { buildIcs } from "./icsWriter.js";
+import { formatDateInZone, formatTimeInZone, getDefaultTimeZone } from "./timeZone.js";
 
 /* =========================================================
  * STANDARD REPORT
  * ======================================================= */
 
+/** Flags are written as "true" or left empty in the CSV reports. */
+const flagToCsv = (value) => (value === true ? "true" : "");
+
+/** Percentages and averages are written with two decimals. */
+const decimalToCsv = (value) => (typeof value === "number" ? value.toFixed(2) : "");
+
 /**
- * Builds the standard (blocks) CSV.
+ * Columns of the standard (blocks) report.
  *
- * Columns:
  * - email
  * - date
- * - type: busy | free | error
- * - title: busy title or error message
+ * - type: busy | free | fragmented | conflict | excluded | absent | all_day | working_location | error
+ *   (fragmented: free gap shorter than minBlockMinutes)
+ * - title: busy title, overlapping event titles, absence reason, location or error message
  * - from
  * - to
  * - duration_minutes
  * - is_long
+ * - event_class: busy | tentative | free | declined (busy and excluded rows)
+ * - kind: meeting | focus | out_of_office (busy rows)
+ * - time_zone: time zone in which the day was analyzed
+ * - source_event_ids: IDs of the original calendar events (busy and excluded rows)
+ * - is_continuation: the event started on an earlier day (overnight / multi-day events)
+ * - source: events | freebusy (calendars shared as free/busy only)
+ * - chain: number of the back-to-back chain of the day the busy block belongs to
+ *   (blocks separated by less than meetingBufferMinutes), empty otherwise
+ * - attendee_count: attendees of the meeting, the user included (largest of the merged
+ *   events; empty for free/busy-only calendars)
+ * - meeting_size: solo | one_on_one | small | large (see smallMeetingMaxAttendees)
+ * - audience: internal | external (any attendee or organizer outside companyDomains)
+ * - organized_by_user: the user organized the meeting
+ * - recurring: every merged event is an instance of a recurring event
+ * - has_video: the meeting has a video call (Meet or another conference)
+ * - category: category of the event (see categoryRules), busy and excluded rows
  */
-export function buildCsvFromAnalysis(analysis, failures = []) {
-  const header = [
-    "email",
-    "date",
-    "type", // busy | free | error
-    "title",
-    "from",
-    "to",
-    "duration_minutes",
-    "is_long"
-  ];
+const BLOCK_COLUMNS = [
+  { key: "email", width: 30 },
+  { key: "date", width: 12 },
+  { key: "type" },
+  { key: "title", width: 40 },
+  { key: "from" },
+  { key: "to" },
+  { key: "duration_minutes", type: "number" },
+  { key: "is_long", type: "boolean", csv: flagToCsv },
+  { key: "event_class" },
+  { key: "kind" },
+  { key: "time_zone", width: 20 },
+  { key: "source_event_ids", width: 30 },
+  { key: "is_continuation", type: "boolean", csv: flagToCsv },
+  { key: "source" },
+  { key: "chain", type: "number" },
+  { key: "attendee_count", type: "number" },
+  { key: "meeting_size" },
+  { key: "audience" },
+  { key: "organized_by_user", type: "boolean", csv: flagToCsv },
+  { key: "recurring", type: "boolean", csv: flagToCsv },
+  { key: "has_video", type: "boolean", csv: flagToCsv },
+  { key: "category", width: 16 }
+];
 
-  const rows = [header];
+/**
+ * Builds the rows of the standard (blocks) report, one object per row keyed
+ * by the BLOCK_COLUMNS keys.
+ *
+ * @param {Array<Object>} analysis - Output of analyzeCalendar().
+ * @param {Array<{ calendarId: string; reason?: string; message?: string }>} failures - Calendars that could not be read.
+ * @returns {Array<Object>} Report rows.
+ */
+export function buildBlockRows(analysis, failures = []) {
+  const rows = [];
 
-  // 1) Normal blocks (busy/free)
+  // 1) Normal blocks (busy/free/fragmented)
   for (const dayEntry of Array.isArray(analysis) ? analysis : []) {
-    const { email, date, blocks } = dayEntry || {};
+    const { email, date, blocks, conflicts, excluded, metadata } = dayEntry || {};
     if (!email || !date || !Array.isArray(blocks)) continue;
 
+    const base = {
+      email,
+      date,
+      time_zone: dayEntry.timeZone || "",
+      source: dayEntry.source || "events"
+    };
+
+    if (dayEntry.absent) {
+      rows.push({ ...base, type: "absent", title: dayEntry.absenceReason });
+    }
+
     for (const block of blocks) {
       if (block?.type === "busy") {
-        rows.push([
-          email,
-          date,
-          "busy",
-          block.title || "",
-          block.from || "",
-          block.to || "",
-          String(block.duration ?? ""),
-          block.isLong ? "true" : ""
-        ]);
-      } else if (block?.type === "free") {
-        rows.push([
-          email,
-          date,
-          "free",
-          "",
-          block.from || "",
-          block.to || "",
-          String(block.duration ?? ""),
-          ""
-        ]);
+        rows.push({
+          ...base,
+          type: "busy",
+          title: block.title,
+          from: block.from,
+          to: block.to,
+          duration_minutes: block.duration,
+          is_long: Boolean(block.isLong),
+          event_class: block.eventClass,
+          kind: block.kind,
+          source_event_ids: (block.sourceEventIds || []).join(" "),
+          is_continuation: Boolean(block.isContinuation),
+          chain: block.chain || "",
+          attendee_count: typeof block.attendeeCount === "number" ? block.attendeeCount : "",
+          meeting_size: block.meetingSize || "",
+          audience: block.audience || "",
+          organized_by_user: Boolean(block.organizedBySelf),
+          recurring: Boolean(block.recurring),
+          has_video: Boolean(block.hasVideo),
+          category: block.category || ""
+        });
+      } else if (block?.type === "free" || block?.type === "fragmented") {
+        rows.push({
+          ...base,
+          type: block.type,
+          from: block.from,
+          to: block.to,
+          duration_minutes: block.duration
+        });
       }
     }
+
+    // Double-booked time: one row per pair of overlapping events
+    for (const conflict of Array.isArray(conflicts) ? conflicts : []) {
+      rows.push({
+        ...base,
+        type: "conflict",
+        title: conflict.title,
+        from: conflict.from,
+        to: conflict.to,
+        duration_minutes: conflict.duration
+      });
+    }
+
+    // Declined, free-marked, non-busy categories (or otherwise not counted) events
+    for (const block of Array.isArray(excluded) ? excluded : []) {
+      rows.push({
+        ...base,
+        type: "excluded",
+        title: block.title,
+        from: block.from,
+        to: block.to,
+        duration_minutes: block.duration,
+        event_class: block.eventClass,
+        source_event_ids: (block.sourceEventIds || []).join(" "),
+        is_continuation: Boolean(block.isContinuation),
+        category: block.category || ""
+      });
+    }
+
+    // Working locations and all-day events (metadata, not meetings)
+    for (const item of Array.isArray(metadata) ? metadata : []) {
+      rows.push({
+        ...base,
+        type: item.type,
+        title: item.title,
+        from: item.from,
+        to: item.to
+      });
+    }
   }
 
   // 2) Failures
   for (const failure of Array.isArray(failures) ? failures : []) {
-    rows.push([
-      failure?.calendarId || "",
-      "", // date empty
-      "error",
-      failure?.message ||
-        (failure?.reason === "not_found_or_no_access"
-          ? "Calendar not found or not accessible"
-          : "Calendar could not be read"),
-      "",
-      "",
-      "",
-      ""
-    ]);
+    rows.push({
+      email: failure?.calendarId || "",
+      type: "error",
+      title: describeFailure(failure)
+    });
   }
 
-  return rows.map(toCsvRow).join("\n");
+  return rows;
+}
+
+/**
+ * Builds the standard (blocks) CSV. See BLOCK_COLUMNS for the columns.
+ */
+export function buildCsvFromAnalysis(analysis, failures = []) {
+  return buildCsvText(BLOCK_COLUMNS, buildBlockRows(analysis, failures));
 }
 
 export function downloadCsvFromAnalysis(
@@ -102,132 +218,739 @@ export function downloadCsvFromAnalysis(
 }
 
 /* =========================================================
- * CRITERIA REPORT (ONE DAY / TWO CRITERIA)
+ * CRITERIA REPORT (ONE ROW PER USER AND DAY / CONFIGURABLE RULES)
  * ======================================================= */
 
 /**
- * Criteria:
- *  1) No busy blocks longer than maxStandardBlockMinutes (default 60).
- *  2) Busy percentage for the selected day must be >= 85%.
- *
- * Notes:
- * - We evaluate ONE selected date only.
- * - We compute busy% over the configured workday duration (derived from workdayStart/workdayEnd).
- *
- * Output columns (ORDER REQUIRED BY USER):
+ * Columns of the criteria report (ORDER REQUIRED BY USER):
  *  1) email
- *  2) passed
- *  3) criteria_passed
- *  4) criteria_failed
+ *  2) passed: true | false | absent | error
+ *  3) criteria_passed: labels of the rules that passed
+ *  4) criteria_failed: labels of the rules that failed
  *  5) slack_message
  *  6) date
  *  7) busy_minutes
  *  8) busy_percent
+ *  9) focus_minutes
+ * 10) time_zone
+ * 11) empty_calendar: true when the user has no events in the whole period
+ * 12) longest_free_minutes: longest contiguous free stretch
+ * 13) usable_free_block_count: free stretches of at least minBlockMinutes
+ * 14) usable_free_percent: share of the free time in those stretches
+ * 15) fragmented_minutes: free minutes in gaps shorter than minBlockMinutes
+ * 16) longest_chain_minutes: longest back-to-back chain, breaks included
+ * 17) chain_count: back-to-back chains of the day
+ * 18) back_to_back_count: zero-gap transitions between busy blocks
+ */
+const CRITERIA_COLUMNS = [
+  { key: "email", width: 30 },
+  { key: "passed", type: "boolean" },
+  { key: "criteria_passed", width: 30 },
+  { key: "criteria_failed", width: 30 },
+  { key: "slack_message", width: 60 },
+  { key: "date", width: 12 },
+  { key: "busy_minutes", type: "number" },
+  {
+    key: "busy_percent",
+    type: "number",
+    decimal: true,
+    csv: (value) => (typeof value === "number" ? value.toFixed(2) : "")
+  },
+  { key: "focus_minutes", type: "number" },
+  { key: "time_zone", width: 20 },
+  { key: "empty_calendar", type: "boolean", csv: flagToCsv },
+  { key: "longest_free_minutes", type: "number" },
+  { key: "usable_free_block_count", type: "number" },
+  { key: "usable_free_percent", type: "number", decimal: true, csv: decimalToCsv },
+  { key: "fragmented_minutes", type: "number" },
+  { key: "longest_chain_minutes", type: "number" },
+  { key: "chain_count", type: "number" },
+  { key: "back_to_back_count", type: "number" }
+];
+
+/**
+ * Builds the rows of the criteria report from the output of evaluateCriteria().
+ *
+ * Notes:
+ * - Every selected date is evaluated on its own: one row per user and day.
+ * - busy% is computed over the configured workday (workdayStart → workdayEnd).
+ * - Users who are absent (out of office / vacation) on a day are not
+ *   evaluated for that day: the row has passed = "absent" and no criteria or message.
+ * - slack_message is rendered from config.messageTemplates in the recipient's
+ *   locale (roster "locale" column, or config.defaultLocale).
+ *
+ * @param {Array<Object>} results - Rows returned by evaluateCriteria().
+ * @param {Object} config - Extension configuration.
+ * @param {Record<string, Object>} [recipients] - Roster data keyed by email.
+ * @returns {Array<Object>} Report rows keyed by the CRITERIA_COLUMNS keys.
+ */
+export function buildCriteriaRows(results, config = {}, recipients = {}) {
+  return (Array.isArray(results) ? results : []).map((result) => {
+    const { metrics } = result;
+
+    return {
+      email: result.email,
+      passed:
+        result.status === "passed" || result.status === "failed"
+          ? result.status === "passed"
+          : result.status,
+      criteria_passed: result.passedRules.map((r) => r.label).join(" | "),
+      criteria_failed: result.failedRules.map((r) => r.label).join(" | "),
+      slack_message:
+        result.status === "error"
+          ? result.errorMessage
+          : result.status === "absent"
+          ? ""
+          : renderCriteriaMessage(result, config, recipients?.[result.email]),
+      date: result.date,
+      busy_minutes: metrics ? metrics.busyMinutes : "",
+      busy_percent: metrics ? metrics.busyPercent : "",
+      focus_minutes: metrics ? metrics.focusMinutes : "",
+      time_zone: result.timeZone,
+      empty_calendar: Boolean(result.emptyCalendar),
+      longest_free_minutes: metrics ? metrics.longestFreeMinutes : "",
+      usable_free_block_count: metrics ? metrics.usableFreeBlockCount : "",
+      usable_free_percent: metrics ? metrics.usableFreePercent : "",
+      fragmented_minutes: metrics ? metrics.fragmentedMinutes : "",
+      longest_chain_minutes: metrics ? metrics.longestChainMinutes : "",
+      chain_count: metrics ? metrics.chainCount : "",
+      back_to_back_count: metrics ? metrics.backToBackCount : ""
+    };
+  });
+}
+
+/**
+ * Criteria are defined as data in config.criteriaRules and evaluated by
+ * criteriaEngine.js (see evaluateCriteria for the rule format).
+ * See CRITERIA_COLUMNS and buildCriteriaRows for the output.
  */
 export function buildCriteriaCsv(
   analysis,
   failures = [],
   selectedDates = [],
-  config = {}
+  config = {},
+  recipients = {}
 ) {
-  const header = [
-    "email",
-    "passed",
-    "criteria_passed",
-    "criteria_failed",
-    "slack_message",
-    "date",
-    "busy_minutes",
-    "busy_percent"
-  ];
+  const results = evaluateCriteria(analysis, failures, selectedDates, config);
+  return buildCsvText(CRITERIA_COLUMNS, buildCriteriaRows(results, config, recipients));
+}
 
-  const rows = [header];
+/**
+ * ✅ EXPORT: Criteria CSV download
+ */
+export function downloadCriteriaCsv(
+  analysis,
+  failures = [],
+  selectedDates = [],
+  config = {},
+  filename = "calendar-criteria-report.csv",
+  recipients = {}
+) {
+  const csvText = buildCriteriaCsv(analysis, failures, selectedDates, config, recipients);
+  return triggerCsvDownload(csvText, filename);
+}
 
-  const day =
-    Array.isArray(selectedDates) && selectedDates.length > 0
-      ? selectedDates[0]
-      : null;
+/* =========================================================
+ * PERIOD SUMMARY REPORT (ONE ROW PER USER AND PERIOD)
+ * ======================================================= */
 
-  const maxBlock = config?.maxStandardBlockMinutes || 60;
-  const TOTAL_MIN =540; // fallback if config missing
+/**
+ * Columns of the period summary report, aggregated over the selected days:
+ * - email
+ * - days_analyzed: selected days the user was not absent
+ * - days_absent
+ * - meeting_count: busy blocks of kind "meeting" (overlapping meetings count as one)
+ * - busy_minutes / busy_percent: over the workdays of the analyzed days
+ * - free_minutes
+ * - longest_meeting_minutes
+ * - longest_free_minutes: longest free stretch inside a workday
+ * - fragmented_minutes: free minutes in gaps shorter than minBlockMinutes
+ * - usable_free_percent: share of the free minutes in gaps of at least minBlockMinutes
+ * - avg_meeting_minutes
+ * - long_meeting_count: meetings longer than maxStandardBlockMinutes
+ * - after_hours_minutes: meeting minutes outside the workday
+ * - one_on_one_percent / small_meeting_percent / large_meeting_percent: share of the
+ *   meeting time by meeting size
+ * - external_percent: share of the meeting time with external attendees
+ * - recurring_percent / recurring_one_on_one_percent: share of the meeting time in
+ *   recurring meetings / recurring one-on-ones
+ * - organized_percent: share of the meeting time in meetings organized by the user
+ * - video_percent: share of the meeting time with a video call
+ *   (the shares are over the meetings with known attendees: empty for free/busy calendars)
+ * - category_<name>_minutes: one column per category found in the run, with the minutes
+ *   of the busy blocks in it (and of the events excluded because their category is not busy)
+ * - time_zone
+ * - error: message of the calendars that could not be read (other columns empty)
+ */
+const PERIOD_SUMMARY_COLUMNS = [
+  { key: "email", width: 30 },
+  { key: "days_analyzed", type: "number" },
+  { key: "days_absent", type: "number" },
+  { key: "meeting_count", type: "number" },
+  { key: "busy_minutes", type: "number" },
+  { key: "busy_percent", type: "number", decimal: true, csv: decimalToCsv },
+  { key: "free_minutes", type: "number" },
+  { key: "longest_meeting_minutes", type: "number" },
+  { key: "longest_free_minutes", type: "number" },
+  { key: "fragmented_minutes", type: "number" },
+  { key: "usable_free_percent", type: "number", decimal: true, csv: decimalToCsv },
+  { key: "avg_meeting_minutes", type: "number", decimal: true, csv: decimalToCsv },
+  { key: "long_meeting_count", type: "number" },
+  { key: "after_hours_minutes", type: "number" },
+  { key: "one_on_one_percent", type: "number", decimal: true, csv: decimalToCsv },
+  { key: "small_meeting_percent", type: "number", decimal: true, csv: decimalToCsv },
+  { key: "large_meeting_percent", type: "number", decimal: true, csv: decimalToCsv },
+  { key: "external_percent", type: "number", decimal: true, csv: decimalToCsv },
+  { key: "recurring_percent", type: "number", decimal: true, csv: decimalToCsv },
+  { key: "recurring_one_on_one_percent", type: "number", decimal: true, csv: decimalToCsv },
+  { key: "organized_percent", type: "number", decimal: true, csv: decimalToCsv },
+  { key: "video_percent", type: "number", decimal: true, csv: decimalToCsv },
+  { key: "time_zone", width: 20 },
+  { key: "error", width: 40 }
+];
 
-  // Group analysis by email
+/**
+ * Builds the period summary rows from the analysis: one row per user with the
+ * metrics of the selected days added up, followed by one row per calendar
+ * that could not be read. Every user row has the same category columns
+ * (0 when the user has no time in a category); see buildPeriodSummaryColumns.
+ *
+ * @param {Array<Object>} analysis - Output of analyzeCalendar().
+ * @param {Array<Object>} [failures] - Calendars that could not be read.
+ * @param {string[]} [selectedDates] - Dates (YYYY-MM-DD) to aggregate; empty = every analyzed day.
+ * @returns {Array<Object>} Rows keyed by the PERIOD_SUMMARY_COLUMNS keys.
+ */
+export function buildPeriodSummaryRows(analysis, failures = [], selectedDates = []) {
+  const dates = new Set(Array.isArray(selectedDates) ? selectedDates : []);
   const byEmail = new Map();
+
   for (const entry of Array.isArray(analysis) ? analysis : []) {
-    if (!entry?.email) continue;
+    if (!entry?.email || (dates.size > 0 && !dates.has(entry.date))) continue;
     if (!byEmail.has(entry.email)) byEmail.set(entry.email, []);
-    byEmail.get(entry.email).push(entry); // { email, date, blocks }
+    byEmail.get(entry.email).push(entry);
   }
 
-  // Build rows for each email
-  for (const [email, entries] of byEmail.entries()) {
-    const busyMin = day ? sumBusyMinutesForDate(entries, day) : 0;
-    const busyPercent = TOTAL_MIN > 0 ? (busyMin / TOTAL_MIN) * 100 : 0;
+  const rows = Array.from(byEmail.entries()).map(([email, days]) => {
+    const analyzed = days.filter((d) => !d.absent && d.metrics);
+    const blocks = analyzed.flatMap((d) => d.blocks || []);
+    const meetings = blocks.filter(
+      (b) => b.type === "busy" && (b.kind || "meeting") === "meeting"
+    );
+    const freeBlocks = blocks.filter((b) => b.type === "free" || b.type === "fragmented");
+    const sum = (get) => analyzed.reduce((total, d) => total + (get(d.metrics) || 0), 0);
+    const meetingMinutes = meetings.reduce((total, b) => total + b.duration, 0);
+    const busyMinutes = sum((m) => m.busyMinutes);
+    const workdayMinutes = sum((m) => m.workdayMinutes);
+    const freeMinutes = sum((m) => m.freeMinutes);
+    const fragmentedMinutes = sum((m) => m.fragmentedMinutes);
+
+    // Minutos por categoría: bloques ocupados y eventos excluidos por su categoría
+    const categoryMinutes = {};
+    const excludedByCategory = analyzed
+      .flatMap((d) => d.excluded || [])
+      .filter((b) => b.reason === "category");
+    for (const block of [...blocks.filter((b) => b.type === "busy"), ...excludedByCategory]) {
+      if (!block.category) continue;
+      const key = categoryColumnKey(block.category);
+      categoryMinutes[key] = (categoryMinutes[key] || 0) + block.duration;
+    }
 
-    // C1: no long blocks (for selected day only)
-    const hasLongBlocks = day
-      ? hasLongBlocksForDate(entries, day, maxBlock)
-      : false;
-    const c1 = !hasLongBlocks;
+    // Reparto del tiempo de reunión (solo reuniones con asistentes conocidos)
+    const minutesOf = (list) => list.reduce((total, b) => total + b.duration, 0);
+    const detailed = meetings.filter((b) => typeof b.attendeeCount === "number");
+    const detailedMinutes = minutesOf(detailed);
+    const meetingShare = (match) =>
+      detailedMinutes > 0 ? (minutesOf(detailed.filter(match)) / detailedMinutes) * 100 : "";
 
-    // C2: busy >= 85%
-    const c2 = busyPercent >= 85;
+    return {
+      email,
+      days_analyzed: analyzed.length,
+      days_absent: days.filter((d) => d.absent).length,
+      meeting_count: meetings.length,
+      busy_minutes: busyMinutes,
+      busy_percent: workdayMinutes > 0 ? (busyMinutes / workdayMinutes) * 100 : "",
+      free_minutes: freeMinutes,
+      longest_meeting_minutes: Math.max(0, ...meetings.map((b) => b.duration)),
+      longest_free_minutes: Math.max(0, ...freeBlocks.map((b) => b.duration)),
+      fragmented_minutes: fragmentedMinutes,
+      usable_free_percent:
+        freeMinutes > 0 ? ((freeMinutes - fragmentedMinutes) / freeMinutes) * 100 : "",
+      avg_meeting_minutes: meetings.length > 0 ? meetingMinutes / meetings.length : "",
+      long_meeting_count: meetings.filter((b) => b.isLong).length,
+      after_hours_minutes: sum((m) => m.afterHoursMinutes),
+      one_on_one_percent: meetingShare((b) => b.meetingSize === "one_on_one"),
+      small_meeting_percent: meetingShare((b) => b.meetingSize === "small"),
+      large_meeting_percent: meetingShare((b) => b.meetingSize === "large"),
+      external_percent: meetingShare((b) => b.audience === "external"),
+      recurring_percent: meetingShare((b) => b.recurring),
+      recurring_one_on_one_percent: meetingShare(
+        (b) => b.recurring && b.meetingSize === "one_on_one"
+      ),
+      organized_percent: meetingShare((b) => b.organizedBySelf),
+      video_percent: meetingShare((b) => b.hasVideo),
+      ...categoryMinutes,
+      time_zone: days[0]?.timeZone || "",
+      error: ""
+    };
+  });
 
-    const passed = c1 && c2;
+  const categoryKeys = new Set(rows.flatMap((row) => Object.keys(row).filter(isCategoryKey)));
+  for (const row of rows) {
+    for (const key of categoryKeys) row[key] = row[key] || 0;
+  }
 
-    const ok = [];
-    const fail = [];
+  for (const failure of Array.isArray(failures) ? failures : []) {
+    rows.push({ email: failure?.calendarId || "", error: describeFailure(failure) });
+  }
 
-    if (c1) ok.push(`Bloques <= ${maxBlock} min`);
-    else fail.push(`Bloques > ${maxBlock} min`);
+  return rows;
+}
 
-    if (c2) ok.push("Busy >= 85%");
-    else fail.push("Busy < 85%");
+/**
+ * Returns the columns of the period summary for some rows: PERIOD_SUMMARY_COLUMNS
+ * with the category columns found in the rows (sorted by name) before time_zone.
+ *
+ * @param {Array<Object>} rows - Rows returned by buildPeriodSummaryRows().
+ * @returns {Array<Object>} Column definitions.
+ */
+function buildPeriodSummaryColumns(rows) {
+  const categoryColumns = Array.from(
+    new Set(rows.flatMap((row) => Object.keys(row).filter(isCategoryKey)))
+  )
+    .sort()
+    .map((key) => ({ key, type: "number" }));
+  const index = PERIOD_SUMMARY_COLUMNS.findIndex((col) => col.key === "time_zone");
+
+  return [
+    ...PERIOD_SUMMARY_COLUMNS.slice(0, index),
+    ...categoryColumns,
+    ...PERIOD_SUMMARY_COLUMNS.slice(index)
+  ];
+}
 
-    rows.push([
-      email,
-      passed ? "true" : "false",
-      ok.join(" | "),
-      fail.join(" | "),
-      buildSlackMessageOneDay({ c1, c2, maxBlock }),
-      day || "",
-      String(busyMin),
-      busyPercent.toFixed(2)
-    ]);
-  }
+/**
+ * Column key of the minutes of a category: "Client call" → "category_client_call_minutes".
+ */
+function categoryColumnKey(category) {
+  const slug = String(category)
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+  return `category_${slug || "other"}_minutes`;
+}
 
-  // Failures (same column order)
-  for (const failure of Array.isArray(failures) ? failures : []) {
-    rows.push([
-      failure?.calendarId || "",
-      "error",
-      "",
-      "",
-      failure?.message ||
-        (failure?.reason === "not_found_or_no_access"
-          ? "Calendar not found or not accessible"
-          : "Calendar could not be read"),
-      day || "",
-      "",
-      ""
-    ]);
+function isCategoryKey(key) {
+  return key.startsWith("category_") && key.endsWith("_minutes");
+}
+
+/**
+ * Builds the period summary CSV. See PERIOD_SUMMARY_COLUMNS and
+ * buildPeriodSummaryRows for the output.
+ */
+export function buildPeriodSummaryCsv(analysis, failures = [], selectedDates = []) {
+  const rows = buildPeriodSummaryRows(analysis, failures, selectedDates);
+  return buildCsvText(buildPeriodSummaryColumns(rows), rows);
+}
+
+/**
+ * ✅ EXPORT: Period summary CSV download
+ */
+export function downloadPeriodSummaryCsv(
+  analysis,
+  failures = [],
+  selectedDates = [],
+  filename = "calendar-summary-report.csv"
+) {
+  const csvText = buildPeriodSummaryCsv(analysis, failures, selectedDates);
+  return triggerCsvDownload(csvText, filename);
+}
+
+/* =========================================================
+ * XLSX WORKBOOK (ONE PER RUN)
+ * ======================================================= */
+
+/**
+ * Columns of the "Criteria summary" sheet: one row per user with the criteria
+ * results over the selected days. Minutes and percents only cover the
+ * evaluated days (passed or failed), unlike the "Period summary" sheet, which
+ * covers every analyzed day.
+ */
+const CRITERIA_SUMMARY_COLUMNS = [
+  { key: "email", width: 30 },
+  { key: "days_evaluated", type: "number" },
+  { key: "days_passed", type: "number" },
+  { key: "days_failed", type: "number" },
+  { key: "days_absent", type: "number" },
+  { key: "pass_rate_percent", type: "number", decimal: true },
+  { key: "busy_minutes", type: "number" },
+  { key: "avg_busy_percent", type: "number", decimal: true },
+  { key: "focus_minutes", type: "number" },
+  { key: "longest_block_minutes", type: "number" },
+  { key: "time_zone", width: 20 },
+  { key: "empty_calendar", type: "boolean" }
+];
+
+/** Columns of the "Errors" sheet (one row per calendar that could not be read). */
+const ERROR_COLUMNS = [
+  { key: "email", width: 30 },
+  { key: "reason", width: 24 },
+  { key: "http_status", type: "number" },
+  { key: "attempts", type: "number" },
+  { key: "message", width: 60 }
+];
+
+/**
+ * Builds the criteria summary rows from the output of evaluateCriteria().
+ * Error rows are left out (they go to the Errors sheet).
+ *
+ * @param {Array<Object>} results - Rows returned by evaluateCriteria().
+ * @returns {Array<Object>} Rows keyed by the CRITERIA_SUMMARY_COLUMNS keys.
+ */
+export function buildCriteriaSummaryRows(results) {
+  const byEmail = new Map();
+
+  for (const result of Array.isArray(results) ? results : []) {
+    if (result.status === "error") continue;
+    if (!byEmail.has(result.email)) byEmail.set(result.email, []);
+    byEmail.get(result.email).push(result);
   }
 
-  return rows.map(toCsvRow).join("\n");
+  return Array.from(byEmail.entries()).map(([email, days]) => {
+    const evaluated = days.filter((d) => d.status === "passed" || d.status === "failed");
+    const passed = evaluated.filter((d) => d.status === "passed").length;
+    const sum = (get) => evaluated.reduce((total, d) => total + (get(d.metrics) || 0), 0);
+
+    return {
+      email,
+      days_evaluated: evaluated.length,
+      days_passed: passed,
+      days_failed: evaluated.length - passed,
+      days_absent: days.filter((d) => d.status === "absent").length,
+      pass_rate_percent: evaluated.length ? (passed / evaluated.length) * 100 : "",
+      busy_minutes: sum((m) => m.busyMinutes),
+      avg_busy_percent: evaluated.length ? sum((m) => m.busyPercent) / evaluated.length : "",
+      focus_minutes: sum((m) => m.focusMinutes),
+      longest_block_minutes: evaluated.reduce(
+        (max, d) => Math.max(max, d.metrics?.longestBlockMinutes || 0),
+        0
+      ),
+      time_zone: days[0]?.timeZone || "",
+      empty_calendar: days.some((d) => d.emptyCalendar)
+    };
+  });
 }
 
 /**
- * ✅ EXPORT: Criteria CSV download
+ * Builds the XLSX workbook of a run with five sheets:
+ * Blocks, Criteria, Criteria summary, Period summary and Errors.
+ *
+ * @param {Array<Object>} analysis - Output of analyzeCalendar().
+ * @param {Array<Object>} failures - Calendars that could not be read.
+ * @param {string[]} selectedDates - Dates (YYYY-MM-DD) of the run.
+ * @param {Object} config - Extension configuration.
+ * @param {Record<string, Object>} [recipients] - Roster data keyed by email.
+ * @returns {Uint8Array} Contents of the .xlsx file.
  */
-export function downloadCriteriaCsv(
+export function buildXlsxReport(
   analysis,
   failures = [],
   selectedDates = [],
   config = {},
-  filename = "calendar-criteria-report.csv"
+  recipients = {}
 ) {
-  const csvText = buildCriteriaCsv(analysis, failures, selectedDates, config);
-  return triggerCsvDownload(csvText, filename);
+  const results = evaluateCriteria(analysis, failures, selectedDates, config);
+  const periodRows = buildPeriodSummaryRows(analysis, [], selectedDates);
+
+  return buildXlsx([
+    { name: "Blocks", columns: BLOCK_COLUMNS, rows: buildBlockRows(analysis, []) },
+    {
+      name: "Criteria",
+      columns: CRITERIA_COLUMNS,
+      rows: buildCriteriaRows(
+        results.filter((r) => r.status !== "error"),
+        config,
+        recipients
+      )
+    },
+    {
+      name: "Criteria summary",
+      columns: CRITERIA_SUMMARY_COLUMNS,
+      rows: buildCriteriaSummaryRows(results)
+    },
+    {
+      name: "Period summary",
+      columns: buildPeriodSummaryColumns(periodRows),
+      rows: periodRows
+    },
+    {
+      name: "Errors",
+      columns: ERROR_COLUMNS,
+      rows: (Array.isArray(failures) ? failures : []).map((failure) => ({
+        email: failure?.calendarId || "",
+        reason: failure?.reason || "",
+        http_status: failure?.status ?? "",
+        attempts: failure?.attempts ?? "",
+        message: describeFailure(failure)
+      }))
+    }
+  ]);
+}
+
+/**
+ * ✅ EXPORT: XLSX workbook download
+ */
+export function downloadXlsxReport(
+  analysis,
+  failures = [],
+  selectedDates = [],
+  config = {},
+  filename = "calendar-report.xlsx",
+  recipients = {}
+) {
+  const bytes = buildXlsxReport(analysis, failures, selectedDates, config, recipients);
+  const url =
+    "data:application/vnd.openxmlformats-officedocument.spreadsheetml.sheet;base64," +
+    bytesToBase64(bytes);
+  return triggerDownload(url, filename);
+}
+
+/* =========================================================
+ * DIFF REPORT (ONE ROW PER USER / TWO RUNS)
+ * ======================================================= */
+
+const listToCsv = (value) => (Array.isArray(value) ? value.join(" | ") : "");
+
+/**
+ * Columns of the diff report (see runDiff.js):
+ * - email
+ * - status: improved | regressed | unchanged | new | missing
+ * - busy_percent_before / busy_percent_after: average busy % over the evaluated days
+ * - busy_percent_delta: after - before
+ * - days_before / days_after: evaluated days (absent days are skipped)
+ * - newly_passing / newly_failing / still_failing: rule labels
+ * - long_blocks_before / long_blocks_after: long block occurrences
+ * - new_long_blocks / removed_long_blocks: "title from-to" of the long blocks
+ *   only found in one of the runs
+ */
+const DIFF_COLUMNS = [
+  { key: "email", width: 30 },
+  { key: "status" },
+  { key: "busy_percent_before", type: "number", decimal: true, csv: decimalToCsv },
+  { key: "busy_percent_after", type: "number", decimal: true, csv: decimalToCsv },
+  { key: "busy_percent_delta", type: "number", decimal: true, csv: decimalToCsv },
+  { key: "days_before", type: "number" },
+  { key: "days_after", type: "number" },
+  { key: "newly_passing", width: 30, csv: listToCsv },
+  { key: "newly_failing", width: 30, csv: listToCsv },
+  { key: "still_failing", width: 30, csv: listToCsv },
+  { key: "long_blocks_before", type: "number" },
+  { key: "long_blocks_after", type: "number" },
+  { key: "new_long_blocks", width: 40, csv: listToCsv },
+  { key: "removed_long_blocks", width: 40, csv: listToCsv }
+];
+
+/**
+ * Builds the diff CSV from the output of diffRuns().
+ *
+ * @param {Array<Object>} diffs - Entries returned by diffRuns().
+ * @returns {string} CSV text with a header row.
+ */
+export function buildDiffCsv(diffs) {
+  const rows = (Array.isArray(diffs) ? diffs : []).map((diff) => ({
+    email: diff.email,
+    status: diff.status,
+    busy_percent_before: diff.busyPercentBefore,
+    busy_percent_after: diff.busyPercentAfter,
+    busy_percent_delta: diff.busyPercentDelta,
+    days_before: diff.daysBefore,
+    days_after: diff.daysAfter,
+    newly_passing: diff.newlyPassing,
+    newly_failing: diff.newlyFailing,
+    still_failing: diff.stillFailing,
+    long_blocks_before: diff.longBlocksBefore,
+    long_blocks_after: diff.longBlocksAfter,
+    new_long_blocks: diff.newLongBlocks,
+    removed_long_blocks: diff.removedLongBlocks
+  }));
+  return buildCsvText(DIFF_COLUMNS, rows);
+}
+
+/**
+ * ✅ EXPORT: Diff CSV download
+ */
+export function downloadDiffCsv(diffs, filename = "calendar-diff-report.csv") {
+  return triggerCsvDownload(buildDiffCsv(diffs), filename);
+}
+
+/* =========================================================
+ * COMMON FREE SLOTS (ONE ROW PER CANDIDATE SLOT)
+ * ======================================================= */
+
+/**
+ * Columns of the slots report (see slotFinder.js):
+ * - rank: 1 = best slot
+ * - date / from / to / time_zone: the slot in the zone of whoever runs the report
+ * - duration_minutes
+ * - optional_free: optional attendees free for the slot
+ * - free: attendees free for the slot (every required one, then optional)
+ * - conflicts: optional attendees who are not free
+ * - unknown: attendees whose calendar could not be read
+ */
+const SLOT_COLUMNS = [
+  { key: "rank", type: "number" },
+  { key: "date", width: 12 },
+  { key: "from" },
+  { key: "to" },
+  { key: "time_zone", width: 20 },
+  { key: "duration_minutes", type: "number" },
+  { key: "optional_free", type: "number" },
+  { key: "free", width: 40, csv: listToCsv },
+  { key: "conflicts", width: 40, csv: listToCsv },
+  { key: "unknown", width: 30, csv: listToCsv }
+];
+
+/**
+ * Builds the slots CSV from the output of findCommonSlots().
+ *
+ * @param {{ slots: Array<Object>; unknown: string[] }} result - Output of findCommonSlots().
+ * @param {string} [timeZone] - Zone of the date and times (default: the browser's).
+ * @returns {string} CSV text with a header row.
+ */
+export function buildSlotsCsv(result, timeZone = getDefaultTimeZone()) {
+  const rows = (result?.slots || []).map((slot, index) => ({
+    rank: index + 1,
+    date: formatDateInZone(new Date(slot.start), timeZone),
+    from: formatTimeInZone(new Date(slot.start), timeZone),
+    to: formatTimeInZone(new Date(slot.end), timeZone),
+    time_zone: timeZone,
+    duration_minutes: slot.durationMinutes,
+    optional_free: slot.optionalFree,
+    free: slot.free,
+    conflicts: slot.conflicts,
+    unknown: result.unknown
+  }));
+  return buildCsvText(SLOT_COLUMNS, rows);
+}
+
+/**
+ * ✅ EXPORT: Slots CSV download
+ */
+export function downloadSlotsCsv(result, filename = "calendar-slots.csv") {
+  return triggerCsvDownload(buildSlotsCsv(result), filename);
+}
+
+/**
+ * Builds an .ics file with one tentative hold per slot, inviting the
+ * required and optional attendees.
+ *
+ * @param {{ slots: Array<Object>; required: string[]; optional: string[] }} result - Output of findCommonSlots().
+ * @param {string} [title] - Title of the holds.
+ * @returns {string} iCalendar text.
+ */
+export function buildSlotsIcs(result, title = "Meeting") {
+  const attendees = [
+    ...(result?.required || []).map((email) => ({ email, required: true })),
+    ...(result?.optional || []).map((email) => ({ email, required: false }))
+  ];
+
+  const events = (result?.slots || []).map((slot, index) => ({
+    uid: `slot-${Date.parse(slot.start)}-${index + 1}@calendar-analytics`,
+    start: slot.start,
+    end: slot.end,
+    summary: `Hold: ${title} (option ${index + 1})`,
+    description:
+      `Free: ${slot.free.join(", ")}` +
+      (slot.conflicts.length ? `\nConflicts: ${slot.conflicts.join(", ")}` : ""),
+    status: "TENTATIVE",
+    attendees
+  }));
+
+  return buildIcs(events, { name: `Holds: ${title}` });
+}
+
+/**
+ * ✅ EXPORT: Slots .ics download
+ */
+export function downloadSlotsIcs(result, filename = "calendar-slots.ics", title = "Meeting") {
+  const url =
+    "data:text/calendar;charset=utf-8," + encodeURIComponent(buildSlotsIcs(result, title));
+  return triggerDownload(url, filename);
+}
+
+/* =========================================================
+ * FILENAMES
+ * ======================================================= */
+
+/**
+ * Builds a filename for the standard report.
+ *
+ * Format: "calendar-analytics-{label}-{YYYY-MM-DD}.{csv|xlsx}"
+ */
+export function buildReportFilename(dateRange, selectedDates, extension = "csv") {
+  const label =
+    dateRange?.label ||
+    (Array.isArray(selectedDates) && selectedDates[0]) ||
+    "report";
+  const today = new Date().toISOString().split("T")[0];
+  return `calendar-analytics-${label}-${today}.${extension}`;
+}
+
+/**
+ * Builds a filename for the criteria-based report.
+ *
+ * Format: "calendar-criteria-{label}-{YYYY-MM-DD}.{csv|xlsx}"
+ */
+export function buildCriteriaFilename(dateRange, selectedDates, extension = "csv") {
+  const label =
+    dateRange?.label ||
+    (Array.isArray(selectedDates) && selectedDates[0]) ||
+    "criteria-report";
+  const today = new Date().toISOString().split("T")[0];
+  return `calendar-criteria-${label}-${today}.${extension}`;
+}
+
+/**
+ * Builds a filename for the period summary report.
+ *
+ * Format: "calendar-summary-{label}-{YYYY-MM-DD}.{csv|xlsx}"
+ */
+export function buildSummaryFilename(dateRange, selectedDates, extension = "csv") {
+  const label =
+    dateRange?.label ||
+    (Array.isArray(selectedDates) && selectedDates[0]) ||
+    "summary-report";
+  const today = new Date().toISOString().split("T")[0];
+  return `calendar-summary-${label}-${today}.${extension}`;
+}
+
+/**
+ * Builds a filename for the diff report.
+ *
+ * Format: "calendar-diff-{before label}-vs-{after label}-{YYYY-MM-DD}.csv"
+ */
+export function buildDiffFilename(before, after) {
+  const describe = (side) =>
+    side?.dateRange?.label ||
+    (Array.isArray(side?.selectedDates) && side.selectedDates[0]) ||
+    "run";
+  const today = new Date().toISOString().split("T")[0];
+  return `calendar-diff-${describe(before)}-vs-${describe(after)}-${today}.csv`;
+}
+
+/**
+ * Builds a filename for the common free slots.
+ *
+ * Format: "calendar-slots-{label}-{YYYY-MM-DD}.{csv|ics}"
+ */
+export function buildSlotsFilename(dateRange, selectedDates, extension = "csv") {
+  const label =
+    dateRange?.label ||
+    (Array.isArray(selectedDates) && selectedDates[0]) ||
+    "slots";
+  const today = new Date().toISOString().split("T")[0];
+  return `calendar-slots-${label}-${today}.${extension}`;
 }
 
 /* =========================================================
@@ -240,7 +963,10 @@ function triggerCsvDownload(csvText, filename) {
   const content = BOM + csvText;
 
   const url = "data:text/csv;charset=utf-8," + encodeURIComponent(content);
+  return triggerDownload(url, filename);
+}
 
+function triggerDownload(url, filename) {
   return new Promise((resolve, reject) => {
     chrome.downloads.download({ url, filename, saveAs: false }, (id) => {
       if (chrome.runtime.lastError) reject(chrome.runtime.lastError);
@@ -249,64 +975,47 @@ function triggerCsvDownload(csvText, filename) {
   });
 }
 
-function toCsvRow(cols) {
-  return cols.map(escapeCsv).join(",");
-}
-
-function escapeCsv(value) {
-  if (value == null) return "";
-  const str = String(value);
-  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
-}
-
-function sumBusyMinutesForDate(entries, dateStr) {
-  const dayEntry = entries.find((e) => e?.date === dateStr);
-  if (!dayEntry || !Array.isArray(dayEntry.blocks)) return 0;
-
-  return dayEntry.blocks
-    .filter((b) => b?.type === "busy")
-    .reduce((acc, b) => acc + (b?.duration || 0), 0);
+/**
+ * Converts report rows into CSV text using the given column definitions.
+ *
+ * @param {Array<{ key: string; csv?: (value: any) => string }>} columns - Report columns.
+ * @param {Array<Object>} rows - Rows keyed by column key.
+ * @returns {string} CSV text with a header row.
+ */
+function buildCsvText(columns, rows) {
+  const lines = [columns.map((col) => col.key)];
+  for (const row of rows) {
+    lines.push(
+      columns.map((col) => (col.csv ? col.csv(row[col.key]) : row[col.key] ?? ""))
+    );
+  }
+  return lines.map(toCsvRow).join("\n");
 }
 
-function hasLongBlocksForDate(entries, dateStr, maxBlock) {
-  const dayEntry = entries.find((e) => e?.date === dateStr);
-  if (!dayEntry || !Array.isArray(dayEntry.blocks)) return false;
-
-  return dayEntry.blocks.some(
-    (b) => b?.type === "busy" && (b?.duration || 0) > maxBlock
+function describeFailure(failure) {
+  return (
+    failure?.message ||
+    (failure?.reason === "not_found_or_no_access"
+      ? "Calendar not found or not accessible"
+      : "Calendar could not be read")
   );
 }
 
-function buildSlackMessageOneDay({ c1, c2, maxBlock }) {
-  if (c1 && c2) {
-    return (
-      "hola, muchas gracias por mantener tu calendario actualizado y dentro de los criterios establecidos.\n" +
-      "muchas gracias !"
-    );
-  }
-
-  const parts = [];
-
-  if (!c1) {
-    parts.push(
-      `veo que tienes bloques mayores a ${maxBlock} min, porfa modifícalos para que sean de ${maxBlock} min o menos`
-    );
-  }
-
-  if (!c2) {
-    parts.push(
-      "veo que tu calendario tiene unos espacios vacios, porfa agrega las actividades que tengas"
-    );
+function bytesToBase64(bytes) {
+  // Por bloques para no exceder el límite de argumentos de String.fromCharCode
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
   }
+  return btoa(binary);
+}
 
-  return "hola, " + parts.join(" y ") + "\nmuchas gracias !";
+function toCsvRow(cols) {
+  return cols.map(escapeCsv).join(",");
 }
 
-function hhmmToMinutes(hhmm) {
-  const m = /^(\d{2}):(\d{2})$/.exec(String(hhmm).trim());
-  if (!m) return null;
-  const h = Number(m[1]);
-  const min = Number(m[2]);
-  if (Number.isNaN(h) || Number.isNaN(min)) return null;
-  return h * 60 + min;
+function escapeCsv(value) {
+  if (value == null) return "";
+  const str = String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
 }
@@ -0,0 +1,137 @@
+// src/services/eventCategories.js
+/**
+ * Event Categories
+ *
+ * Assigns a category ("Lunch", "Interview", "Standup"…) to each event from
+ * the rules defined as data in the configuration (config.categoryRules).
+ *
+ * A rule looks like:
+ *   {
+ *     id: "lunch",
+ *     category: "Lunch",            // value of the category column
+ *     field: "title",               // key of CATEGORY_FIELDS
+ *     matchType: "keywords",        // key of CATEGORY_MATCH_TYPES
+ *     pattern: "lunch, almuerzo"    // comma-separated keywords or a regular expression
+ *   }
+ *
+ * Rules are checked in order (the list order is the priority): the first
+ * matching rule gives the category. Events that match no rule get
+ * config.defaultCategory. Categories listed in config.nonBusyCategories never
+ * count toward busy time (e.g. lunch).
+ *
+ * Busy intervals of free/busy-only calendars carry no title or description,
+ * so they skip the rules and always get FREE_BUSY_CATEGORY (counted as busy).
+ */
+
+/** Category of the busy intervals read from the free/busy API. */
+export const FREE_BUSY_CATEGORY = "Busy (free/busy)";
+
+/**
+ * Event fields the rules can match, keyed by the name stored in each rule.
+ * `get` reads the value from a normalized event (see normalizeEvent in calendarApi.js).
+ */
+export const CATEGORY_FIELDS = {
+  title: {
+    label: "Title",
+    get: (ev) => ev.summary
+  },
+  description: {
+    label: "Description",
+    get: (ev) => ev.description
+  },
+  organizer_domain: {
+    label: "Organizer domain",
+    get: (ev) => {
+      const email = String(ev.organizerEmail || "");
+      return email.includes("@") ? email.slice(email.lastIndexOf("@") + 1) : "";
+    }
+  },
+  color_id: {
+    label: "Color ID",
+    get: (ev) => ev.colorId
+  }
+};
+
+/** How the pattern of a rule is matched against the field. */
+export const CATEGORY_MATCH_TYPES = {
+  keywords: "Keywords",
+  regex: "Regular expression"
+};
+
+/**
+ * Builds the matcher of a rule's pattern.
+ *
+ * - keywords: any of the comma-separated keywords, case-insensitive, as whole words.
+ * - regex: a case-insensitive regular expression.
+ *
+ * @param {{ matchType?: string; pattern?: string }} rule
+ * @returns {RegExp | null} Null when the pattern is empty.
+ * @throws {SyntaxError} When the regular expression is invalid.
+ */
+export function compileCategoryPattern(rule) {
+  const pattern = String(rule?.pattern || "").trim();
+  if (!pattern) return null;
+
+  if (rule.matchType === "regex") return new RegExp(pattern, "i");
+
+  const keywords = pattern
+    .split(",")
+    .map((kw) => kw.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .filter(Boolean);
+  if (keywords.length === 0) return null;
+
+  return new RegExp(`(^|[^\\p{L}\\p{N}])(${keywords.join("|")})($|[^\\p{L}\\p{N}])`, "iu");
+}
+
+/**
+ * Compiles the category rules of the configuration into a function that
+ * categorizes normalized events. Rules with an invalid regular expression
+ * are skipped with a warning.
+ *
+ * @param {Object} config - Extension configuration.
+ * @param {Array<Object>} [config.categoryRules] - Rules, in priority order.
+ * @param {string} [config.defaultCategory] - Category of the events that match no rule.
+ * @param {string[]} [config.nonBusyCategories] - Categories that do not count as busy.
+ * @returns {(ev: Object) => { category: string; rank: number; countsAsBusy: boolean }}
+ *   The category of an event, the position of the matching rule (rules.length
+ *   for the default and free/busy categories) and whether the category counts as busy.
+ */
+export function createEventCategorizer(config = {}) {
+  const rules = (Array.isArray(config.categoryRules) ? config.categoryRules : [])
+    .map((rule) => {
+      if (!rule?.category || !CATEGORY_FIELDS[rule.field]) return null;
+      try {
+        const regex = compileCategoryPattern(rule);
+        return regex ? { category: String(rule.category), field: rule.field, regex } : null;
+      } catch (err) {
+        console.warn("[Calendar-Analytics] Invalid category rule skipped:", rule.id, err.message);
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+  const nonBusy = new Set(
+    (Array.isArray(config.nonBusyCategories) ? config.nonBusyCategories : []).map((name) =>
+      String(name).trim().toLowerCase()
+    )
+  );
+  const defaultCategory = String(config.defaultCategory || "");
+
+  return (ev) => {
+    // Sin título ni descripción: las reglas no aplican
+    if (ev.source === "freebusy") {
+      return { category: FREE_BUSY_CATEGORY, rank: rules.length, countsAsBusy: true };
+    }
+
+    const index = rules.findIndex((rule) =>
+      rule.regex.test(String(CATEGORY_FIELDS[rule.field].get(ev) || ""))
+    );
+    const category = index >= 0 ? rules[index].category : defaultCategory;
+
+    return {
+      category,
+      rank: index >= 0 ? index : rules.length,
+      countsAsBusy: !nonBusy.has(category.toLowerCase())
+    };
+  };
+}
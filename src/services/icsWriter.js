@@ -0,0 +1,119 @@
+// src/services/icsWriter.js
+/**
+ * iCalendar Writer
+ *
+ * Minimal iCalendar (RFC 5545) writer with no dependencies, used to export
+ * candidate meeting slots as holds that can be imported into any calendar.
+ *
+ * Supports:
+ * - One VEVENT per entry, with UTC start and end times.
+ * - Event status (e.g. TENTATIVE) and busy/free transparency.
+ * - Attendees as required or optional participants.
+ * - Text escaping and line folding at 75 octets.
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * @typedef {Object} IcsEvent
+ * @property {string} uid - Unique ID of the event.
+ * @property {string | Date} start - Start (ISO timestamp or Date).
+ * @property {string | Date} end - End (ISO timestamp or Date).
+ * @property {string} summary
+ * @property {string} [description]
+ * @property {"TENTATIVE" | "CONFIRMED" | "CANCELLED"} [status] - Defaults to "TENTATIVE".
+ * @property {boolean} [transparent] - Show as available instead of busy.
+ * @property {Array<{ email: string; required?: boolean }>} [attendees]
+ */
+
+/**
+ * Builds the text of an .ics file (CRLF line endings).
+ *
+ * @param {IcsEvent[]} events
+ * @param {Object} [options]
+ * @param {string} [options.name] - Calendar name shown by some clients (X-WR-CALNAME).
+ * @returns {string}
+ */
+export function buildIcs(events, options = {}) {
+  const stamp = formatIcsDate(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Calendar-Analytics//Slot finder//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH"
+  ];
+  if (options.name) lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+
+  for (const event of events || []) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatIcsDate(new Date(event.start))}`,
+      `DTEND:${formatIcsDate(new Date(event.end))}`,
+      `SUMMARY:${escapeText(event.summary || "")}`,
+      `STATUS:${event.status || "TENTATIVE"}`,
+      `TRANSP:${event.transparent ? "TRANSPARENT" : "OPAQUE"}`
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+
+    for (const attendee of event.attendees || []) {
+      const role = attendee.required === false ? "OPT-PARTICIPANT" : "REQ-PARTICIPANT";
+      lines.push(`ATTENDEE;ROLE=${role};PARTSTAT=NEEDS-ACTION:mailto:${attendee.email}`);
+    }
+
+    lines.push("END:VEVENT");
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * Formats a date as an iCalendar UTC date-time: "20250310T143000Z".
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatIcsDate(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/** Escapes backslashes, semicolons, commas and line breaks in TEXT values. */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Folds a content line longer than 75 octets: continuation lines start with
+ * a space. Multi-byte characters are never split.
+ */
+function foldLine(line) {
+  if (encoder.encode(line).length <= 75) return line;
+
+  const parts = [];
+  let current = "";
+  let size = 0;
+  // La primera línea admite 75 octetos; las siguientes 74 más el espacio inicial
+  let limit = 75;
+
+  for (const char of line) {
+    const charSize = encoder.encode(char).length;
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = "";
+      size = 0;
+      limit = 74;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+}
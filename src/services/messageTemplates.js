@@ -0,0 +1,176 @@
+// src/services/messageTemplates.js
+/**
+ * Message Templates
+ *
+ * Renders the Slack-ready messages of the criteria report from the templates
+ * stored in the configuration (config.messageTemplates), one template per locale.
+ *
+ * Template syntax:
+ *
+ * - Placeholders: {name}, {email}, {date}, {busy_percent}, {busy_minutes},
+ *   {free_minutes}, {focus_minutes}, {longest_block_minutes},
+ *   {failed_rules}, {passed_rules}, {long_blocks}.
+ *   Unknown placeholders are left untouched so typos are easy to spot.
+ *
+ * - Sections:
+ *     {#passed}…{/passed}            shown when every rule passed
+ *     {#failed}…{/failed}            shown when at least one rule failed
+ *     {#failed:KEY}…{/failed:KEY}    shown when the rule with id KEY, or any
+ *                                    rule on metric KEY, failed
+ *   Inside a {#failed:KEY} section, {rule}, {threshold} and {value} refer to
+ *   the failed rule (its label, its threshold and the measured value).
+ */
+
+import { CRITERIA_METRICS } from "./criteriaEngine.js";
+
+/** Locale used when neither the recipient nor the configuration define one. */
+const FALLBACK_LOCALE = "es";
+
+const SECTION_REGEX = /\{#(passed|failed)(?::([\w-]+))?\}([\s\S]*?)\{\/\1(?::\2)?\}/g;
+const PLACEHOLDER_REGEX = /\{(\w+)\}/g;
+
+/**
+ * Renders the message for one row of evaluateCriteria().
+ *
+ * @param {Object} result - Row returned by evaluateCriteria().
+ * @param {Object} config - Extension configuration (messageTemplates, defaultLocale).
+ * @param {{ name?: string; locale?: string }} [recipient] - Roster data of the user.
+ * @returns {string} The rendered message ("" if no template is configured).
+ */
+export function renderCriteriaMessage(result, config = {}, recipient = {}) {
+  const templates = config?.messageTemplates || {};
+  const locale = resolveLocale(recipient?.locale, templates, config?.defaultLocale);
+  const template = locale ? templates[locale] : "";
+  if (!template) return "";
+
+  return renderTemplate(template, buildMessageData(result, recipient));
+}
+
+/**
+ * Picks the template locale for a recipient.
+ *
+ * Order: exact match ("es-co") → base language ("es") → configured default →
+ * FALLBACK_LOCALE → first available template.
+ *
+ * @param {string | undefined} locale - Locale requested for the recipient.
+ * @param {Record<string, string>} templates - Templates keyed by locale.
+ * @param {string | undefined} defaultLocale - Configured default locale.
+ * @returns {string} A key of `templates`, or "" if there are none.
+ */
+export function resolveLocale(locale, templates = {}, defaultLocale = "") {
+  const available = Object.keys(templates || {});
+  const candidates = [];
+
+  for (const value of [locale, defaultLocale, FALLBACK_LOCALE]) {
+    const normalized = normalizeLocale(value);
+    if (!normalized) continue;
+    candidates.push(normalized, normalized.split("-")[0]);
+  }
+
+  return candidates.find((c) => available.includes(c)) || available[0] || "";
+}
+
+/**
+ * Normalizes a locale code: lower case, "_" replaced by "-" ("en_US" → "en-us").
+ *
+ * @param {string} locale - Raw locale code.
+ * @returns {string} Normalized locale ("" if empty).
+ */
+export function normalizeLocale(locale) {
+  return String(locale || "")
+    .trim()
+    .toLowerCase()
+    .replace(/_/g, "-");
+}
+
+/**
+ * Builds the placeholder values of a criteria result.
+ *
+ * @param {Object} result - Row returned by evaluateCriteria().
+ * @param {{ name?: string }} [recipient] - Roster data of the user.
+ * @returns {Object} Values used by renderTemplate().
+ */
+export function buildMessageData(result, recipient = {}) {
+  const metrics = result?.metrics || {};
+  const failedRules = Array.isArray(result?.failedRules) ? result.failedRules : [];
+  const passedRules = Array.isArray(result?.passedRules) ? result.passedRules : [];
+  const longBlocks = Array.isArray(result?.longBlocks) ? result.longBlocks : [];
+
+  return {
+    values: {
+      name: recipient?.name || nameFromEmail(result?.email),
+      email: result?.email || "",
+      date: result?.date || "",
+      busy_percent: formatNumber(metrics.busyPercent),
+      busy_minutes: formatNumber(metrics.busyMinutes),
+      free_minutes: formatNumber(metrics.freeMinutes),
+      focus_minutes: formatNumber(metrics.focusMinutes),
+      longest_block_minutes: formatNumber(metrics.longestBlockMinutes),
+      failed_rules: failedRules.map((r) => r.label).join(", "),
+      passed_rules: passedRules.map((r) => r.label).join(", "),
+      long_blocks: longBlocks
+        .map((b) => `${b.from}-${b.to} (${b.duration} min)`)
+        .join(", ")
+    },
+    failedRules,
+    metrics
+  };
+}
+
+/**
+ * Renders a template: resolves the sections first, then the placeholders.
+ *
+ * @param {string} template - Template text.
+ * @param {{ values: Object; failedRules: Array<Object>; metrics: Object }} data - Output of buildMessageData().
+ * @returns {string} Rendered text.
+ */
+export function renderTemplate(template, data) {
+  const withSections = String(template || "").replace(
+    SECTION_REGEX,
+    (_, section, key, body) => {
+      if (section === "passed") {
+        return data.failedRules.length === 0 ? renderTemplate(body, data) : "";
+      }
+
+      if (!key) {
+        return data.failedRules.length > 0 ? renderTemplate(body, data) : "";
+      }
+
+      const rule = data.failedRules.find((r) => r.id === key || r.metric === key);
+      if (!rule) return "";
+
+      // Dentro de la sección, {rule}/{threshold}/{value} describen la regla fallida
+      const metric = CRITERIA_METRICS[rule.metric];
+      return renderTemplate(body, {
+        ...data,
+        values: {
+          ...data.values,
+          rule: rule.label || "",
+          threshold: formatNumber(rule.threshold),
+          value: metric ? formatNumber(metric.get(data.metrics)) : ""
+        }
+      });
+    }
+  );
+
+  return withSections.replace(PLACEHOLDER_REGEX, (match, key) =>
+    Object.prototype.hasOwnProperty.call(data.values, key) ? data.values[key] : match
+  );
+}
+
+/**
+ * Derives a first name from an email address ("maria.lopez@…" → "Maria").
+ *
+ * @param {string} email - Email address.
+ * @returns {string} Capitalized first token of the local part.
+ */
+function nameFromEmail(email) {
+  const first = String(email || "").split("@")[0].split(/[._-]/)[0] || "";
+  return first ? first.charAt(0).toUpperCase() + first.slice(1) : "";
+}
+
+function formatNumber(value) {
+  const n = Number(value);
+  if (value == null || Number.isNaN(n)) return "";
+  return Number.isInteger(n) ? String(n) : n.toFixed(2);
+}
@@ -0,0 +1,342 @@
+// src/services/rosterCsv.js
+/**
+ * Roster CSV Parser
+ *
+ * Reads the roster uploaded in the popup: the users to analyze and their
+ * optional per-user data.
+ *
+ * - Handles a UTF-8 BOM, quoted fields (with "" escapes, delimiters and line
+ *   breaks inside quotes) and CRLF line endings.
+ * - Detects the delimiter from the first line: "," ";" (Excel in Spanish
+ *   locales), tab or "|".
+ * - With a header row, reads the columns listed in ROSTER_COLUMNS (any order,
+ *   case-insensitive); other columns are ignored. Without a header, the first
+ *   column holds the email.
+ * - Validates every row and reports the rejected ones with the reason.
+ *
+ * It also converts the parsed rows to and from the member lists of the saved
+ * rosters (see ../storage/rosters.js).
+ */
+import { isValidTimeZone } from "./timeZone.js";
+
+/**
+ * Roster columns, keyed by the field they fill, with their accepted headers
+ * (compared lowercase, with spaces and hyphens as underscores).
+ */
+export const ROSTER_COLUMNS = {
+  email: ["email", "e_mail", "mail", "correo"],
+  name: ["name", "nombre"],
+  team: ["team", "equipo"],
+  manager: ["manager"],
+  timeZone: ["timezone", "time_zone", "tz"],
+  locale: ["locale", "language"],
+  slackId: ["slack_id", "slack_user_id"]
+};
+
+/** Reasons a roster row is rejected, with the text shown in the popup. */
+export const REJECT_REASONS = {
+  invalid_format: "invalid email format",
+  duplicate: "duplicate",
+  disallowed_domain: "domain not allowed"
+};
+
+const DELIMITERS = [",", ";", "\t", "|"];
+const EMAIL_PATTERN = /^[^\s@"<>(),;]+@[^\s@"<>(),;]+\.[^\s@"<>(),;]+$/;
+
+/**
+ * @typedef {Object} RosterRecipient
+ * @property {string} [name] - Name used in the Slack message.
+ * @property {string} [team]
+ * @property {string} [manager]
+ * @property {string} [locale] - Locale of the Slack message (e.g. "en", "es").
+ * @property {string} [slackId] - Slack member ID mentioned in per-user messages.
+ */
+
+/**
+ * @typedef {Object} RejectedRow
+ * @property {number} line - Line of the file where the row starts (1-based).
+ * @property {string} value - Email (or first cell) of the row.
+ * @property {"invalid_format" | "duplicate" | "disallowed_domain"} reason
+ */
+
+/**
+ * Parses a roster CSV.
+ *
+ * Emails are lowercased, so duplicates are detected regardless of case.
+ * Unknown time zone names are ignored (the calendar's own zone is used) and
+ * listed in invalidTimeZones; they do not reject the row.
+ *
+ * @param {string} text - Raw CSV file content.
+ * @param {Object} [options]
+ * @param {string[]} [options.allowedDomains] - Accepted email domains; empty = any.
+ * @returns {{
+ *   emails: string[];
+ *   timeZones: Record<string, string>;
+ *   recipients: Record<string, RosterRecipient>;
+ *   rejected: RejectedRow[];
+ *   invalidTimeZones: string[];
+ *   delimiter: string;
+ *   hasHeader: boolean;
+ * }} Accepted emails (file order), time zone overrides and recipient data
+ *    keyed by email, rejected rows, and the detected delimiter and header.
+ */
+export function parseRosterCsv(text, options = {}) {
+  const content = String(text || "").replace(/^\ufeff/, "");
+  const delimiter = detectDelimiter(content);
+  const records = parseCsvRecords(content, delimiter);
+
+  const result = {
+    emails: [],
+    timeZones: {},
+    recipients: {},
+    rejected: [],
+    invalidTimeZones: [],
+    delimiter,
+    hasHeader: false
+  };
+  if (records.length === 0) return result;
+
+  const columns = findHeaderColumns(records[0].cells);
+  result.hasHeader = columns !== null;
+  const indexes = columns || { email: 0 };
+  const rows = columns ? records.slice(1) : records;
+
+  const allowedDomains = normalizeDomains(options.allowedDomains);
+  const seen = new Set();
+  const invalidTimeZones = new Set();
+
+  for (const { line, cells } of rows) {
+    const read = (field) =>
+      indexes[field] === undefined ? "" : String(cells[indexes[field]] ?? "").trim();
+
+    const value = read("email");
+    const email = value.replace(/^mailto:/i, "").toLowerCase();
+
+    if (!EMAIL_PATTERN.test(email)) {
+      result.rejected.push({ line, value, reason: "invalid_format" });
+      continue;
+    }
+    if (seen.has(email)) {
+      result.rejected.push({ line, value, reason: "duplicate" });
+      continue;
+    }
+    if (allowedDomains.length > 0 && !allowedDomains.includes(email.split("@")[1])) {
+      result.rejected.push({ line, value, reason: "disallowed_domain" });
+      continue;
+    }
+
+    seen.add(email);
+    result.emails.push(email);
+
+    const recipient = {};
+    for (const field of ["name", "team", "manager", "locale", "slackId"]) {
+      const fieldValue = read(field);
+      if (fieldValue) recipient[field] = fieldValue;
+    }
+    if (Object.keys(recipient).length > 0) result.recipients[email] = recipient;
+
+    const timeZone = read("timeZone");
+    if (!timeZone) continue;
+    if (isValidTimeZone(timeZone)) result.timeZones[email] = timeZone;
+    else invalidTimeZones.add(timeZone);
+  }
+
+  result.invalidTimeZones = Array.from(invalidTimeZones);
+  return result;
+}
+
+/**
+ * Describes the rejected rows for the popup, one per line:
+ * "Line 4: bob@ (invalid email format)".
+ *
+ * @param {RejectedRow[]} rejected
+ * @returns {string[]}
+ */
+export function describeRejectedRows(rejected) {
+  return (Array.isArray(rejected) ? rejected : []).map((row) => {
+    const reason = REJECT_REASONS[row.reason] || row.reason;
+    return `Line ${row.line}: ${row.value || "(empty)"} (${reason})`;
+  });
+}
+
+/* ---------------- Saved rosters ---------------- */
+
+/** Member fields written to an exported roster CSV, with their header. */
+const EXPORT_COLUMNS = [
+  ["email", "email"],
+  ["name", "name"],
+  ["team", "team"],
+  ["manager", "manager"],
+  ["timeZone", "timezone"],
+  ["locale", "locale"],
+  ["slackId", "slack_id"]
+];
+
+/**
+ * @typedef {RosterRecipient & { email: string; timeZone?: string }} RosterMember
+ */
+
+/**
+ * Turns the output of parseRosterCsv() into the member list of a saved roster.
+ *
+ * @param {{ emails: string[]; timeZones: Record<string, string>; recipients: Record<string, RosterRecipient> }} parsed
+ * @returns {RosterMember[]}
+ */
+export function toRosterMembers(parsed) {
+  return (parsed?.emails || []).map((email) => ({
+    email,
+    ...(parsed.recipients?.[email] || {}),
+    ...(parsed.timeZones?.[email] ? { timeZone: parsed.timeZones[email] } : {})
+  }));
+}
+
+/**
+ * Combines the members of several rosters into the roster of a run, in the
+ * shape the background expects. A user in more than one roster keeps the
+ * data of the first one.
+ *
+ * @param {RosterMember[][]} memberLists
+ * @returns {{ emails: string[]; timeZones: Record<string, string>; recipients: Record<string, RosterRecipient> }}
+ */
+export function combineRosterMembers(memberLists) {
+  const result = { emails: [], timeZones: {}, recipients: {} };
+  const seen = new Set();
+
+  for (const members of memberLists) {
+    for (const { email, timeZone, ...recipient } of members || []) {
+      if (!email || seen.has(email)) continue;
+      seen.add(email);
+      result.emails.push(email);
+      if (timeZone) result.timeZones[email] = timeZone;
+      if (Object.keys(recipient).length > 0) result.recipients[email] = recipient;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Builds the CSV of a roster (comma-delimited, with a header), readable
+ * again by parseRosterCsv().
+ *
+ * @param {RosterMember[]} members
+ * @returns {string}
+ */
+export function buildRosterCsv(members) {
+  const lines = [EXPORT_COLUMNS.map(([, header]) => header)];
+  for (const member of members || []) {
+    lines.push(EXPORT_COLUMNS.map(([field]) => member[field] ?? ""));
+  }
+  return lines
+    .map((cells) =>
+      cells
+        .map((value) => {
+          const str = String(value);
+          return /[",\n;]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+        })
+        .join(",")
+    )
+    .join("\n");
+}
+
+/**
+ * Picks the delimiter that appears most often, outside quotes, in the first
+ * non-empty line. Defaults to a comma (single-column files).
+ */
+function detectDelimiter(content) {
+  const counts = Object.fromEntries(DELIMITERS.map((d) => [d, 0]));
+  let inQuotes = false;
+  let started = false;
+
+  for (const char of content) {
+    if (char === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (char === "\n" || char === "\r")) {
+      if (started) break;
+    } else if (!inQuotes && char in counts) counts[char]++;
+    if (char.trim()) started = true;
+  }
+
+  return DELIMITERS.reduce((best, d) => (counts[d] > counts[best] ? d : best), ",");
+}
+
+/**
+ * Splits CSV content into records of cells (RFC 4180 quoting). Blank lines
+ * are skipped; each record keeps the line where it starts.
+ *
+ * @returns {Array<{ line: number; cells: string[] }>}
+ */
+function parseCsvRecords(content, delimiter) {
+  const records = [];
+  let cells = [];
+  let cell = "";
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    cells.push(cell);
+    if (cells.some((c) => c.trim() !== "")) records.push({ line: recordLine, cells });
+    cells = [];
+    cell = "";
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === "\n") line++;
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      cells.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      // \r\n cuenta como un solo salto de línea
+      if (char === "\r" && content[i + 1] === "\n") i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  endRecord();
+
+  return records;
+}
+
+/**
+ * Maps the roster fields to column indexes when the first record is a header
+ * (it has an email column and no valid email).
+ *
+ * @param {string[]} cells - First record.
+ * @returns {Record<string, number> | null} Column index of each field found, or null.
+ */
+function findHeaderColumns(cells) {
+  const headers = cells.map((c) => c.trim().toLowerCase().replace(/[\s-]+/g, "_"));
+  if (cells.some((c) => EMAIL_PATTERN.test(c.trim().toLowerCase()))) return null;
+
+  const columns = {};
+  for (const [field, names] of Object.entries(ROSTER_COLUMNS)) {
+    const index = headers.findIndex((h) => names.includes(h));
+    if (index !== -1) columns[field] = index;
+  }
+  return columns.email === undefined ? null : columns;
+}
+
+function normalizeDomains(domains) {
+  return (Array.isArray(domains) ? domains : [])
+    .map((d) => String(d).trim().toLowerCase().replace(/^@/, ""))
+    .filter(Boolean);
+}
@@ -0,0 +1,183 @@
+// src/services/runDiff.js
+/**
+ * Run Diff Service
+ *
+ * Compares two report runs (or the same roster over two date ranges) user by
+ * user, to show what changed between them rather than the current state.
+ *
+ * Both runs are evaluated with the same criteria (the config passed to
+ * diffRuns(), usually the settings of the most recent run) so their rules can
+ * be matched by ID.
+ *
+ * Per user:
+ * - busy %: average over the evaluated days (absent days are skipped), and its delta.
+ * - Criteria: a rule fails for the user when it fails on any evaluated day.
+ *   "Newly passing" rules failed before and pass now; "newly failing" rules
+ *   passed before and fail now.
+ * - Long blocks: identified by title and time ("Planning 09:00-11:00"), so a
+ *   recurring long meeting is the same block in both runs whatever its date.
+ *
+ * Status:
+ * - new / missing: the user was only evaluated in the second / first run.
+ * - improved / regressed: more rules newly pass than newly fail (or the
+ *   opposite); on a tie, fewer (or more) long blocks.
+ * - unchanged: otherwise.
+ */
+import { evaluateCriteria } from "./criteriaEngine.js";
+
+/**
+ * @typedef {Object} RunSnapshot
+ * @property {Array<Object>} analysis - Output of analyzeCalendar().
+ * @property {Array<Object>} [failures] - Calendars that could not be read.
+ * @property {string[]} selectedDates - Dates (YYYY-MM-DD) of the run.
+ */
+
+/**
+ * @typedef {Object} UserDiff
+ * @property {string} email
+ * @property {"improved" | "regressed" | "unchanged" | "new" | "missing"} status
+ * @property {number | null} busyPercentBefore
+ * @property {number | null} busyPercentAfter
+ * @property {number | null} busyPercentDelta
+ * @property {number} daysBefore - Evaluated days in the first run.
+ * @property {number} daysAfter - Evaluated days in the second run.
+ * @property {string[]} newlyPassing - Labels of the rules that newly pass.
+ * @property {string[]} newlyFailing - Labels of the rules that newly fail.
+ * @property {string[]} stillFailing - Labels of the rules that fail in both runs.
+ * @property {number} longBlocksBefore - Long block occurrences in the first run.
+ * @property {number} longBlocksAfter - Long block occurrences in the second run.
+ * @property {string[]} newLongBlocks - Long blocks only found in the second run.
+ * @property {string[]} removedLongBlocks - Long blocks only found in the first run.
+ */
+
+/**
+ * Compares two runs user by user.
+ *
+ * @param {RunSnapshot} before - Earlier run.
+ * @param {RunSnapshot} after - Later run.
+ * @param {Object} config - Configuration whose criteriaRules evaluate both runs.
+ * @returns {UserDiff[]} One entry per user found in either run, sorted by email.
+ */
+export function diffRuns(before, after, config = {}) {
+  const usersBefore = summarizeUsers(before, config);
+  const usersAfter = summarizeUsers(after, config);
+  const emails = Array.from(new Set([...usersBefore.keys(), ...usersAfter.keys()])).sort();
+
+  return emails.map((email) => diffUser(email, usersBefore.get(email), usersAfter.get(email)));
+}
+
+/**
+ * Evaluates a run and aggregates its rows per user. Users with no evaluated
+ * day (errors only, or absent every day) are left out.
+ *
+ * @param {RunSnapshot} run
+ * @param {Object} config
+ * @returns {Map<string, {
+ *   days: number;
+ *   busyPercent: number;
+ *   rules: Map<string, { label: string; failed: boolean }>;
+ *   longBlocks: Map<string, number>;
+ * }>}
+ */
+function summarizeUsers(run, config) {
+  const rows = evaluateCriteria(run?.analysis || [], run?.failures || [], run?.selectedDates || [], config);
+  const users = new Map();
+
+  for (const row of rows) {
+    if (row.status !== "passed" && row.status !== "failed") continue;
+
+    if (!users.has(row.email)) {
+      users.set(row.email, { days: 0, busyTotal: 0, rules: new Map(), longBlocks: new Map() });
+    }
+    const user = users.get(row.email);
+
+    user.days++;
+    user.busyTotal += Number(row.metrics?.busyPercent) || 0;
+
+    for (const rule of row.passedRules) {
+      if (!user.rules.has(rule.id)) user.rules.set(rule.id, { label: rule.label, failed: false });
+    }
+    for (const rule of row.failedRules) {
+      user.rules.set(rule.id, { label: rule.label, failed: true });
+    }
+    for (const block of row.longBlocks) {
+      const key = describeLongBlock(block);
+      user.longBlocks.set(key, (user.longBlocks.get(key) || 0) + 1);
+    }
+  }
+
+  for (const user of users.values()) {
+    user.busyPercent = user.days > 0 ? user.busyTotal / user.days : 0;
+    delete user.busyTotal;
+  }
+
+  return users;
+}
+
+/**
+ * Builds the diff of one user from the aggregates of both runs.
+ *
+ * @returns {UserDiff}
+ */
+function diffUser(email, before, after) {
+  const newlyPassing = [];
+  const newlyFailing = [];
+  const stillFailing = [];
+
+  if (before && after) {
+    for (const [id, rule] of after.rules) {
+      const previous = before.rules.get(id);
+      if (!previous) continue;
+      if (previous.failed && !rule.failed) newlyPassing.push(rule.label);
+      if (!previous.failed && rule.failed) newlyFailing.push(rule.label);
+      if (previous.failed && rule.failed) stillFailing.push(rule.label);
+    }
+  }
+
+  const longBefore = before?.longBlocks || new Map();
+  const longAfter = after?.longBlocks || new Map();
+  const countBefore = sumValues(longBefore);
+  const countAfter = sumValues(longAfter);
+
+  let status = "unchanged";
+  if (!before) status = "new";
+  else if (!after) status = "missing";
+  else if (newlyPassing.length !== newlyFailing.length) {
+    status = newlyPassing.length > newlyFailing.length ? "improved" : "regressed";
+  } else if (countAfter !== countBefore) {
+    status = countAfter < countBefore ? "improved" : "regressed";
+  }
+
+  const busyBefore = before ? before.busyPercent : null;
+  const busyAfter = after ? after.busyPercent : null;
+
+  return {
+    email,
+    status,
+    busyPercentBefore: busyBefore,
+    busyPercentAfter: busyAfter,
+    busyPercentDelta: before && after ? busyAfter - busyBefore : null,
+    daysBefore: before?.days || 0,
+    daysAfter: after?.days || 0,
+    newlyPassing,
+    newlyFailing,
+    stillFailing,
+    longBlocksBefore: countBefore,
+    longBlocksAfter: countAfter,
+    newLongBlocks: [...longAfter.keys()].filter((key) => !longBefore.has(key)),
+    removedLongBlocks: [...longBefore.keys()].filter((key) => !longAfter.has(key))
+  };
+}
+
+/**
+ * Identifies a long block regardless of its date: "Planning 09:00-11:00".
+ */
+function describeLongBlock(block) {
+  return `${block.title || "(untitled)"} ${block.from}-${block.to}`;
+}
+
+function sumValues(map) {
+  let total = 0;
+  for (const value of map.values()) total += value;
+  return total;
+}
@@ -0,0 +1,267 @@
+// src/services/slackService.js
+/**
+ * Slack Delivery Service
+ *
+ * Posts the results of the criteria report to Slack incoming webhooks.
+ *
+ * Two modes (config.slackMode):
+ * - "summary": one message per run with the totals and the users that failed.
+ * - "per_user": one message per user and day with the rendered slack_message,
+ *   mentioning the user when the roster maps the email to a Slack user ID.
+ *
+ * Every message is posted to each URL in config.slackWebhookUrls. With
+ * config.slackDryRun the messages are built and logged but not sent.
+ * HTTP 429 responses are retried honouring the Retry-After header.
+ *
+ * Each run produces a delivery log entry, stored by storage.js.
+ */
+import { renderCriteriaMessage } from "./messageTemplates.js";
+
+/** Longest wait (seconds) accepted from a Retry-After header. */
+const MAX_RETRY_AFTER_SECONDS = 30;
+
+/** Wait (seconds) when a 429 response has no usable Retry-After header. */
+const DEFAULT_RETRY_AFTER_SECONDS = 1;
+
+/** Users listed by name in the summary message before it is truncated. */
+const MAX_SUMMARY_LINES = 50;
+
+/**
+ * Builds and posts the Slack messages of a criteria run.
+ *
+ * @param {Array<Object>} results - Rows returned by evaluateCriteria().
+ * @param {Object} config - Extension configuration (slack* keys, messageTemplates).
+ * @param {Record<string, { name?: string; locale?: string; slackId?: string }>} recipients - Roster data keyed by email.
+ * @param {{ label?: string }} [run] - Run information (report label).
+ * @returns {Promise<{
+ *   runId: string;
+ *   label: string;
+ *   startedAt: string;
+ *   finishedAt: string;
+ *   mode: string;
+ *   dryRun: boolean;
+ *   sent: number;
+ *   failed: number;
+ *   deliveries: Array<Object>;
+ * }>} The delivery log of the run.
+ */
+export async function deliverCriteriaToSlack(results, config = {}, recipients = {}, run = {}) {
+  const startedAt = new Date().toISOString();
+  const mode = config?.slackMode === "per_user" ? "per_user" : "summary";
+  const dryRun = Boolean(config?.slackDryRun);
+  const webhookUrls = (Array.isArray(config?.slackWebhookUrls) ? config.slackWebhookUrls : [])
+    .map((url) => String(url).trim())
+    .filter((url) => url.length > 0);
+
+  const messages =
+    mode === "per_user"
+      ? buildPerUserMessages(results, config, recipients)
+      : [{ email: "", date: "", text: buildSummaryMessage(results, recipients, run?.label) }];
+
+  const deliveries = [];
+
+  for (const message of messages) {
+    for (const webhookUrl of webhookUrls) {
+      const entry = {
+        webhook: maskWebhookUrl(webhookUrl),
+        email: message.email,
+        date: message.date,
+        text: message.text,
+        status: "dry_run",
+        httpStatus: null,
+        attempts: 0,
+        error: ""
+      };
+
+      if (!dryRun) {
+        const result = await postToWebhook(webhookUrl, message.text, config?.slackMaxRetries);
+        entry.status = result.ok ? "sent" : "failed";
+        entry.httpStatus = result.status;
+        entry.attempts = result.attempts;
+        entry.error = result.error;
+      }
+
+      deliveries.push(entry);
+    }
+  }
+
+  const log = {
+    runId: `${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+    label: run?.label || "",
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    mode,
+    dryRun,
+    sent: deliveries.filter((d) => d.status === "sent").length,
+    failed: deliveries.filter((d) => d.status === "failed").length,
+    deliveries
+  };
+
+  console.log("[Calendar-Analytics] Slack delivery:", {
+    mode,
+    dryRun,
+    messages: messages.length,
+    webhooks: webhookUrls.length,
+    sent: log.sent,
+    failed: log.failed
+  });
+
+  return log;
+}
+
+/**
+ * Builds one message per evaluated user and day.
+ * Absent users and error rows are skipped; with config.slackOnlyFailed only
+ * the days that failed are included.
+ *
+ * @param {Array<Object>} results - Rows returned by evaluateCriteria().
+ * @param {Object} config - Extension configuration.
+ * @param {Record<string, Object>} recipients - Roster data keyed by email.
+ * @returns {Array<{ email: string; date: string; text: string }>}
+ */
+export function buildPerUserMessages(results, config = {}, recipients = {}) {
+  const onlyFailed = config?.slackOnlyFailed !== false;
+
+  return (Array.isArray(results) ? results : [])
+    .filter((r) => r.status === "failed" || (!onlyFailed && r.status === "passed"))
+    .map((r) => {
+      const recipient = recipients?.[r.email] || {};
+      const text = renderCriteriaMessage(r, config, recipient);
+      return {
+        email: r.email,
+        date: r.date,
+        text: `${mentionFor(r.email, recipient)} ${text}`.trim()
+      };
+    })
+    .filter((m) => m.text.length > 0);
+}
+
+/**
+ * Builds the channel summary of a run: totals per status and one line per
+ * user and day that failed (users without any event are marked "empty calendar").
+ *
+ * @param {Array<Object>} results - Rows returned by evaluateCriteria().
+ * @param {Record<string, Object>} recipients - Roster data keyed by email.
+ * @param {string} [label] - Report label (date or date range).
+ * @returns {string} Slack mrkdwn text.
+ */
+export function buildSummaryMessage(results, recipients = {}, label = "") {
+  const rows = Array.isArray(results) ? results : [];
+  const count = (status) => rows.filter((r) => r.status === status).length;
+  const failed = rows.filter((r) => r.status === "failed");
+
+  const lines = [
+    `*Calendar criteria${label ? ` – ${label}` : ""}*`,
+    `:white_check_mark: ${count("passed")} passed · :x: ${failed.length} failed · ` +
+      `:palm_tree: ${count("absent")} absent · :warning: ${count("error")} errors`
+  ];
+
+  for (const r of failed.slice(0, MAX_SUMMARY_LINES)) {
+    const who = mentionFor(r.email, recipients?.[r.email] || {});
+    const empty = r.emptyCalendar ? " [empty calendar]" : "";
+    lines.push(
+      `• ${who} (${r.date})${empty}: ${r.failedRules.map((rule) => rule.label).join(", ")}`
+    );
+  }
+
+  if (failed.length > MAX_SUMMARY_LINES) {
+    lines.push(`…and ${failed.length - MAX_SUMMARY_LINES} more`);
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Posts a text message to an incoming webhook.
+ * HTTP 429 is retried up to `maxRetries` times, waiting for Retry-After.
+ *
+ * @param {string} webhookUrl - Incoming webhook URL.
+ * @param {string} text - Message text (Slack mrkdwn).
+ * @param {number} [maxRetries] - Retries allowed after a 429 response.
+ * @returns {Promise<{ ok: boolean; status: number | null; attempts: number; error: string }>}
+ */
+export async function postToWebhook(webhookUrl, text, maxRetries = 3) {
+  const retries = Number.isFinite(Number(maxRetries)) ? Math.max(0, Number(maxRetries)) : 3;
+  let attempts = 0;
+
+  while (true) {
+    attempts++;
+
+    let res;
+    try {
+      res = await fetch(webhookUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ text })
+      });
+    } catch (err) {
+      return { ok: false, status: null, attempts, error: err?.message || String(err) };
+    }
+
+    if (res.ok) {
+      return { ok: true, status: res.status, attempts, error: "" };
+    }
+
+    if (res.status === 429 && attempts <= retries) {
+      const waitSeconds = parseRetryAfter(res.headers.get("Retry-After"));
+      console.warn(
+        `[Calendar-Analytics] Slack rate limited, retrying in ${waitSeconds}s (attempt ${attempts})`
+      );
+      await sleep(waitSeconds * 1000);
+      continue;
+    }
+
+    const body = await res.text().catch(() => "");
+    return {
+      ok: false,
+      status: res.status,
+      attempts,
+      error: body || res.statusText || `HTTP ${res.status}`
+    };
+  }
+}
+
+/**
+ * Parses a Retry-After header (delay in seconds or HTTP date).
+ *
+ * @param {string | null} value - Header value.
+ * @returns {number} Seconds to wait, between 0 and MAX_RETRY_AFTER_SECONDS.
+ */
+function parseRetryAfter(value) {
+  if (value == null || value === "") return DEFAULT_RETRY_AFTER_SECONDS;
+
+  let seconds = Number(value);
+  if (Number.isNaN(seconds)) {
+    const date = Date.parse(value);
+    seconds = Number.isNaN(date)
+      ? DEFAULT_RETRY_AFTER_SECONDS
+      : Math.ceil((date - Date.now()) / 1000);
+  }
+
+  return Math.min(MAX_RETRY_AFTER_SECONDS, Math.max(0, seconds));
+}
+
+/**
+ * Returns the Slack mention of a user (<@U123>) or the email in bold when the
+ * roster has no Slack user ID for it.
+ */
+function mentionFor(email, recipient) {
+  return recipient?.slackId ? `<@${recipient.slackId}>` : `*${email}*`;
+}
+
+/**
+ * Hides the secret part of a webhook URL so it can be stored in the log.
+ * "https://hooks.slack.com/services/T000/B000/XXXXXXXX" → "https://hooks.slack.com/…XXXX"
+ */
+function maskWebhookUrl(url) {
+  try {
+    const { origin } = new URL(url);
+    return `${origin}/…${url.slice(-4)}`;
+  } catch {
+    return "…";
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -0,0 +1,189 @@
+// src/services/slotFinder.js
+/**
+ * Common Slot Finder
+ *
+ * Answers "when can these people meet?" from the output of analyzeCalendar():
+ * it intersects the free blocks of the attendees (each one inside their own
+ * workday and time zone) and returns a ranked list of candidate slots.
+ *
+ * - Required attendees must all be free for the whole slot.
+ * - Optional attendees only affect the ranking: slots where more of them are
+ *   free come first, then earlier slots.
+ * - Candidate starts are aligned to `stepMinutes` (UTC), and the slots
+ *   returned never overlap each other, so they can be booked as holds.
+ * - Attendees without analysis (calendars that could not be read) are listed
+ *   as unknown and left out of the intersection.
+ * - Absent days have no free blocks, so nobody can be booked on them.
+ */
+import { zonedDateTimeToUtc } from "./timeZone.js";
+
+/** Defaults of findCommonSlots(); each one can be overridden in its options. */
+export const DEFAULT_SLOT_OPTIONS = {
+  durationMinutes: 30,
+  stepMinutes: 15,
+  maxSlots: 20
+};
+
+/**
+ * @typedef {Object} CandidateSlot
+ * @property {string} start - ISO timestamp (UTC).
+ * @property {string} end - ISO timestamp (UTC).
+ * @property {number} durationMinutes
+ * @property {string[]} free - Attendees free for the whole slot (required first).
+ * @property {string[]} conflicts - Optional attendees who are busy, absent or
+ *   outside their workday during the slot.
+ * @property {number} optionalFree - Number of optional attendees free.
+ */
+
+/**
+ * Finds the slots where every required attendee is free.
+ *
+ * @param {Array<Object>} analysis - Output of analyzeCalendar() for the attendees.
+ * @param {Object} options
+ * @param {string[]} options.attendees - Everyone invited to the meeting.
+ * @param {string[]} [options.required] - Required attendees; empty = every
+ *   attendee not listed in `optional`.
+ * @param {string[]} [options.optional] - Optional attendees.
+ * @param {number} [options.durationMinutes] - Meeting length.
+ * @param {number} [options.stepMinutes] - Granularity of the candidate starts.
+ * @param {number} [options.maxSlots] - Maximum number of slots returned.
+ * @returns {{
+ *   slots: CandidateSlot[];
+ *   required: string[];
+ *   optional: string[];
+ *   unknown: string[];
+ * }} Ranked slots, the attendees split by role, and those without analysis.
+ * @throws {Error} When there is no required attendee.
+ */
+export function findCommonSlots(analysis, options = {}) {
+  const durationMinutes = positiveNumber(
+    options.durationMinutes,
+    DEFAULT_SLOT_OPTIONS.durationMinutes
+  );
+  const stepMinutes = positiveNumber(options.stepMinutes, DEFAULT_SLOT_OPTIONS.stepMinutes);
+  const maxSlots = positiveNumber(options.maxSlots, DEFAULT_SLOT_OPTIONS.maxSlots);
+
+  const optionalSet = new Set(options.optional || []);
+  const requiredSet = new Set(options.required || []);
+  const attendees = Array.from(
+    new Set([...(options.attendees || []), ...requiredSet, ...optionalSet])
+  );
+  const isRequired = (email) =>
+    requiredSet.size > 0 ? requiredSet.has(email) : !optionalSet.has(email);
+
+  const freeByEmail = collectFreeIntervals(analysis, attendees);
+  const unknown = attendees.filter((email) => !freeByEmail.has(email));
+  const required = attendees.filter((email) => isRequired(email) && freeByEmail.has(email));
+  const optional = attendees.filter((email) => !isRequired(email) && freeByEmail.has(email));
+
+  if (required.length === 0) {
+    throw new Error("At least one required attendee with a readable calendar is needed.");
+  }
+
+  // 1. Tiempo libre común de los obligatorios
+  const common = required
+    .map((email) => freeByEmail.get(email))
+    .reduce((acc, intervals) => intersectIntervals(acc, intervals));
+
+  // 2. Candidatos alineados al paso, dentro de cada hueco común
+  const durationMs = durationMinutes * 60000;
+  const stepMs = stepMinutes * 60000;
+  const candidates = [];
+
+  for (const interval of common) {
+    let start = Math.ceil(interval.start / stepMs) * stepMs;
+    for (; start + durationMs <= interval.end; start += stepMs) {
+      const end = start + durationMs;
+      const freeOptional = optional.filter((email) =>
+        freeByEmail.get(email).some((i) => i.start <= start && i.end >= end)
+      );
+      candidates.push({ start, end, freeOptional });
+    }
+  }
+
+  // 3. Ranking: más opcionales libres, luego lo más temprano; sin solapes
+  candidates.sort(
+    (a, b) => b.freeOptional.length - a.freeOptional.length || a.start - b.start
+  );
+
+  const picked = [];
+  for (const candidate of candidates) {
+    if (picked.length >= maxSlots) break;
+    if (picked.some((p) => candidate.start < p.end && candidate.end > p.start)) continue;
+    picked.push(candidate);
+  }
+
+  return {
+    slots: picked.map(({ start, end, freeOptional }) => ({
+      start: new Date(start).toISOString(),
+      end: new Date(end).toISOString(),
+      durationMinutes,
+      free: [...required, ...freeOptional],
+      conflicts: optional.filter((email) => !freeOptional.includes(email)),
+      optionalFree: freeOptional.length
+    })),
+    required,
+    optional,
+    unknown
+  };
+}
+
+/**
+ * Converts the free blocks of each attendee (fragmented ones included: a
+ * short gap still fits a short meeting) into sorted UTC intervals
+ * (epoch milliseconds). Attendees without any analysis entry are left out.
+ *
+ * @param {Array<Object>} analysis - Output of analyzeCalendar().
+ * @param {string[]} attendees
+ * @returns {Map<string, Array<{ start: number; end: number }>>}
+ */
+function collectFreeIntervals(analysis, attendees) {
+  const wanted = new Set(attendees);
+  const map = new Map();
+
+  for (const day of Array.isArray(analysis) ? analysis : []) {
+    if (!wanted.has(day?.email)) continue;
+    if (!map.has(day.email)) map.set(day.email, []);
+    if (day.absent) continue;
+
+    for (const block of day.blocks || []) {
+      if (block.type !== "free" && block.type !== "fragmented") continue;
+      map.get(day.email).push({
+        start: zonedDateTimeToUtc(day.date, block.from, day.timeZone).getTime(),
+        end: zonedDateTimeToUtc(day.date, block.to, day.timeZone).getTime()
+      });
+    }
+  }
+
+  for (const intervals of map.values()) intervals.sort((a, b) => a.start - b.start);
+  return map;
+}
+
+/**
+ * Intersects two sorted lists of non-overlapping intervals.
+ *
+ * @param {Array<{ start: number; end: number }>} a
+ * @param {Array<{ start: number; end: number }>} b
+ * @returns {Array<{ start: number; end: number }>}
+ */
+function intersectIntervals(a, b) {
+  const result = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < a.length && j < b.length) {
+    const start = Math.max(a[i].start, b[j].start);
+    const end = Math.min(a[i].end, b[j].end);
+    if (end > start) result.push({ start, end });
+
+    if (a[i].end < b[j].end) i++;
+    else j++;
+  }
+
+  return result;
+}
+
+function positiveNumber(value, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+}
@@ -0,0 +1,184 @@
+// src/services/timeZone.js
+/**
+ * Time Zone Service
+ *
+ * Small helpers built on Intl.DateTimeFormat to work with wall-clock times
+ * in an arbitrary IANA time zone (e.g. "America/Bogota", "Europe/Madrid"):
+ *
+ * - Validate a time zone name.
+ * - Format an instant as YYYY-MM-DD or HH:MM in a given zone.
+ * - Convert a wall-clock date + time in a given zone into a UTC instant.
+ *
+ * No external libraries are used, so it runs in the popup and in the
+ * service worker alike.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Cache of formatters, one per time zone. */
+const formatters = new Map();
+
+/**
+ * Returns the time zone of the browser running the extension.
+ *
+ * @returns {string} IANA time zone name (falls back to "UTC").
+ */
+export function getDefaultTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+  } catch {
+    return "UTC";
+  }
+}
+
+/**
+ * Checks whether a string is a time zone supported by Intl.
+ *
+ * @param {string} timeZone - Candidate IANA time zone name.
+ * @returns {boolean} True if the time zone can be used.
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Formats an instant as a YYYY-MM-DD date in the given time zone.
+ *
+ * @param {Date} date - Instant to format.
+ * @param {string} timeZone - IANA time zone name.
+ * @returns {string} Date in YYYY-MM-DD format.
+ */
+export function formatDateInZone(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+/**
+ * Formats an instant as HH:MM (24-hour) in the given time zone.
+ *
+ * @param {Date} date - Instant to format.
+ * @param {string} timeZone - IANA time zone name.
+ * @returns {string} Time in HH:MM format.
+ */
+export function formatTimeInZone(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return `${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+/**
+ * Converts a wall-clock date and time in a time zone into a UTC instant.
+ *
+ * Example: ("2025-03-10", "07:00", "Europe/Madrid") → 2025-03-10T06:00:00Z
+ *
+ * Wall-clock times that do not exist (DST gap) are shifted forward by the
+ * length of the gap; ambiguous times (DST overlap) resolve to the first occurrence.
+ *
+ * @param {string} dateStr - Date in YYYY-MM-DD format.
+ * @param {string} hhmm - Time in HH:MM format.
+ * @param {string} timeZone - IANA time zone name.
+ * @returns {Date} The corresponding instant.
+ */
+export function zonedDateTimeToUtc(dateStr, hhmm, timeZone) {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  const [hour, minute] = String(hhmm || "00:00").split(":").map(Number);
+
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute || 0, 0);
+
+  // Offsets un día antes y un día después cubren cualquier cambio de horario
+  const offsetBefore = getOffsetMs(new Date(wallClockAsUtc - DAY_MS), timeZone);
+  const offsetAfter = getOffsetMs(new Date(wallClockAsUtc + DAY_MS), timeZone);
+
+  const candidates = [wallClockAsUtc - offsetBefore, wallClockAsUtc - offsetAfter]
+    .filter((ms) => {
+      const p = getZonedParts(new Date(ms), timeZone);
+      return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, 0) === wallClockAsUtc;
+    });
+
+  if (candidates.length === 0) return new Date(wallClockAsUtc - offsetBefore);
+  return new Date(Math.min(...candidates));
+}
+
+/**
+ * Adds a number of calendar days to a YYYY-MM-DD date string.
+ *
+ * @param {string} dateStr - Date in YYYY-MM-DD format.
+ * @param {number} days - Days to add (may be negative).
+ * @returns {string} The resulting date in YYYY-MM-DD format.
+ */
+export function addDays(dateStr, days) {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  const d = new Date(Date.UTC(year, month - 1, day + days));
+  return d.toISOString().split("T")[0];
+}
+
+/**
+ * Returns the offset (wall clock minus UTC) of a time zone at a given instant.
+ *
+ * @param {Date} date - Instant.
+ * @param {string} timeZone - IANA time zone name.
+ * @returns {number} Offset in milliseconds.
+ */
+function getOffsetMs(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  const truncated = Math.floor(date.getTime() / 1000) * 1000;
+  return asUtc - truncated;
+}
+
+/**
+ * Returns the wall-clock components of an instant in a time zone.
+ *
+ * @param {Date} date - Instant.
+ * @param {string} timeZone - IANA time zone name.
+ * @returns {{ year: number; month: number; day: number; hour: number; minute: number; second: number }}
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    if (type !== "literal") parts[type] = Number(value);
+  }
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour === 24 ? 0 : parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+/**
+ * Returns a cached numeric formatter for the given time zone.
+ *
+ * @param {string} timeZone - IANA time zone name.
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit"
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
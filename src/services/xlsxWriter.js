@@ -0,0 +1,407 @@
+// src/services/xlsxWriter.js
+/**
+ * XLSX Writer
+ *
+ * Minimal Office Open XML (SpreadsheetML) writer with no dependencies, so it
+ * runs in the service worker without network access.
+ *
+ * Supports:
+ * - Several sheets per workbook.
+ * - Typed cells: strings (inline), numbers and booleans.
+ * - A bold, frozen header row with autofilter on every sheet.
+ * - Column widths and a "0.00" number format for decimal columns.
+ *
+ * The package is a ZIP file with stored (uncompressed) entries.
+ */
+
+const encoder = new TextEncoder();
+
+/** Style indexes defined in buildStylesXml(). */
+const STYLE_DEFAULT = 0;
+const STYLE_HEADER = 1;
+const STYLE_DECIMAL = 2;
+
+/**
+ * @typedef {Object} XlsxColumn
+ * @property {string} key - Property read from each row object.
+ * @property {string} [header] - Header text (defaults to key).
+ * @property {"string" | "number" | "boolean"} [type] - Cell type (defaults to "string").
+ * @property {boolean} [decimal] - Show numbers with two decimals.
+ * @property {number} [width] - Column width in characters.
+ */
+
+/**
+ * @typedef {Object} XlsxSheet
+ * @property {string} name - Sheet name (max. 31 characters).
+ * @property {XlsxColumn[]} columns - Column definitions.
+ * @property {Array<Object>} rows - One object per row, keyed by column key.
+ */
+
+/**
+ * Builds an .xlsx file.
+ *
+ * Values that do not match the column type are written as strings, and
+ * null / undefined / "" values leave the cell empty.
+ *
+ * @param {XlsxSheet[]} sheets - Sheets of the workbook, in order.
+ * @returns {Uint8Array} Contents of the .xlsx file.
+ */
+export function buildXlsx(sheets) {
+  const names = uniqueSheetNames(sheets.map((s) => s.name));
+
+  const files = [
+    { path: "[Content_Types].xml", content: buildContentTypesXml(sheets.length) },
+    { path: "_rels/.rels", content: buildRootRelsXml() },
+    { path: "xl/workbook.xml", content: buildWorkbookXml(sheets, names) },
+    { path: "xl/_rels/workbook.xml.rels", content: buildWorkbookRelsXml(sheets.length) },
+    { path: "xl/styles.xml", content: buildStylesXml() },
+    ...sheets.map((sheet, i) => ({
+      path: `xl/worksheets/sheet${i + 1}.xml`,
+      content: buildSheetXml(sheet)
+    }))
+  ];
+
+  return buildZip(files.map((f) => ({ path: f.path, data: encoder.encode(f.content) })));
+}
+
+/* =========================================================
+ * SPREADSHEETML PARTS
+ * ======================================================= */
+
+function buildContentTypesXml(sheetCount) {
+  const sheetOverrides = Array.from(
+    { length: sheetCount },
+    (_, i) =>
+      `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ` +
+      `ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+  ).join("");
+
+  return (
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+    `<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+    `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>` +
+    `<Default Extension="xml" ContentType="application/xml"/>` +
+    `<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>` +
+    `<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>` +
+    sheetOverrides +
+    `</Types>`
+  );
+}
+
+function buildRootRelsXml() {
+  return (
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+    `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+    `<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>` +
+    `</Relationships>`
+  );
+}
+
+function buildWorkbookXml(sheets, names) {
+  const sheetEntries = names
+    .map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`)
+    .join("");
+
+  // Excel guarda el rango del autofiltro como nombre oculto de cada hoja
+  const filterNames = sheets
+    .map((sheet, i) => {
+      const ref = getSheetRange(sheet, true);
+      return (
+        `<definedName name="_xlnm._FilterDatabase" localSheetId="${i}" hidden="1">` +
+        `'${escapeXml(names[i].replace(/'/g, "''"))}'!${ref}</definedName>`
+      );
+    })
+    .join("");
+
+  return (
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+    `<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ` +
+    `xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">` +
+    `<sheets>${sheetEntries}</sheets>` +
+    `<definedNames>${filterNames}</definedNames>` +
+    `</workbook>`
+  );
+}
+
+function buildWorkbookRelsXml(sheetCount) {
+  const sheetRels = Array.from(
+    { length: sheetCount },
+    (_, i) =>
+      `<Relationship Id="rId${i + 1}" ` +
+      `Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" ` +
+      `Target="worksheets/sheet${i + 1}.xml"/>`
+  ).join("");
+
+  return (
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+    `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+    sheetRels +
+    `<Relationship Id="rId${sheetCount + 1}" ` +
+    `Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+    `</Relationships>`
+  );
+}
+
+/**
+ * Styles: 0 = default, 1 = bold header, 2 = number with two decimals (built-in format 2).
+ */
+function buildStylesXml() {
+  return (
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+    `<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+    `<fonts count="2">` +
+    `<font><sz val="11"/><name val="Calibri"/></font>` +
+    `<font><b/><sz val="11"/><name val="Calibri"/></font>` +
+    `</fonts>` +
+    `<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>` +
+    `<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>` +
+    `<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>` +
+    `<cellXfs count="3">` +
+    `<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>` +
+    `<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>` +
+    `<xf numFmtId="2" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>` +
+    `</cellXfs>` +
+    `<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>` +
+    `</styleSheet>`
+  );
+}
+
+/**
+ * Builds one worksheet: frozen header row, column widths, typed cells and autofilter.
+ *
+ * @param {XlsxSheet} sheet - Sheet definition.
+ * @returns {string} Worksheet XML.
+ */
+function buildSheetXml(sheet) {
+  const { columns } = sheet;
+  const rows = Array.isArray(sheet.rows) ? sheet.rows : [];
+
+  const cols = columns
+    .map((col, i) => {
+      const width = col.width || Math.min(50, Math.max(10, (col.header || col.key).length + 2));
+      return `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`;
+    })
+    .join("");
+
+  const headerCells = columns
+    .map((col, c) => inlineStringCell(cellRef(c, 1), col.header || col.key, STYLE_HEADER))
+    .join("");
+
+  const bodyRows = rows
+    .map((row, r) => {
+      const rowNumber = r + 2;
+      const cells = columns
+        .map((col, c) => buildCell(cellRef(c, rowNumber), row?.[col.key], col))
+        .join("");
+      return `<row r="${rowNumber}">${cells}</row>`;
+    })
+    .join("");
+
+  return (
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+    `<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+    `<dimension ref="${getSheetRange(sheet, false)}"/>` +
+    `<sheetViews><sheetView workbookViewId="0">` +
+    `<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>` +
+    `<selection pane="bottomLeft" activeCell="A2" sqref="A2"/>` +
+    `</sheetView></sheetViews>` +
+    `<sheetFormatPr defaultRowHeight="15"/>` +
+    `<cols>${cols}</cols>` +
+    `<sheetData><row r="1">${headerCells}</row>${bodyRows}</sheetData>` +
+    `<autoFilter ref="${getSheetRange(sheet, false)}"/>` +
+    `</worksheet>`
+  );
+}
+
+/**
+ * Builds a typed cell. Values that do not fit the column type fall back to strings.
+ */
+function buildCell(ref, value, col) {
+  if (value == null || value === "") return "";
+
+  if (col.type === "number" && typeof value === "number" && Number.isFinite(value)) {
+    const style = col.decimal ? ` s="${STYLE_DECIMAL}"` : "";
+    return `<c r="${ref}"${style}><v>${value}</v></c>`;
+  }
+
+  if (col.type === "boolean" && typeof value === "boolean") {
+    return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+
+  return inlineStringCell(ref, String(value), STYLE_DEFAULT);
+}
+
+function inlineStringCell(ref, text, style) {
+  const styleAttr = style ? ` s="${style}"` : "";
+  return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+/**
+ * Returns the range covered by a sheet (e.g. "A1:M42").
+ * With `absolute`, the range uses absolute references ("$A$1:$M$42").
+ */
+function getSheetRange(sheet, absolute) {
+  const lastCol = columnLetter(Math.max(0, sheet.columns.length - 1));
+  const lastRow = (Array.isArray(sheet.rows) ? sheet.rows.length : 0) + 1;
+  return absolute ? `$A$1:$${lastCol}$${lastRow}` : `A1:${lastCol}${lastRow}`;
+}
+
+function cellRef(colIndex, rowNumber) {
+  return `${columnLetter(colIndex)}${rowNumber}`;
+}
+
+/** 0 → "A", 25 → "Z", 26 → "AA" */
+function columnLetter(index) {
+  let n = index + 1;
+  let letters = "";
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    letters = String.fromCharCode(65 + rem) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letters;
+}
+
+/**
+ * Makes sheet names valid for Excel: no []:*?/\ characters, at most 31
+ * characters and unique (case-insensitive).
+ */
+function uniqueSheetNames(names) {
+  const used = new Set();
+  return names.map((raw, i) => {
+    const base = String(raw || `Sheet${i + 1}`).replace(/[[\]:*?/\\]/g, " ").slice(0, 31) || `Sheet${i + 1}`;
+    let name = base;
+    for (let n = 2; used.has(name.toLowerCase()); n++) {
+      const suffix = ` (${n})`;
+      name = base.slice(0, 31 - suffix.length) + suffix;
+    }
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+function escapeXml(value) {
+  return String(value)
+    // Caracteres de control no permitidos en XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/* =========================================================
+ * ZIP (STORED ENTRIES)
+ * ======================================================= */
+
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 checksum required by the ZIP format.
+ *
+ * @param {Uint8Array} data - Bytes to checksum.
+ * @returns {number} Unsigned CRC-32.
+ */
+function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Packs files into a ZIP archive without compression.
+ *
+ * @param {Array<{ path: string; data: Uint8Array }>} files - Files to pack.
+ * @returns {Uint8Array} ZIP archive.
+ */
+function buildZip(files) {
+  const { time, date } = toDosDateTime(new Date());
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.path);
+    const crc = crc32(file.data);
+    const size = file.data.length;
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // local file header signature
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(6, 0x0800, true); // flags: UTF-8 names
+    local.setUint16(8, 0, true); // method: stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, size, true);
+    local.setUint32(22, size, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true); // central directory signature
+    central.setUint16(4, 20, true); // version made by
+    central.setUint16(6, 20, true); // version needed
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, size, true);
+    central.setUint32(24, size, true);
+    central.setUint16(28, name.length, true);
+    central.setUint16(30, 0, true); // extra length
+    central.setUint16(32, 0, true); // comment length
+    central.setUint16(34, 0, true); // disk number
+    central.setUint16(36, 0, true); // internal attributes
+    central.setUint32(38, 0, true); // external attributes
+    central.setUint32(42, offset, true); // local header offset
+
+    localParts.push(new Uint8Array(local.buffer), name, file.data);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + size;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // end of central directory signature
+  end.setUint16(4, 0, true);
+  end.setUint16(6, 0, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  end.setUint16(20, 0, true);
+
+  return concatBytes([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+}
+
+function toDosDateTime(d) {
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+  };
+}
+
+function concatBytes(parts) {
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const out = new Uint8Array(total);
+  let pos = 0;
+  for (const part of parts) {
+    out.set(part, pos);
+    pos += part.length;
+  }
+  return out;
+}
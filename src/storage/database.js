@@ -0,0 +1,71 @@
+// src/storage/database.js
+/**
+ * IndexedDB Database
+ *
+ * Opens the extension's IndexedDB database, shared by the service worker and
+ * the extension pages. Object stores:
+ *
+ * - "calendars": event cache, one record per calendar (see eventCache.js).
+ * - "runs": report history, one record per report run (see reportHistory.js).
+ *
+ * Settings stay in chrome.storage.local (storage.js); IndexedDB holds the
+ * larger data sets.
+ */
+
+const DB_NAME = "calendar-analytics";
+const DB_VERSION = 2;
+
+export const CALENDARS_STORE = "calendars";
+export const RUNS_STORE = "runs";
+
+/** @type {Promise<IDBDatabase> | null} */
+let dbPromise = null;
+
+/**
+ * Opens (and creates or upgrades on first use) the IndexedDB database.
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        // Versión 1: caché de eventos. Versión 2: historial de reportes
+        if (!db.objectStoreNames.contains(CALENDARS_STORE)) {
+          db.createObjectStore(CALENDARS_STORE, { keyPath: "calendarId" });
+        }
+        if (!db.objectStoreNames.contains(RUNS_STORE)) {
+          db.createObjectStore(RUNS_STORE, { keyPath: "id" });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Runs requests against one object store inside a single transaction.
+ *
+ * @param {string} storeName - Object store name (CALENDARS_STORE or RUNS_STORE).
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite".
+ * @param {(store: IDBObjectStore) => IDBRequest | void} operation - Issues the request(s).
+ * @returns {Promise<any>} The result of the returned request, once the transaction completes.
+ */
+export async function withStore(storeName, mode, operation) {
+  const db = await openDb();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = operation(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
@@ -0,0 +1,74 @@
+// src/storage/eventCache.js
+/**
+ * Event Cache
+ *
+ * Local store of the calendar events, kept in IndexedDB (see database.js) so
+ * it is shared by the service worker (which fills it) and the extension pages
+ * (which show its age). One record per calendar:
+ *
+ *   {
+ *     calendarId,    // key
+ *     formatVersion, // version of the normalized event shape
+ *     timeMin,       // ISO start of the synced window
+ *     timeMax,       // ISO end of the synced window
+ *     syncToken,     // nextSyncToken of the last sync ("" if none)
+ *     timeZone,      // calendar time zone, or null
+ *     events,        // normalized events without `raw` (see calendarApi.js)
+ *     syncedAt       // ISO timestamp of the last sync
+ *   }
+ *
+ * The sync logic (full sync, incremental sync, 410 Gone, outdated format
+ * versions) lives in calendarApi.js.
+ */
+
+import { CALENDARS_STORE, withStore } from "./database.js";
+
+/**
+ * Returns the cached record of a calendar.
+ *
+ * @param {string} calendarId - Calendar ID (usually the user email).
+ * @returns {Promise<Object | null>} The record, or null if the calendar was never synced.
+ */
+export async function getCachedCalendar(calendarId) {
+  const record = await withStore(CALENDARS_STORE, "readonly", (store) => store.get(calendarId));
+  return record || null;
+}
+
+/**
+ * Stores (replaces) the cached record of a calendar.
+ *
+ * @param {Object} record - Record to store (see the module header).
+ * @returns {Promise<void>}
+ */
+export async function putCachedCalendar(record) {
+  await withStore(CALENDARS_STORE, "readwrite", (store) => store.put(record));
+}
+
+/**
+ * Removes every cached calendar.
+ *
+ * @returns {Promise<void>}
+ */
+export async function clearEventCache() {
+  await withStore(CALENDARS_STORE, "readwrite", (store) => store.clear());
+}
+
+/**
+ * Summarizes the cache, for the age indicator of the popup and options page.
+ *
+ * @param {string[]} [calendarIds] - Only count these calendars (e.g. the roster).
+ * @returns {Promise<{ calendars: number; events: number; oldestSyncedAt: string | null; newestSyncedAt: string | null }>}
+ */
+export async function getEventCacheInfo(calendarIds) {
+  const records = await withStore(CALENDARS_STORE, "readonly", (store) => store.getAll());
+  const wanted = Array.isArray(calendarIds) ? new Set(calendarIds) : null;
+  const selected = records.filter((r) => !wanted || wanted.has(r.calendarId));
+  const syncedAt = selected.map((r) => r.syncedAt).filter(Boolean).sort();
+
+  return {
+    calendars: selected.length,
+    events: selected.reduce((acc, r) => acc + (Array.isArray(r.events) ? r.events.length : 0), 0),
+    oldestSyncedAt: syncedAt[0] || null,
+    newestSyncedAt: syncedAt[syncedAt.length - 1] || null
+  };
+}
@@ -0,0 +1,109 @@
+// src/storage/reportHistory.js
+/**
+ * Report History
+ *
+ * Keeps every report run in IndexedDB (see database.js), so past reports can
+ * be inspected, downloaded again in any format and re-run with the same inputs.
+ *
+ * One record per run:
+ *
+ *   {
+ *     id,           // key ("run-<timestamp>-<random>")
+ *     type,         // "GENERATE_REPORT" | "GENERATE_CRITERIA_REPORT" | "GENERATE_SUMMARY_REPORT"
+ *     startedAt,    // ISO timestamp
+ *     finishedAt,   // ISO timestamp
+ *     inputs,       // { emails, timeZones, recipients, dateRange, selectedDates, format }
+ *     config,       // configuration snapshot used by the run (without slackWebhookUrls)
+ *     analysis,     // output of analyzeCalendar()
+ *     failures,     // calendars that could not be read
+ *     outputs,      // files produced: [{ filename, format }]
+ *     slack         // Slack delivery summary (criteria runs), or null
+ *   }
+ *
+ * Only the last config.historyMaxRuns runs are kept.
+ */
+
+import { RUNS_STORE, withStore } from "./database.js";
+
+/** Retention used when the configuration does not define one. */
+const DEFAULT_MAX_RUNS = 20;
+
+/**
+ * Saves a run and removes the oldest runs beyond the retention limit. With a
+ * limit of 0 nothing is saved and every stored run is removed. The Slack
+ * webhook URLs (secrets) are left out of the config snapshot.
+ *
+ * @param {Object} run - Run record without `id` (see the module header).
+ * @param {number} [maxRuns] - Runs to keep (config.historyMaxRuns); 0 disables the history.
+ * @returns {Promise<string | null>} The ID of the saved run, or null if the history is disabled.
+ */
+export async function saveReportRun(run, maxRuns = DEFAULT_MAX_RUNS) {
+  const limit = Number.isFinite(Number(maxRuns)) ? Math.max(0, Number(maxRuns)) : DEFAULT_MAX_RUNS;
+  if (limit === 0) {
+    await pruneReportRuns(0);
+    return null;
+  }
+
+  const { slackWebhookUrls, ...config } = run.config || {};
+  const id = `run-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+  await withStore(RUNS_STORE, "readwrite", (store) => store.put({ ...run, config, id }));
+  await pruneReportRuns(limit);
+  return id;
+}
+
+/**
+ * Lists the saved runs, most recent first, without their analysis data.
+ *
+ * @returns {Promise<Array<Object>>} Run summaries (`analysis` replaced by `days`,
+ *   the number of user/day entries).
+ */
+export async function listReportRuns() {
+  const runs = await getAllRuns();
+  return runs.map(({ analysis, ...summary }) => ({
+    ...summary,
+    days: Array.isArray(analysis) ? analysis.length : 0
+  }));
+}
+
+/**
+ * Returns a saved run with all its data.
+ *
+ * @param {string} id - Run ID.
+ * @returns {Promise<Object | null>}
+ */
+export async function getReportRun(id) {
+  const run = await withStore(RUNS_STORE, "readonly", (store) => store.get(id));
+  return run || null;
+}
+
+/**
+ * Deletes a saved run.
+ *
+ * @param {string} id - Run ID.
+ * @returns {Promise<void>}
+ */
+export async function deleteReportRun(id) {
+  await withStore(RUNS_STORE, "readwrite", (store) => store.delete(id));
+}
+
+/**
+ * Deletes the oldest runs so that at most `maxRuns` remain.
+ *
+ * @param {number} maxRuns - Runs to keep.
+ * @returns {Promise<number>} Number of runs deleted.
+ */
+export async function pruneReportRuns(maxRuns) {
+  const expired = (await getAllRuns()).slice(Math.max(0, maxRuns));
+  if (expired.length === 0) return 0;
+
+  await withStore(RUNS_STORE, "readwrite", (store) => {
+    for (const run of expired) store.delete(run.id);
+  });
+  return expired.length;
+}
+
+/** All runs, most recent first. */
+async function getAllRuns() {
+  const runs = await withStore(RUNS_STORE, "readonly", (store) => store.getAll());
+  return (runs || []).sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)));
+}
@@ -0,0 +1,112 @@
+// src/storage/rosters.js
+/**
+ * Saved Rosters
+ *
+ * Named lists of users ("Engineering", "Sales LATAM") kept in
+ * chrome.storage.local, so the popup does not need the CSV again on every
+ * run. One entry per roster:
+ *
+ *   {
+ *     id,          // "roster-<timestamp>-<random>"
+ *     name,        // unique, case-insensitive
+ *     members,     // [{ email, name?, team?, manager?, timeZone?, locale?, slackId? }]
+ *     updatedAt    // ISO timestamp
+ *   }
+ *
+ * The rosters selected in the popup are remembered as well, so they are
+ * loaded again when the popup is reopened. Conversion from and to CSV lives
+ * in ../services/rosterCsv.js.
+ */
+
+const ROSTERS_KEY = "calendar-analytics_rosters";
+const ACTIVE_ROSTERS_KEY = "calendar-analytics_active_rosters";
+
+/**
+ * Retrieves the saved rosters, sorted by name.
+ *
+ * @returns {Promise<Array<{ id: string; name: string; members: Array<Object>; updatedAt: string }>>}
+ */
+export function getRosters() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([ROSTERS_KEY], (result) => {
+      const rosters = Array.isArray(result[ROSTERS_KEY]) ? result[ROSTERS_KEY] : [];
+      resolve([...rosters].sort((a, b) => a.name.localeCompare(b.name)));
+    });
+  });
+}
+
+/**
+ * Creates or updates a roster. Without `id`, a roster with the same name is
+ * replaced (its ID is kept); otherwise a new one is created.
+ *
+ * @param {{ id?: string; name: string; members: Array<Object> }} roster
+ * @returns {Promise<Object>} The saved roster.
+ * @throws {Error} When the name is empty or used by another roster.
+ */
+export async function saveRoster(roster) {
+  const name = String(roster?.name || "").trim();
+  if (!name) throw new Error("The roster needs a name.");
+
+  const rosters = await getRosters();
+  const sameName = rosters.find((r) => r.name.toLowerCase() === name.toLowerCase());
+  if (roster.id && sameName && sameName.id !== roster.id) {
+    throw new Error(`Another roster is already named "${sameName.name}".`);
+  }
+
+  const id =
+    roster.id ||
+    sameName?.id ||
+    `roster-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+  const saved = {
+    id,
+    name,
+    members: Array.isArray(roster.members) ? roster.members : [],
+    updatedAt: new Date().toISOString()
+  };
+
+  await setRosters([...rosters.filter((r) => r.id !== id), saved]);
+  return saved;
+}
+
+/**
+ * Deletes a roster, and unselects it in the popup.
+ *
+ * @param {string} id - Roster ID.
+ * @returns {Promise<void>}
+ */
+export async function deleteRoster(id) {
+  const [rosters, activeIds] = await Promise.all([getRosters(), getActiveRosterIds()]);
+  await setRosters(rosters.filter((r) => r.id !== id));
+  await setActiveRosterIds(activeIds.filter((activeId) => activeId !== id));
+}
+
+/**
+ * Retrieves the IDs of the rosters selected in the popup.
+ *
+ * @returns {Promise<string[]>}
+ */
+export function getActiveRosterIds() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([ACTIVE_ROSTERS_KEY], (result) => {
+      resolve(Array.isArray(result[ACTIVE_ROSTERS_KEY]) ? result[ACTIVE_ROSTERS_KEY] : []);
+    });
+  });
+}
+
+/**
+ * Remembers the rosters selected in the popup.
+ *
+ * @param {string[]} ids - Roster IDs, in selection order.
+ * @returns {Promise<void>}
+ */
+export function setActiveRosterIds(ids) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ [ACTIVE_ROSTERS_KEY]: ids }, () => resolve());
+  });
+}
+
+function setRosters(rosters) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ [ROSTERS_KEY]: rosters }, () => resolve());
+  });
+}
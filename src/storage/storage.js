@@ -8,6 +8,7 @@
  * - Retrieve the current configuration (merged with defaults).
  * - Save partial updates to the configuration.
  * - Reset the configuration back to default values.
+ * - Keep a log of the recent Slack delivery runs.
  *
  * The stored configuration is fully replaceable and automatically merged
  * with DEFAULT_CONFIG to ensure backward compatibility.
@@ -24,15 +25,211 @@ export const DEFAULT_CONFIG = {
    */
   workdayEnd: "17:00",
   /**
-   * Minimum duration required for a block to be considered valid.
-   * Currently used by analyzers or future processors.
+   * Shortest free gap that counts as usable time. Shorter gaps are
+   * exported as "fragmented" and drive the focus-time metrics.
    */
   minBlockMinutes: 30,
   /**
    * Maximum duration allowed for a block before being marked as "long".
-   * Controls reporting and criteria evaluation.
+   * Controls the is_long flag in the standard report.
    */
   maxStandardBlockMinutes: 60,
+  /**
+   * Shortest break between two busy blocks. Blocks separated by less than
+   * this (or touching) form a back-to-back chain.
+   */
+  meetingBufferMinutes: 10,
+  /**
+   * Largest meeting (attendees, the user included) classified as a small
+   * group. Two attendees are a one-on-one; more than this, a large meeting.
+   */
+  smallMeetingMaxAttendees: 6,
+  /**
+   * Event classes that count toward busy time.
+   * Possible values: "busy", "tentative" (tentative or unanswered invites),
+   * "free" (events marked "show as available") and "declined".
+   */
+  busyEventClasses: ["busy", "tentative"],
+  /**
+   * Keywords that mark an all-day event as an absence (vacation, holiday...).
+   * Matched case-insensitively as whole words against the event title.
+   * Out-of-office events always mark an absence.
+   */
+  absenceKeywords: [
+    "vacation",
+    "vacaciones",
+    "holiday",
+    "festivo",
+    "ooo",
+    "out of office",
+    "fuera de la oficina"
+  ],
+  /**
+   * Rules that assign a category to each event, in priority order (the first
+   * matching rule wins). See services/eventCategories.js.
+   * - field: title | description | organizer_domain | color_id
+   * - matchType: keywords (comma-separated, whole words) | regex
+   * - category: value of the category column
+   */
+  categoryRules: [
+    {
+      id: "lunch",
+      category: "Lunch",
+      field: "title",
+      matchType: "keywords",
+      pattern: "lunch, almuerzo, comida"
+    },
+    {
+      id: "focus",
+      category: "Focus",
+      field: "title",
+      matchType: "keywords",
+      pattern: "focus, foco, concentración"
+    },
+    {
+      id: "interview",
+      category: "Interview",
+      field: "title",
+      matchType: "keywords",
+      pattern: "interview, entrevista"
+    },
+    {
+      id: "standup",
+      category: "Standup",
+      field: "title",
+      matchType: "regex",
+      pattern: "stand-?up|daily|dailies"
+    }
+  ],
+  /**
+   * Category of the events that match no category rule.
+   */
+  defaultCategory: "Meeting",
+  /**
+   * Categories whose events never count toward busy time (e.g. ["Lunch"]);
+   * they are listed in the standard report as "excluded" rows. Empty by
+   * default, so every busy event keeps counting as before categories existed.
+   */
+  nonBusyCategories: [],
+  /**
+   * Criteria evaluated by the criteria report, one rule per entry.
+   * - metric: busy_percent | busy_minutes | longest_block_minutes | free_gap_count |
+   *           back_to_back_count | after_hours_minutes | focus_minutes |
+   *           longest_free_minutes | usable_free_block_count | usable_free_percent |
+   *           fragmented_minutes | longest_chain_minutes | chain_count
+   * - comparator: ">=" | ">" | "<=" | "<" | "==" | "!="
+   * - weekdays: optional list of weekdays (0 = Sunday … 6 = Saturday); empty = every day
+   * - label: text listed in criteria_passed / criteria_failed
+   */
+  criteriaRules: [
+    {
+      id: "no_long_blocks",
+      label: "Bloques <= 60 min",
+      metric: "longest_block_minutes",
+      comparator: "<=",
+      threshold: 60,
+      weekdays: []
+    },
+    {
+      id: "busy_min",
+      label: "Busy >= 85%",
+      metric: "busy_percent",
+      comparator: ">=",
+      threshold: 85,
+      weekdays: []
+    }
+  ],
+  /**
+   * Templates of the slack_message column of the criteria report, keyed by locale.
+   * Placeholders: {name}, {date}, {busy_percent}, {failed_rules}, {long_blocks}...
+   * Sections: {#passed}…{/passed}, {#failed}…{/failed} and
+   * {#failed:RULE_ID_OR_METRIC}…{/failed:RULE_ID_OR_METRIC}.
+   * See services/messageTemplates.js for the full syntax.
+   */
+  messageTemplates: {
+    es:
+      "hola {name},\n" +
+      "{#passed}muchas gracias por mantener tu calendario actualizado y dentro de los criterios establecidos.\n{/passed}" +
+      "{#failed}el {date} no se cumplen estos criterios: {failed_rules}.\n{/failed}" +
+      "{#failed:longest_block_minutes}veo que tienes bloques mayores a {threshold} min: {long_blocks}; porfa modifícalos para que sean de {threshold} min o menos.\n{/failed:longest_block_minutes}" +
+      "{#failed:busy_percent}veo que tu calendario tiene unos espacios vacíos ({busy_percent}% ocupado), porfa agrega las actividades que tengas.\n{/failed:busy_percent}" +
+      "muchas gracias !",
+    en:
+      "hi {name},\n" +
+      "{#passed}thanks a lot for keeping your calendar up to date and within the agreed criteria.\n{/passed}" +
+      "{#failed}on {date} these criteria are not met: {failed_rules}.\n{/failed}" +
+      "{#failed:longest_block_minutes}you have blocks longer than {threshold} min: {long_blocks}; please split them into blocks of {threshold} min or less.\n{/failed:longest_block_minutes}" +
+      "{#failed:busy_percent}your calendar has some empty gaps ({busy_percent}% busy), please add the activities you are working on.\n{/failed:busy_percent}" +
+      "thank you!"
+  },
+  /**
+   * Locale used for recipients without a "locale" column in the roster CSV.
+   */
+  defaultLocale: "es",
+  /**
+   * Post the criteria results to Slack incoming webhooks after each criteria report.
+   */
+  slackEnabled: false,
+  /**
+   * Build and log the Slack messages without sending them.
+   */
+  slackDryRun: true,
+  /**
+   * "summary": one channel message per run.
+   * "per_user": one message per user and day (mentions use the roster slack_id column).
+   */
+  slackMode: "summary",
+  /**
+   * Incoming webhook URLs. Every message is posted to each of them.
+   */
+  slackWebhookUrls: [],
+  /**
+   * In "per_user" mode, only post messages for the days that failed.
+   */
+  slackOnlyFailed: true,
+  /**
+   * Retries allowed when Slack answers HTTP 429 (rate limited).
+   */
+  slackMaxRetries: 3,
+  /**
+   * Maximum number of calendars fetched at the same time.
+   */
+  fetchConcurrency: 5,
+  /**
+   * Retries per calendar for rate limits (429, 403 rateLimitExceeded),
+   * server errors (5xx) and network errors, with exponential backoff.
+   */
+  fetchMaxRetries: 5,
+  /**
+   * Read the calendars shared as free/busy only (403/404 on the events list)
+   * through freeBusy.query: untitled busy intervals instead of an error row.
+   */
+  freeBusyFallback: true,
+  /**
+   * Keep the events in a local cache (IndexedDB) refreshed incrementally with
+   * Calendar sync tokens, instead of downloading every event on each report.
+   */
+  eventCacheEnabled: true,
+  /**
+   * Calendars synced less than this many minutes ago are read from the cache
+   * without calling the API. 0 always checks for changes (one cheap request).
+   */
+  eventCacheFreshMinutes: 10,
+  /**
+   * Report runs kept in the history (inputs, settings, analysis and output
+   * files), most recent first. 0 disables the history.
+   */
+  historyMaxRuns: 20,
+  /**
+   * Email domains of the organization (e.g. "company.com"). Roster rows with
+   * another domain are rejected when the CSV is loaded. Empty = any domain.
+   * Also used to tell internal from external meetings.
+   */
+  companyDomains: [],
+  /**
+   * Holiday dates (YYYY-MM-DD) that can be skipped when selecting a date range.
+   */
+  holidays: [],
    /**
    * Optional Google OAuth client ID defined by the user.
    * If empty, the system will fall back to a built-in default ID
@@ -41,7 +238,35 @@ export const DEFAULT_CONFIG = {
   googleClientId: "" 
 };
 
+/**
+ * Settings that shape the content of a report. A re-run from the history
+ * page applies these keys of the run's config snapshot; everything else
+ * (Slack delivery, history retention, event cache, fetching, OAuth) always
+ * comes from the current settings.
+ */
+export const REPORT_CONFIG_KEYS = [
+  "workdayStart",
+  "workdayEnd",
+  "minBlockMinutes",
+  "maxStandardBlockMinutes",
+  "meetingBufferMinutes",
+  "smallMeetingMaxAttendees",
+  "busyEventClasses",
+  "absenceKeywords",
+  "companyDomains",
+  "categoryRules",
+  "defaultCategory",
+  "nonBusyCategories",
+  "criteriaRules",
+  "messageTemplates",
+  "defaultLocale"
+];
+
 const CONFIG_KEY = "calendar-analytics_config";
+const SLACK_LOG_KEY = "calendar-analytics_slack_log";
+
+/** Number of Slack delivery runs kept in the log. */
+const MAX_SLACK_LOG_RUNS = 20;
 
 /**
  * Retrieves the configuration stored in chrome.storage.local.
@@ -98,3 +323,33 @@ export function resetConfig() {
     });
   });
 }
+
+/**
+ * Retrieves the Slack delivery log (most recent run first).
+ *
+ * @returns {Promise<Array<Object>>} Delivery runs as returned by slackService.js.
+ */
+export function getSlackDeliveryLog() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([SLACK_LOG_KEY], (result) => {
+      resolve(Array.isArray(result[SLACK_LOG_KEY]) ? result[SLACK_LOG_KEY] : []);
+    });
+  });
+}
+
+/**
+ * Adds a Slack delivery run to the log, keeping the last MAX_SLACK_LOG_RUNS runs.
+ *
+ * @param {Object} run - Delivery log of one run.
+ * @returns {Promise<Array<Object>>} The updated log.
+ */
+export function appendSlackDeliveryLog(run) {
+  return new Promise(async (resolve) => {
+    const current = await getSlackDeliveryLog();
+    const log = [run, ...current].slice(0, MAX_SLACK_LOG_RUNS);
+
+    chrome.storage.local.set({ [SLACK_LOG_KEY]: log }, () => {
+      resolve(log);
+    });
+  });
+}
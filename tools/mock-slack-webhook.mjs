@@ -0,0 +1,63 @@
+// tools/mock-slack-webhook.mjs
+/**
+ * Mock Slack incoming webhook for testing the Slack delivery locally.
+ *
+ * Usage:
+ *   node tools/mock-slack-webhook.mjs
+ *
+ * Then add "http://localhost:3030/webhook" as a webhook URL on the options page
+ * (the extension asks for access to localhost when saving).
+ *
+ * Environment variables:
+ * - PORT: port to listen on (default 3030).
+ * - RATE_LIMIT_FIRST: number of initial requests answered with HTTP 429 (default 0).
+ * - RETRY_AFTER: Retry-After header sent with the 429 responses, in seconds (default 2).
+ *
+ * Every accepted message is printed to the console.
+ */
+import http from "node:http";
+
+const PORT = Number(process.env.PORT) || 3030;
+const RATE_LIMIT_FIRST = Number(process.env.RATE_LIMIT_FIRST) || 0;
+const RETRY_AFTER = process.env.RETRY_AFTER || "2";
+
+let requestCount = 0;
+
+const server = http.createServer((req, res) => {
+  if (req.method !== "POST") {
+    res.writeHead(405).end("method_not_allowed");
+    return;
+  }
+
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    requestCount++;
+
+    if (requestCount <= RATE_LIMIT_FIRST) {
+      console.log(`[mock-slack] #${requestCount} → 429 (Retry-After: ${RETRY_AFTER})`);
+      res.writeHead(429, { "Retry-After": RETRY_AFTER }).end("rate_limited");
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch {
+      res.writeHead(400).end("invalid_payload");
+      return;
+    }
+
+    if (typeof payload?.text !== "string" || payload.text.length === 0) {
+      res.writeHead(400).end("no_text");
+      return;
+    }
+
+    console.log(`[mock-slack] #${requestCount} ${req.url}\n${payload.text}\n`);
+    res.writeHead(200, { "Content-Type": "text/plain" }).end("ok");
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`[mock-slack] Listening on http://localhost:${PORT}/webhook`);
+});